@@ -0,0 +1,45 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * A transport adapter is the interface every transport used by DualMailer implements. The
+ * built-in SMTP and Mailgun transports are nodemailer adapters; custom providers can be
+ * registered through the `adapters` config option.
+ *
+ * @typedef {Object} TransportAdapter
+ * @property {() => Promise<boolean>} verify - Checks that the provider is reachable; resolves truthy when ready
+ * @property {(message: Object) => Promise<Object>} send - Sends a nodemailer-style message object
+ * (from, to, subject, text, html, replyTo, icalEvent, ...) and resolves with the provider's delivery info
+ * @property {() => (Promise<void>|void)} [close] - Releases any connections held by the adapter
+ * @property {() => boolean} [isIdle] - Whether the adapter can accept more messages right away
+ */
+
+/**
+ * @typedef {Object} AdapterContext
+ * @property {string} name - Name the adapter was registered under
+ * @property {boolean} is_dev - Development mode flag from the mailer config
+ */
+
+/**
+ * @typedef {Object} AdapterConfig
+ * @property {string} name - Unique transport name, used in logs, results and as the cache key
+ * @property {(context: AdapterContext) => (TransportAdapter|Promise<TransportAdapter>)} create - Adapter factory,
+ * called whenever the mailer needs a fresh transporter
+ * @property {boolean} [rate_limit=true] - Apply the mailer's rate_limit settings to this adapter
+ * @property {boolean} [smtputf8=false] - Whether the provider accepts non-ASCII local parts (SMTPUTF8)
+ */
+
+/**
+ * Wraps a nodemailer transport in the transport adapter interface
+ * @param {Object} options - Options passed to nodemailer.createTransport
+ * @returns {TransportAdapter}
+ */
+export function create_nodemailer_adapter(options) {
+	const transporter = nodemailer.createTransport(options);
+
+	return {
+		verify: () => transporter.verify(),
+		send: (message) => transporter.sendMail(message),
+		close: () => transporter.close(),
+		isIdle: () => (typeof transporter.isIdle === 'function' ? transporter.isIdle() : true)
+	};
+}
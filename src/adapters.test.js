@@ -0,0 +1,213 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, EmailError, create_nodemailer_adapter } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+const create_mock_transporter = () => ({
+	verify: vi.fn().mockResolvedValue(true),
+	sendMail: vi.fn().mockResolvedValue({ response: 'OK' }),
+	isIdle: vi.fn().mockReturnValue(true),
+	close: vi.fn().mockResolvedValue(true)
+});
+
+const create_mock_adapter = () => ({
+	verify: vi.fn().mockResolvedValue(true),
+	send: vi.fn().mockResolvedValue({ messageId: '<1@test.com>' }),
+	close: vi.fn().mockResolvedValue(undefined),
+	isIdle: vi.fn().mockReturnValue(true)
+});
+
+describe('Transport Adapters', () => {
+	let mailer;
+	let adapter;
+	let create;
+
+	const email_data = {
+		to: 'test@example.com',
+		subject: 'Test',
+		html: { title: 'Test', body: '<p>Test</p>' }
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		adapter = create_mock_adapter();
+		create = vi.fn(() => adapter);
+		nodemailer.createTransport.mockImplementation(() => create_mock_transporter());
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+		vi.useRealTimers();
+	});
+
+	describe('create_nodemailer_adapter', () => {
+		it('should wrap a nodemailer transport', async () => {
+			const transporter = create_mock_transporter();
+			nodemailer.createTransport.mockReturnValueOnce(transporter);
+
+			const wrapped = create_nodemailer_adapter({ streamTransport: true });
+			await wrapped.verify();
+			await wrapped.send({ to: 'test@example.com' });
+			await wrapped.close();
+
+			expect(nodemailer.createTransport).toHaveBeenCalledWith({ streamTransport: true });
+			expect(transporter.verify).toHaveBeenCalled();
+			expect(transporter.sendMail).toHaveBeenCalledWith({ to: 'test@example.com' });
+			expect(transporter.close).toHaveBeenCalled();
+			expect(wrapped.isIdle()).toBe(true);
+		});
+	});
+
+	describe('Custom adapters', () => {
+		it('should send through a registered adapter', async () => {
+			mailer = new DualMailer({
+				adapters: [{ name: 'http-api', create }],
+				noreply_email: 'noreply_test@example.com'
+			});
+
+			await expect(mailer.send_mail(email_data)).resolves.toEqual(
+				expect.objectContaining({ transport: 'http-api' })
+			);
+
+			expect(create).toHaveBeenCalledWith({ name: 'http-api', is_dev: false });
+			expect(adapter.verify).toHaveBeenCalled();
+			expect(adapter.send).toHaveBeenCalledWith(
+				expect.objectContaining({
+					from: 'No Reply <noreply_test@example.com>',
+					to: 'test@example.com',
+					subject: 'Test',
+					html: expect.stringContaining('<p>Test</p>')
+				})
+			);
+		});
+
+		it('should cache the adapter between sends and close it on destroy', async () => {
+			mailer = new DualMailer({
+				adapters: [{ name: 'http-api', create }],
+				noreply_email: 'noreply_test@example.com'
+			});
+
+			await mailer.send_mail(email_data);
+			await mailer.send_mail(email_data);
+			await mailer.destroy();
+
+			expect(create).toHaveBeenCalledTimes(1);
+			expect(adapter.send).toHaveBeenCalledTimes(2);
+			expect(adapter.close).toHaveBeenCalled();
+		});
+
+		it('should retry adapter sends', async () => {
+			adapter.send.mockRejectedValueOnce(new Error('Temporary Error'));
+			mailer = new DualMailer(
+				{ adapters: [{ name: 'http-api', create }], noreply_email: 'noreply_test@example.com' },
+				{ retry: { max_retries: 1, retry_delay: 10 } }
+			);
+
+			await mailer.send_mail(email_data);
+
+			expect(adapter.send).toHaveBeenCalledTimes(2);
+		});
+
+		it('should fail over from SMTP to an adapter', async () => {
+			const transporter = create_mock_transporter();
+			transporter.verify.mockRejectedValue(new Error('Connection refused'));
+			nodemailer.createTransport.mockReturnValue(transporter);
+
+			mailer = new DualMailer({
+				host: 'smtp.test.com',
+				port: 587,
+				adapters: [{ name: 'http-api', create }],
+				noreply_email: 'noreply_test@example.com'
+			});
+
+			await expect(mailer.send_mail(email_data)).resolves.toEqual(
+				expect.objectContaining({ transport: 'http-api' })
+			);
+		});
+
+		it('should use an adapter as the primary transport', async () => {
+			mailer = new DualMailer({
+				host: 'smtp.test.com',
+				port: 587,
+				adapters: [{ name: 'http-api', create }],
+				primary_transport: 'http-api',
+				noreply_email: 'noreply_test@example.com'
+			});
+
+			await expect(mailer.send_mail(email_data)).resolves.toEqual(
+				expect.objectContaining({ transport: 'http-api' })
+			);
+			expect(nodemailer.createTransport).not.toHaveBeenCalled();
+		});
+
+		it('should apply the rate limit to adapter sends', async () => {
+			vi.useFakeTimers();
+			mailer = new DualMailer(
+				{ adapters: [{ name: 'http-api', create }], noreply_email: 'noreply_test@example.com' },
+				{ rate_limit: { rate_delta: 1000, rate_limit: 2 } }
+			);
+
+			await mailer.send_mail(email_data);
+			await mailer.send_mail(email_data);
+			const third = mailer.send_mail(email_data);
+
+			await vi.advanceTimersByTimeAsync(500);
+			expect(adapter.send).toHaveBeenCalledTimes(2);
+
+			await vi.advanceTimersByTimeAsync(500);
+			await third;
+			expect(adapter.send).toHaveBeenCalledTimes(3);
+		});
+
+		it('should skip the rate limit for adapters that opt out', async () => {
+			mailer = new DualMailer(
+				{
+					adapters: [{ name: 'file', create, rate_limit: false }],
+					noreply_email: 'noreply_test@example.com'
+				},
+				{ rate_limit: { rate_delta: 60000, rate_limit: 1 } }
+			);
+
+			for (let i = 0; i < 3; i++) {
+				await mailer.send_mail(email_data);
+			}
+
+			expect(adapter.send).toHaveBeenCalledTimes(3);
+		});
+
+		it('should reject adapters that do not implement the interface', async () => {
+			mailer = new DualMailer({
+				adapters: [{ name: 'broken', create: () => ({ send: vi.fn() }) }],
+				noreply_email: 'noreply_test@example.com'
+			});
+
+			await expect(mailer.send_mail(email_data)).rejects.toThrow(
+				'Adapter "broken" must implement verify() and send()'
+			);
+		});
+
+		it('should validate adapter registrations', () => {
+			expect(() => new DualMailer({ adapters: [{ create }] })).toThrow('Adapter 0 requires a name');
+			expect(() => new DualMailer({ adapters: [{ name: 'http-api' }] })).toThrow(
+				'Adapter "http-api" requires a create function'
+			);
+			expect(() => new DualMailer({ adapters: [{ name: 'mailgun', create }] })).toThrow(EmailError);
+			expect(
+				() =>
+					new DualMailer({
+						adapters: [
+							{ name: 'http-api', create },
+							{ name: 'http-api', create }
+						]
+					})
+			).toThrow('Duplicate transport name "http-api"');
+		});
+	});
+});
@@ -0,0 +1,218 @@
+import { isIP } from 'net';
+import { domainToASCII } from 'url';
+import { EmailError, EMAIL_ERROR_CODES } from './errors.js';
+
+/**
+ * @typedef {Object} Mailbox
+ * @property {string} name - Display name, '' when there is none
+ * @property {string} address - Normalized address, with the domain lowercased and punycoded
+ * @property {string} local - Local part, as given
+ * @property {string} domain - Normalized domain
+ * @property {boolean} smtputf8 - Whether the local part is non-ASCII, which needs a transport supporting SMTPUTF8
+ */
+
+// RFC 5322 atext; internationalized local parts (RFC 6531) may also use any non-ASCII character
+const ATEXT = "A-Za-z0-9!#$%&'*+/=?^_`{|}~\\-";
+const DOT_ATOM = new RegExp(`^[${ATEXT}\\P{ASCII}]+(?:\\.[${ATEXT}\\P{ASCII}]+)*$`, 'u');
+const QUOTED_STRING = /^"(?:[^"\\]|\\.)*"$/u;
+const CONTROL = /[\p{C}\s]/u;
+// Display names that can go unquoted; anything else is quoted when formatting
+const PLAIN_NAME = new RegExp(`^[${ATEXT} \\P{ASCII}]+$`, 'u');
+const LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+
+/**
+ * @param {unknown} input
+ * @param {string} reason
+ * @returns {EmailError}
+ */
+function invalid(input, reason) {
+	return new EmailError(
+		`Invalid email address ${JSON.stringify(input)}: ${reason}`,
+		EMAIL_ERROR_CODES.VALIDATION
+	);
+}
+
+/**
+ * Finds the characters of a string that sit outside quoted strings
+ * @param {string} value
+ * @returns {boolean[]} Whether each character is outside quotes
+ */
+function unquoted_positions(value) {
+	const positions = [];
+	let quoted = false;
+	let escaped = false;
+	for (const char of value) {
+		positions.push(!quoted);
+		if (escaped) escaped = false;
+		else if (quoted && char === '\\') escaped = true;
+		else if (char === '"') quoted = !quoted;
+	}
+	return positions;
+}
+
+/**
+ * Splits recipients into single entries: lists are flattened and strings are split on the
+ * commas between addresses (not those in quoted names or inside angle brackets)
+ * @param {string|Object|(string|Object)[]|undefined|null} recipients
+ * @returns {(string|Object)[]}
+ */
+export function split_address_list(recipients) {
+	if (recipients === undefined || recipients === null || recipients === '') return [];
+
+	return [].concat(recipients).flatMap((recipient) => {
+		if (typeof recipient !== 'string') return [recipient];
+
+		const chars = [...recipient];
+		const outside = unquoted_positions(recipient);
+		const parts = [];
+		let current = '';
+		let bracketed = false;
+		chars.forEach((char, index) => {
+			if (outside[index] && char === '<') bracketed = true;
+			if (outside[index] && char === '>') bracketed = false;
+			if (outside[index] && char === ',' && !bracketed) {
+				parts.push(current);
+				current = '';
+			} else {
+				current += char;
+			}
+		});
+		parts.push(current);
+		return parts.map((part) => part.trim()).filter(Boolean);
+	});
+}
+
+/**
+ * @param {string} domain
+ * @param {unknown} input - Original input for error messages
+ * @returns {string} Lowercased domain, punycoded when internationalized
+ */
+function normalize_domain(domain, input) {
+	const literal = domain.match(/^\[(.*)\]$/);
+	if (literal) {
+		const ip = literal[1].replace(/^ipv6:/i, '');
+		const version = literal[1] === ip ? 4 : 6;
+		if (isIP(ip) !== version) throw invalid(input, 'the domain literal is not an IP address');
+		return version === 6 ? `[IPv6:${ip.toLowerCase()}]` : `[${ip}]`;
+	}
+
+	// ASCII domains are only lowercased; the URL parser would rewrite some, e.g. numeric hosts
+	const ascii = /^\p{ASCII}*$/u.test(domain) ? domain.toLowerCase() : domainToASCII(domain);
+	if (!ascii || ascii.length > 253 || !ascii.split('.').every((label) => LABEL.test(label))) {
+		throw invalid(input, 'the domain is not a valid host name');
+	}
+	return ascii;
+}
+
+/**
+ * @param {string} addr_spec - local@domain
+ * @param {unknown} input - Original input for error messages
+ * @returns {Omit<Mailbox, 'name'>}
+ */
+function parse_addr_spec(addr_spec, input) {
+	const at = addr_spec.lastIndexOf('@');
+	if (at < 1 || at === addr_spec.length - 1) {
+		throw invalid(input, 'expected local-part@domain');
+	}
+
+	const local = addr_spec.slice(0, at);
+	const quoted = local.startsWith('"');
+	if (quoted ? !QUOTED_STRING.test(local) || /[\r\n]/.test(local) : !DOT_ATOM.test(local)) {
+		throw invalid(input, 'the local part has characters that must be quoted');
+	}
+	if (!quoted && CONTROL.test(local)) {
+		throw invalid(input, 'the local part contains whitespace or control characters');
+	}
+	if (Buffer.byteLength(local) > 64) {
+		throw invalid(input, 'the local part is longer than 64 octets');
+	}
+
+	const domain = normalize_domain(addr_spec.slice(at + 1), input);
+	const address = `${local}@${domain}`;
+	if (Buffer.byteLength(address) > 254) {
+		throw invalid(input, 'the address is longer than 254 octets');
+	}
+	return { address, local, domain, smtputf8: /\P{ASCII}/u.test(local) };
+}
+
+/**
+ * @param {string} phrase - Text before the angle brackets
+ * @param {unknown} input - Original input for error messages
+ * @returns {string}
+ */
+function parse_display_name(phrase, input) {
+	if (phrase === '') return '';
+	if (phrase.startsWith('"')) {
+		if (!QUOTED_STRING.test(phrase)) {
+			throw invalid(input, 'the quoted display name is not closed properly');
+		}
+		return phrase.slice(1, -1).replace(/\\(.)/gu, '$1');
+	}
+	if (/["()<>[\]:;@\\,]/.test(phrase)) {
+		throw invalid(input, 'display names with special characters must be quoted');
+	}
+	return phrase.replace(/\s+/g, ' ');
+}
+
+/**
+ * Parses a single mailbox: a bare address, a "Display Name <address>" string (quoted when the
+ * name has special characters, e.g. "Doe, Jane" <jane@example.com>) or an Address object.
+ * The domain is lowercased and internationalized domains are converted to punycode.
+ * @param {string|{ name?: string, address: string }} input
+ * @returns {Mailbox}
+ * @throws {EmailError} If the input is not a single valid mailbox
+ */
+export function parse_address(input) {
+	if (input && typeof input === 'object') {
+		const { name = '', address } = input;
+		if (typeof name !== 'string') throw invalid(input, 'the name must be a string');
+		if (/[\r\n]/.test(name)) throw invalid(input, 'the name contains a line break');
+		if (typeof address !== 'string') throw invalid(input, 'the address must be a string');
+		return { name: name.trim(), ...parse_addr_spec(address.trim(), input) };
+	}
+	if (typeof input !== 'string') throw invalid(input, 'expected a string or an address object');
+
+	const value = input.trim();
+	if (/[\r\n]/.test(value)) throw invalid(input, 'the address contains a line break');
+	if (split_address_list(value).length > 1) throw invalid(input, 'expected a single address');
+
+	const outside = unquoted_positions(value);
+	const chars = [...value];
+	const open = chars.findLastIndex((char, index) => outside[index] && char === '<');
+	if (open === -1) {
+		if (chars.some((char, index) => outside[index] && char === '>')) {
+			throw invalid(input, 'unbalanced angle brackets');
+		}
+		return { name: '', ...parse_addr_spec(value, input) };
+	}
+
+	const rest = chars.slice(open + 1).join('');
+	if (!rest.endsWith('>') || rest.slice(0, -1).includes('>')) {
+		throw invalid(input, 'unbalanced angle brackets');
+	}
+	return {
+		name: parse_display_name(chars.slice(0, open).join('').trim(), input),
+		...parse_addr_spec(rest.slice(0, -1).trim(), input)
+	};
+}
+
+/**
+ * Parses recipients into mailboxes, splitting comma separated lists
+ * @param {string|Object|(string|Object)[]|undefined|null} recipients
+ * @returns {Mailbox[]}
+ * @throws {EmailError} If any entry is invalid
+ */
+export function parse_address_list(recipients) {
+	return split_address_list(recipients).map(parse_address);
+}
+
+/**
+ * Formats a mailbox for a header, quoting the display name when it needs it
+ * @param {{ name?: string, address: string }} mailbox
+ * @returns {string}
+ */
+export function format_address({ name, address }) {
+	if (!name) return address;
+	const display = PLAIN_NAME.test(name) ? name : `"${name.replace(/(["\\])/g, '\\$1')}"`;
+	return `${display} <${address}>`;
+}
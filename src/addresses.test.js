@@ -0,0 +1,217 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import {
+	DualMailer,
+	parse_address,
+	parse_address_list,
+	format_address,
+	EMAIL_ERROR_CODES
+} from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+vi.mock('nodemailer-mailgun-transport', () => ({
+	default: vi.fn((config) => ({ name: 'mailgun', ...config }))
+}));
+
+const create_mock_transporter = () => ({
+	verify: vi.fn().mockResolvedValue(true),
+	sendMail: vi.fn().mockResolvedValue({ response: 'OK' }),
+	isIdle: vi.fn().mockReturnValue(true),
+	close: vi.fn().mockResolvedValue(true)
+});
+
+describe('Addresses', () => {
+	describe('parse_address', () => {
+		it('should parse quoted display names', () => {
+			expect(parse_address('"Doe, Jane" <Jane@Example.COM>')).toEqual({
+				name: 'Doe, Jane',
+				address: 'Jane@example.com',
+				local: 'Jane',
+				domain: 'example.com',
+				smtputf8: false
+			});
+			expect(parse_address('"Say \\"hi\\"" <a@example.com>').name).toBe('Say "hi"');
+			expect(parse_address('J.  Doe <j@example.com>').name).toBe('J. Doe');
+			expect(parse_address({ name: 'Two', address: 'two@EXAMPLE.com' }).address).toBe(
+				'two@example.com'
+			);
+		});
+
+		it('should convert internationalized domains to punycode', () => {
+			expect(parse_address('jörg@bücher.de')).toEqual(
+				expect.objectContaining({ address: 'jörg@xn--bcher-kva.de', smtputf8: true })
+			);
+			expect(parse_address('info@BÜCHER.de').address).toBe('info@xn--bcher-kva.de');
+		});
+
+		it('should accept quoted local parts and domain literals', () => {
+			expect(parse_address('"john doe"@example.com').address).toBe('"john doe"@example.com');
+			expect(parse_address('x@[IPv6:2001:DB8::1]').address).toBe('x@[IPv6:2001:db8::1]');
+			expect(parse_address('x@[192.0.2.1]').address).toBe('x@[192.0.2.1]');
+		});
+
+		it.each([
+			['Doe, Jane <jane@example.com>', 'expected a single address'],
+			['Jane Doe jane@example.com', 'the local part has characters that must be quoted'],
+			['jane..doe@example.com', 'the local part has characters that must be quoted'],
+			['Jane (work) <jane@example.com>', 'display names with special characters must be quoted'],
+			['jane@example.com>', 'unbalanced angle brackets'],
+			['<jane@example.com', 'unbalanced angle brackets'],
+			['jane@-example.com', 'the domain is not a valid host name'],
+			['jane@exa_mple.com', 'the domain is not a valid host name'],
+			['jane@[300.0.0.1]', 'the domain literal is not an IP address'],
+			['jane@', 'expected local-part@domain'],
+			[`${'x'.repeat(65)}@example.com`, 'the local part is longer than 64 octets']
+		])('should reject %j', (input, reason) => {
+			expect(() => parse_address(input)).toThrow(
+				expect.objectContaining({
+					code: EMAIL_ERROR_CODES.VALIDATION,
+					message: `Invalid email address ${JSON.stringify(input)}: ${reason}`
+				})
+			);
+		});
+	});
+
+	it('should split address lists on commas outside quotes and brackets', () => {
+		expect(
+			parse_address_list([
+				'"Doe, Jane" <jane@example.com>, john@example.com',
+				{ address: 'ann@example.com' }
+			]).map((mailbox) => mailbox.address)
+		).toEqual(['jane@example.com', 'john@example.com', 'ann@example.com']);
+		expect(parse_address_list(undefined)).toEqual([]);
+	});
+
+	it('should quote display names only when needed', () => {
+		expect(format_address({ name: 'Doe, Jane', address: 'jane@example.com' })).toBe(
+			'"Doe, Jane" <jane@example.com>'
+		);
+		expect(format_address({ name: 'Say "hi"', address: 'a@example.com' })).toBe(
+			'"Say \\"hi\\"" <a@example.com>'
+		);
+		expect(format_address({ name: 'Jörg Müller', address: 'j@example.com' })).toBe(
+			'Jörg Müller <j@example.com>'
+		);
+		expect(format_address({ name: '', address: 'j@example.com' })).toBe('j@example.com');
+	});
+});
+
+describe('DualMailer - Addresses', () => {
+	let mailer;
+	let smtp_transporter;
+	let mailgun_transporter;
+
+	const smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply@example.com'
+	};
+
+	const mailgun_config = {
+		mailgun_api_key: 'test-key',
+		mailgun_domain: 'test.com',
+		noreply_email: 'noreply@example.com'
+	};
+
+	const email_data = {
+		subject: 'Test',
+		html: { title: 'Test', body: '<p>Test</p>' }
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		smtp_transporter = create_mock_transporter();
+		mailgun_transporter = create_mock_transporter();
+		nodemailer.createTransport.mockImplementation((config) =>
+			config.name === 'mailgun' ? mailgun_transporter : smtp_transporter
+		);
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should send normalized addresses in the shape they were given', async () => {
+		mailer = new DualMailer(smtp_config, { silent: true });
+		await mailer.send_mail({
+			...email_data,
+			to: '"Doe, Jane" <Jane@Bücher.DE>, john@EXAMPLE.com',
+			cc: { name: 'Ann', address: 'ann@Example.com' },
+			from: 'Shop <shop@Example.com>',
+			reply_to: 'help@Example.com'
+		});
+
+		expect(smtp_transporter.sendMail).toHaveBeenCalledWith(
+			expect.objectContaining({
+				to: ['"Doe, Jane" <Jane@xn--bcher-kva.de>', 'john@example.com'],
+				cc: { name: 'Ann', address: 'ann@example.com' },
+				from: 'Shop <shop@example.com>',
+				replyTo: 'help@example.com'
+			})
+		);
+	});
+
+	it('should reject addresses nodemailer would split or rewrite', async () => {
+		mailer = new DualMailer(smtp_config, { silent: true });
+
+		await expect(
+			mailer.send_mail({ ...email_data, to: 'Doe, Jane <jane@example.com>' })
+		).rejects.toThrow('Invalid email addresses: to: "Doe"');
+		await expect(
+			mailer.send_mail({ ...email_data, to: 'Jane Doe jane@example.com' })
+		).rejects.toThrow('Invalid email addresses: to: "Jane Doe jane@example.com"');
+		expect(smtp_transporter.sendMail).not.toHaveBeenCalled();
+	});
+
+	it('should quote display names for Mailgun', async () => {
+		mailer = new DualMailer(mailgun_config, { silent: true });
+		await mailer.send_mail({
+			...email_data,
+			to: [{ name: 'Doe, Jane', address: 'jane@example.com' }, 'john@example.com']
+		});
+
+		expect(mailgun_transporter.sendMail).toHaveBeenCalledWith(
+			expect.objectContaining({ to: ['"Doe, Jane" <jane@example.com>', 'john@example.com'] })
+		);
+	});
+
+	it('should reject non-ASCII local parts without an SMTPUTF8 transport', async () => {
+		mailer = new DualMailer(smtp_config, { silent: true });
+
+		await expect(mailer.send_mail({ ...email_data, to: '用户@例子.广告' })).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'Addresses with non-ASCII local parts (to) need a transport that supports SMTPUTF8'
+			})
+		);
+	});
+
+	it('should send non-ASCII local parts only through SMTPUTF8 transports', async () => {
+		mailer = new DualMailer(
+			{ ...smtp_config, ...mailgun_config, smtputf8: true, primary_transport: 'mailgun' },
+			{ silent: true }
+		);
+
+		await mailer.send_mail({ ...email_data, to: '用户@例子.广告' });
+		await mailer.send_mail({ ...email_data, to: 'user@example.com' });
+
+		expect(smtp_transporter.sendMail).toHaveBeenCalledTimes(1);
+		expect(smtp_transporter.sendMail).toHaveBeenCalledWith(
+			expect.objectContaining({ to: '用户@xn--fsqu00a.xn--4rr70v' })
+		);
+		expect(mailgun_transporter.sendMail).toHaveBeenCalledTimes(1);
+	});
+
+	it('should validate noreply_email', () => {
+		expect(() => new DualMailer({ ...smtp_config, noreply_email: 'noreply' })).toThrow(
+			'Configuration error: noreply_email must be a valid email address'
+		);
+	});
+});
@@ -0,0 +1,251 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import nodemailer from 'nodemailer';
+import { DualMailer, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+describe('DualMailer - Attachments', () => {
+	let mailer;
+	let mock_send_mail;
+	let mock_logger;
+	let temp_dir;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const email_data = {
+		to: 'test@example.com',
+		subject: 'Test',
+		html: { title: 'Test', body: '<p>Test</p>' }
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		temp_dir = mkdtempSync(join(tmpdir(), 'dual-mailer-'));
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		mock_logger = vi.fn();
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+		mailer = new DualMailer(basic_smtp_config, {
+			logger: mock_logger,
+			attachment_limits: { max_attachment_size: 100, max_total_size: 150 }
+		});
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+		rmSync(temp_dir, { recursive: true, force: true });
+	});
+
+	it('should pass buffers, strings, streams and paths to the transport', async () => {
+		const file_path = join(temp_dir, 'report.csv');
+		writeFileSync(file_path, 'a,b\n1,2\n');
+		const stream = Readable.from(['streamed']);
+
+		await mailer.send_mail({
+			...email_data,
+			attachments: [
+				{ filename: 'data.bin', content: Buffer.from([1, 2, 3]) },
+				{ filename: 'notes.txt', content: 'hello', content_type: 'text/plain' },
+				{ filename: 'stream.txt', content: stream },
+				{ filename: 'report.csv', path: file_path }
+			]
+		});
+
+		expect(mock_send_mail).toHaveBeenCalledWith(
+			expect.objectContaining({
+				attachments: [
+					{ filename: 'data.bin', content: Buffer.from([1, 2, 3]) },
+					{ filename: 'notes.txt', content: 'hello', contentType: 'text/plain' },
+					{ filename: 'stream.txt', content: Buffer.from('streamed') },
+					{ filename: 'report.csv', path: file_path }
+				]
+			})
+		);
+	});
+
+	it('should send the same stream content on every retry', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, {
+			silent: true,
+			retry: { max_retries: 1, retry_delay: 1 }
+		});
+		mock_send_mail.mockRejectedValueOnce(new Error('Connection timeout'));
+
+		await mailer.send_mail({
+			...email_data,
+			attachments: [{ filename: 'stream.txt', content: Readable.from(['streamed']) }]
+		});
+
+		expect(mock_send_mail).toHaveBeenCalledTimes(2);
+		for (const [mail] of mock_send_mail.mock.calls) {
+			expect(mail.attachments[0].content).toEqual(Buffer.from('streamed'));
+		}
+	});
+
+	it('should stop reading a stream larger than the limit', async () => {
+		const stream = Readable.from(['x'.repeat(60), 'x'.repeat(60), 'x'.repeat(60)]);
+
+		await expect(
+			mailer.send_mail({
+				...email_data,
+				attachments: [{ filename: 'big.txt', content: stream }]
+			})
+		).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'Attachment big.txt exceeds the 100 byte limit'
+			})
+		);
+		expect(stream.destroyed).toBe(true);
+		expect(mock_send_mail).not.toHaveBeenCalled();
+	});
+
+	it('should measure data URLs by their decoded size', async () => {
+		// 160 base64 characters decode to 120 bytes
+		await expect(
+			mailer.send_mail({
+				...email_data,
+				attachments: [{ filename: 'a.bin', path: `data:;base64,${'A'.repeat(160)}` }]
+			})
+		).rejects.toThrow('Attachment a.bin is 120 bytes, exceeding the 100 byte limit');
+		await expect(
+			mailer.send_mail({
+				...email_data,
+				attachments: [{ filename: 'a.txt', path: `data:text/plain,${'%41'.repeat(101)}` }]
+			})
+		).rejects.toThrow('Attachment a.txt is 101 bytes, exceeding the 100 byte limit');
+		await expect(
+			mailer.send_mail({
+				...email_data,
+				attachments: [{ filename: 'a.txt', path: 'data:text/plain' }]
+			})
+		).rejects.toThrow('Attachment a.txt has an invalid data URL');
+		expect(mock_send_mail).not.toHaveBeenCalled();
+	});
+
+	it('should send inline images referenced by cid', async () => {
+		await mailer.send_mail({
+			...email_data,
+			html: { title: 'Test', body: '<img src="cid:logo" alt="Logo">' },
+			attachments: [{ filename: 'logo.png', content: 'aGVsbG8=', encoding: 'base64', cid: 'logo' }]
+		});
+
+		expect(mock_send_mail).toHaveBeenCalledWith(
+			expect.objectContaining({
+				attachments: [
+					{ filename: 'logo.png', content: 'aGVsbG8=', encoding: 'base64', cid: 'logo' }
+				]
+			})
+		);
+	});
+
+	it('should reject cid references without a matching attachment', async () => {
+		await expect(
+			mailer.send_mail({
+				...email_data,
+				html: { title: 'Test', body: '<img src="cid:logo"><img src="cid:banner">' },
+				attachments: [{ filename: 'logo.png', content: 'x', cid: 'logo' }]
+			})
+		).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'Missing inline attachments for: cid:banner'
+			})
+		);
+	});
+
+	it('should enforce the per-attachment size limit', async () => {
+		await expect(
+			mailer.send_mail({
+				...email_data,
+				attachments: [{ filename: 'big.bin', content: Buffer.alloc(101) }]
+			})
+		).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'Attachment big.bin is 101 bytes, exceeding the 100 byte limit'
+			})
+		);
+		expect(mock_send_mail).not.toHaveBeenCalled();
+	});
+
+	it('should enforce the per-message size limit, including files on disk', async () => {
+		const file_path = join(temp_dir, 'large.txt');
+		writeFileSync(file_path, 'x'.repeat(80));
+
+		await expect(
+			mailer.send_mail({
+				...email_data,
+				attachments: [
+					{ filename: 'one.txt', content: 'x'.repeat(80) },
+					{ filename: 'large.txt', path: file_path }
+				]
+			})
+		).rejects.toThrow('Attachments total 160 bytes, exceeding the 150 byte limit');
+	});
+
+	it('should measure base64 content by its decoded size', async () => {
+		await expect(
+			mailer.send_mail({
+				...email_data,
+				// 120 base64 characters decode to 90 bytes
+				attachments: [{ filename: 'a.bin', content: 'A'.repeat(120), encoding: 'base64' }]
+			})
+		).resolves.toBeDefined();
+	});
+
+	it('should reject attachments without content or path', async () => {
+		await expect(
+			mailer.send_mail({ ...email_data, attachments: [{ filename: 'empty.txt' }] })
+		).rejects.toThrow('Attachment empty.txt requires either content or path');
+	});
+
+	it('should reject missing files', async () => {
+		await expect(
+			mailer.send_mail({
+				...email_data,
+				attachments: [{ filename: 'gone.txt', path: join(temp_dir, 'gone.txt') }]
+			})
+		).rejects.toThrow('Attachment gone.txt could not be read');
+	});
+
+	it('should include attachment metadata in the send log', async () => {
+		await mailer.send_mail({
+			...email_data,
+			html: { title: 'Test', body: '<img src="cid:logo">' },
+			attachments: [
+				{ filename: 'notes.txt', content: 'hello', content_type: 'text/plain' },
+				{ filename: 'logo.png', content: Buffer.alloc(10), cid: 'logo' }
+			]
+		});
+
+		expect(mock_logger).toHaveBeenCalledWith(
+			'info',
+			'Sending email',
+			expect.objectContaining({
+				attachments: [
+					{ filename: 'notes.txt', content_type: 'text/plain', size: 5, inline: false },
+					{ filename: 'logo.png', content_type: null, size: 10, inline: true }
+				]
+			})
+		);
+	});
+});
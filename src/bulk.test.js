@@ -0,0 +1,189 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+describe('DualMailer - Bulk Send', () => {
+	let mailer;
+	let mock_send_mail;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const message = {
+		subject: 'Hi {{first_name}}, your {{plan}} plan renews soon',
+		html: { title: 'Renewal', body: '<p>Hello {{first_name}}</p>' },
+		text: 'Hello {{first_name}}',
+		data: { plan: 'Basic' }
+	};
+
+	const sent_to = (address) =>
+		mock_send_mail.mock.calls.map(([mail]) => mail).find((mail) => mail.to === address);
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should merge recipient variables into the subject and body', async () => {
+		const report = await mailer.send_bulk(
+			[
+				{ to: 'ann@example.com', data: { first_name: 'Ann' } },
+				{ to: 'bob@example.com', data: { first_name: '<Bob>', plan: 'Pro' } }
+			],
+			message
+		);
+
+		expect(report).toEqual(expect.objectContaining({ total: 2, sent: 2, failed: 0 }));
+		expect(report.results.map(({ index, to, status }) => ({ index, to, status }))).toEqual([
+			{ index: 0, to: 'ann@example.com', status: 'sent' },
+			{ index: 1, to: 'bob@example.com', status: 'sent' }
+		]);
+		expect(sent_to('ann@example.com')).toEqual(
+			expect.objectContaining({
+				subject: 'Hi Ann, your Basic plan renews soon',
+				text: 'Hello Ann',
+				html: expect.stringContaining('<p>Hello Ann</p>')
+			})
+		);
+		expect(sent_to('bob@example.com')).toEqual(
+			expect.objectContaining({
+				subject: 'Hi <Bob>, your Pro plan renews soon',
+				html: expect.stringContaining('<p>Hello &lt;Bob&gt;</p>')
+			})
+		);
+	});
+
+	it('should report failures without aborting the batch', async () => {
+		mock_send_mail.mockImplementation(async (mail) => {
+			if (mail.to === 'bounce@example.com') throw new Error('Mailbox unavailable');
+			return { response: 'OK' };
+		});
+
+		const report = await mailer.send_bulk(
+			[
+				{ to: 'bounce@example.com', data: { first_name: 'B' } },
+				{ to: 'nobody', data: { first_name: 'N' } },
+				{ to: 'anon@example.com' },
+				{ data: { first_name: 'X' } },
+				{ to: 'ok@example.com', data: { first_name: 'Ok' } }
+			],
+			message
+		);
+
+		expect(report).toEqual(expect.objectContaining({ total: 5, sent: 1, failed: 4 }));
+		expect(report.results.map((result) => result.error)).toEqual([
+			{ message: expect.stringContaining('Mailbox unavailable'), code: EMAIL_ERROR_CODES.SEND },
+			{
+				message: 'Invalid email addresses: to: "nobody"',
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				details: [{ field: 'to', message: 'Invalid email addresses: to: "nobody"' }]
+			},
+			{ message: 'Missing template variables: first_name', code: EMAIL_ERROR_CODES.VALIDATION },
+			{ message: 'Bulk recipient requires a "to" address', code: EMAIL_ERROR_CODES.VALIDATION },
+			undefined
+		]);
+		expect(report.results[4].result.message_id).toEqual(expect.any(String));
+	});
+
+	it('should render templates with the merged data and per-recipient locales', async () => {
+		mailer.register_template('renewal', {
+			en: { subject: 'Renewal for {{first_name}}', body: '<p>{{plan}}</p>' },
+			de: { subject: 'Verlängerung für {{first_name}}', body: '<p>{{plan}}</p>' }
+		});
+
+		await mailer.send_bulk(
+			['ann@example.com', { to: 'jan@example.com', locale: 'de', data: { first_name: 'Jan' } }],
+			{ template: 'renewal', data: { first_name: 'there', plan: 'Basic' } }
+		);
+
+		expect(sent_to('ann@example.com').subject).toBe('Renewal for there');
+		expect(sent_to('jan@example.com').subject).toBe('Verlängerung für Jan');
+	});
+
+	it('should send at most `concurrency` emails at a time', async () => {
+		let in_flight = 0;
+		let max_in_flight = 0;
+		mock_send_mail.mockImplementation(async () => {
+			in_flight++;
+			max_in_flight = Math.max(max_in_flight, in_flight);
+			await new Promise((resolve) => setTimeout(resolve, 5));
+			in_flight--;
+			return { response: 'OK' };
+		});
+		const recipients = Array.from({ length: 7 }, (_, index) => ({
+			to: `user${index}@example.com`,
+			data: { first_name: `User ${index}` }
+		}));
+
+		const report = await mailer.send_bulk(recipients, message, { concurrency: 3 });
+
+		expect(report.sent).toBe(7);
+		expect(max_in_flight).toBe(3);
+		expect(report.results.map((result) => result.to)).toEqual(
+			recipients.map((recipient) => recipient.to)
+		);
+	});
+
+	it('should give each recipient its own idempotency key', async () => {
+		const recipients = [
+			{ to: 'ann@example.com', data: { first_name: 'Ann' } },
+			{ to: 'bob@example.com', data: { first_name: 'Bob' } }
+		];
+
+		await mailer.send_bulk(recipients.slice(0, 1), {
+			...message,
+			idempotency_key: 'renewal-2026'
+		});
+		const report = await mailer.send_bulk(recipients, {
+			...message,
+			idempotency_key: 'renewal-2026'
+		});
+
+		expect(report.sent).toBe(2);
+		expect(mock_send_mail).toHaveBeenCalledTimes(2);
+		expect(mock_send_mail.mock.calls.map(([mail]) => mail.to)).toEqual([
+			'ann@example.com',
+			'bob@example.com'
+		]);
+	});
+
+	it('should reject invalid arguments', async () => {
+		await expect(mailer.send_bulk('ann@example.com', message)).rejects.toThrow(
+			'recipients must be an array'
+		);
+		await expect(
+			mailer.send_bulk(['ann@example.com'], { ...message, to: 'bob@example.com' })
+		).rejects.toThrow('message must be an object without "to"; recipients are given separately');
+		await expect(mailer.send_bulk([], message, { concurrency: 0 })).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'concurrency must be a positive integer'
+			})
+		);
+		expect(await mailer.send_bulk([], message)).toEqual(
+			expect.objectContaining({ total: 0, sent: 0, failed: 0, results: [] })
+		);
+	});
+});
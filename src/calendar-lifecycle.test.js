@@ -0,0 +1,193 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+describe('DualMailer - Calendar invite lifecycle', () => {
+	let mailer;
+	let mock_send_mail;
+	let mock_logger;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const event = {
+		summary: 'Standup',
+		start: '2026-06-01T09:00:00Z',
+		end: '2026-06-01T09:15:00Z',
+		organizer: { email: 'lead@example.com' },
+		attendees: [{ email: 'test@example.com' }]
+	};
+
+	const invite = (overrides = {}) => ({
+		to: 'test@example.com',
+		subject: 'Standup',
+		html: { title: 'Standup', body: '<p>Standup</p>' },
+		ical_event: { event: { ...event, ...overrides } }
+	});
+
+	const sent_calendar = (call) => mock_send_mail.mock.calls[call][0].icalEvent;
+
+	/** Async store backed by a shared object, standing in for a database */
+	const create_store = (data) => ({
+		get: vi.fn(async (uid) => data[uid]),
+		set: vi.fn(async (uid, sequence) => {
+			data[uid] = sequence;
+		})
+	});
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		mock_logger = vi.fn();
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+		mailer = new DualMailer(basic_smtp_config, { logger: mock_logger });
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should report the UID and sequence of a sent invite', async () => {
+		const result = await mailer.send_mail(invite());
+
+		expect(result.calendar).toEqual({
+			uid: expect.stringMatching(/@example\.com$/),
+			sequence: 0,
+			method: 'REQUEST'
+		});
+		expect(sent_calendar(0).content).toContain(`UID:${result.calendar.uid}\r\n`);
+	});
+
+	it('should increment the sequence on each update and cancellation', async () => {
+		const { calendar } = await mailer.send_mail(invite());
+
+		const first = await mailer.send_event_update(invite({ uid: calendar.uid, location: 'Room 1' }));
+		const second = await mailer.send_event_update(
+			invite({ uid: calendar.uid, location: 'Room 2' })
+		);
+		const cancelled = await mailer.send_event_cancellation(invite({ uid: calendar.uid }));
+
+		expect([first, second, cancelled].map((result) => result.calendar)).toEqual([
+			{ uid: calendar.uid, sequence: 1, method: 'REQUEST' },
+			{ uid: calendar.uid, sequence: 2, method: 'REQUEST' },
+			{ uid: calendar.uid, sequence: 3, method: 'CANCEL' }
+		]);
+		expect(sent_calendar(1).content).toContain('METHOD:REQUEST\r\n');
+		expect(sent_calendar(1).content).toContain('SEQUENCE:1\r\n');
+		expect(sent_calendar(3)).toEqual(expect.objectContaining({ method: 'CANCEL' }));
+		expect(sent_calendar(3).content).toContain('METHOD:CANCEL\r\n');
+		expect(sent_calendar(3).content).toContain('SEQUENCE:3\r\n');
+		expect(sent_calendar(3).content).toContain('STATUS:CANCELLED\r\n');
+		expect(sent_calendar(3).content).toContain(`UID:${calendar.uid}\r\n`);
+	});
+
+	it('should keep incrementing across mailer instances with a shared store', async () => {
+		const data = {};
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, {
+			silent: true,
+			sequence_store: create_store(data)
+		});
+		await mailer.send_mail(invite({ uid: 'standup@example.com' }));
+		await mailer.send_event_update(invite({ uid: 'standup@example.com' }));
+
+		// Simulate a process restart
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, {
+			silent: true,
+			sequence_store: create_store(data)
+		});
+		const result = await mailer.send_event_update(invite({ uid: 'standup@example.com' }));
+
+		expect(result.calendar.sequence).toBe(2);
+		expect(data).toEqual({ 'standup@example.com': 2 });
+	});
+
+	it('should use an explicit sequence when it is ahead of the store', async () => {
+		const result = await mailer.send_event_update(
+			invite({ uid: 'standup@example.com', sequence: 7 })
+		);
+
+		expect(result.calendar.sequence).toBe(7);
+		expect(sent_calendar(0).content).toContain('SEQUENCE:7\r\n');
+	});
+
+	it('should not lower the stored sequence when an invite is resent', async () => {
+		const data = { 'standup@example.com': 4 };
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, {
+			silent: true,
+			sequence_store: create_store(data)
+		});
+
+		await mailer.send_mail(invite({ uid: 'standup@example.com' }));
+
+		expect(data['standup@example.com']).toBe(4);
+	});
+
+	it('should not record the sequence when the send fails', async () => {
+		const data = {};
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, {
+			silent: true,
+			sequence_store: create_store(data)
+		});
+		mock_send_mail.mockRejectedValueOnce(new Error('Mailbox unavailable'));
+
+		await expect(
+			mailer.send_event_update(invite({ uid: 'standup@example.com' }))
+		).rejects.toThrow();
+
+		expect(data).toEqual({});
+	});
+
+	it('should require the UID of the original invite', async () => {
+		await expect(mailer.send_event_cancellation(invite())).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'Event updates and cancellations require ical_event.event.uid'
+			})
+		);
+		expect(mock_send_mail).not.toHaveBeenCalled();
+	});
+
+	it('should log store write failures without failing the send', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, {
+			logger: mock_logger,
+			sequence_store: {
+				get: () => undefined,
+				set: () => Promise.reject(new Error('Store offline'))
+			}
+		});
+
+		await expect(mailer.send_mail(invite({ uid: 'standup@example.com' }))).resolves.toBeDefined();
+		expect(mock_logger).toHaveBeenCalledWith('warn', 'Failed to store calendar sequence', {
+			error: 'Store offline',
+			uid: 'standup@example.com',
+			sequence: 0
+		});
+	});
+
+	it('should reject a sequence store without get and set', () => {
+		expect(() => new DualMailer(basic_smtp_config, { sequence_store: { get: () => 0 } })).toThrow(
+			'sequence_store must implement get and set'
+		);
+	});
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+vi.mock('nodemailer-mailgun-transport', () => ({
+	default: vi.fn((config) => ({ name: 'mailgun', ...config }))
+}));
+
+const create_mock_transporter = () => ({
+	verify: vi.fn().mockResolvedValue(true),
+	sendMail: vi.fn().mockResolvedValue({ response: 'OK' }),
+	isIdle: vi.fn().mockReturnValue(true),
+	close: vi.fn().mockResolvedValue(true)
+});
+
+// Connection-level failures count toward the breaker; permanent rejections do not
+const send_failed = () => Object.assign(new Error('Send failed'), { code: 'ECONNRESET' });
+
+describe('DualMailer - Circuit Breaker', () => {
+	let mailer;
+	let mock_logger;
+	let smtp_transporter;
+	let mailgun_transporter;
+
+	const smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const email_data = {
+		to: 'test@example.com',
+		subject: 'Test',
+		html: { title: 'Test', body: '<p>Test</p>' }
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		vi.useFakeTimers();
+		mock_logger = vi.fn();
+		smtp_transporter = create_mock_transporter();
+		mailgun_transporter = create_mock_transporter();
+		nodemailer.createTransport.mockImplementation((config) =>
+			config.name === 'mailgun' ? mailgun_transporter : smtp_transporter
+		);
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+		vi.useRealTimers();
+	});
+
+	it('should open the circuit after the failure threshold and fail fast', async () => {
+		smtp_transporter.sendMail.mockRejectedValue(send_failed());
+		mailer = new DualMailer(smtp_config, {
+			logger: mock_logger,
+			circuit_breaker: { failure_threshold: 2 }
+		});
+
+		await expect(mailer.send_mail(email_data)).rejects.toThrow('Send failed');
+		await expect(mailer.send_mail(email_data)).rejects.toThrow('Send failed');
+
+		expect(mock_logger).toHaveBeenCalledWith(
+			'warn',
+			'Circuit open',
+			expect.objectContaining({ transport: 'SMTP', previous_state: 'closed', failures: 2 })
+		);
+
+		await expect(mailer.send_mail(email_data)).rejects.toEqual(
+			expect.objectContaining({
+				name: 'EmailError',
+				code: EMAIL_ERROR_CODES.CIRCUIT_OPEN
+			})
+		);
+		expect(smtp_transporter.sendMail).toHaveBeenCalledTimes(2);
+	});
+
+	it('should leave the circuit closed when recipients are rejected', async () => {
+		smtp_transporter.sendMail.mockRejectedValue(
+			Object.assign(new Error('550 5.1.1 Mailbox does not exist'), { responseCode: 550 })
+		);
+		mailer = new DualMailer(smtp_config, {
+			logger: mock_logger,
+			circuit_breaker: { failure_threshold: 2 }
+		});
+
+		for (let send = 0; send < 3; send++) {
+			await expect(mailer.send_mail({ ...email_data, to: 'gone@example.com' })).rejects.toEqual(
+				expect.objectContaining({ code: EMAIL_ERROR_CODES.SEND })
+			);
+		}
+		smtp_transporter.sendMail.mockResolvedValue({ response: 'OK' });
+
+		await expect(mailer.send_mail(email_data)).resolves.toEqual(
+			expect.objectContaining({ transport: 'SMTP' })
+		);
+		expect(mock_logger).not.toHaveBeenCalledWith('warn', 'Circuit open', expect.anything());
+	});
+
+	it('should close the circuit after a successful probe', async () => {
+		smtp_transporter.sendMail.mockRejectedValueOnce(send_failed());
+		mailer = new DualMailer(smtp_config, {
+			logger: mock_logger,
+			circuit_breaker: { failure_threshold: 1, reset_timeout: 10000 }
+		});
+
+		await expect(mailer.send_mail(email_data)).rejects.toThrow('Send failed');
+		await expect(mailer.send_mail(email_data)).rejects.toEqual(
+			expect.objectContaining({ code: EMAIL_ERROR_CODES.CIRCUIT_OPEN })
+		);
+
+		vi.advanceTimersByTime(10000);
+		await mailer.send_mail(email_data);
+
+		expect(mock_logger).toHaveBeenCalledWith(
+			'info',
+			'Circuit half-open',
+			expect.objectContaining({ previous_state: 'open' })
+		);
+		expect(mock_logger).toHaveBeenCalledWith(
+			'info',
+			'Circuit closed',
+			expect.objectContaining({ previous_state: 'half_open' })
+		);
+
+		// Circuit is closed again, so sends go through normally
+		await mailer.send_mail(email_data);
+		expect(smtp_transporter.sendMail).toHaveBeenCalledTimes(3);
+	});
+
+	it('should reopen the circuit when the probe fails', async () => {
+		smtp_transporter.sendMail.mockRejectedValue(send_failed());
+		mailer = new DualMailer(smtp_config, {
+			logger: mock_logger,
+			circuit_breaker: { failure_threshold: 1, reset_timeout: 10000 }
+		});
+
+		await expect(mailer.send_mail(email_data)).rejects.toThrow('Send failed');
+		vi.advanceTimersByTime(10000);
+		await expect(mailer.send_mail(email_data)).rejects.toThrow('Send failed');
+
+		expect(mock_logger).toHaveBeenCalledWith(
+			'warn',
+			'Circuit open',
+			expect.objectContaining({ previous_state: 'half_open' })
+		);
+		await expect(mailer.send_mail(email_data)).rejects.toEqual(
+			expect.objectContaining({ code: EMAIL_ERROR_CODES.CIRCUIT_OPEN })
+		);
+	});
+
+	it('should allow a single probe while half-open', async () => {
+		let resolve_probe;
+		mailer = new DualMailer(smtp_config, {
+			circuit_breaker: { failure_threshold: 1, reset_timeout: 10000 }
+		});
+
+		smtp_transporter.sendMail.mockRejectedValueOnce(send_failed());
+		await expect(mailer.send_mail(email_data)).rejects.toThrow('Send failed');
+		vi.advanceTimersByTime(10000);
+
+		smtp_transporter.sendMail.mockImplementationOnce(
+			() => new Promise((resolve) => (resolve_probe = resolve))
+		);
+		const probe = mailer.send_mail(email_data);
+		await vi.waitFor(() => expect(resolve_probe).toBeDefined());
+
+		await expect(mailer.send_mail(email_data)).rejects.toEqual(
+			expect.objectContaining({ code: EMAIL_ERROR_CODES.CIRCUIT_OPEN })
+		);
+
+		resolve_probe({ response: 'OK' });
+		await expect(probe).resolves.toEqual(expect.objectContaining({ transport: 'SMTP' }));
+	});
+
+	it('should fail over while the primary circuit is open', async () => {
+		smtp_transporter.sendMail.mockRejectedValue(
+			Object.assign(new Error('Connection lost'), { code: 'ECONNECTION' })
+		);
+		mailer = new DualMailer(
+			{ ...smtp_config, mailgun_api_key: 'test-key', mailgun_domain: 'test.com' },
+			{ circuit_breaker: { failure_threshold: 1 } }
+		);
+
+		await expect(mailer.send_mail(email_data)).resolves.toEqual(
+			expect.objectContaining({ transport: 'Mailgun' })
+		);
+		await expect(mailer.send_mail(email_data)).resolves.toEqual(
+			expect.objectContaining({ transport: 'Mailgun' })
+		);
+
+		// The open SMTP circuit is skipped entirely on the second send
+		expect(smtp_transporter.sendMail).toHaveBeenCalledTimes(1);
+		expect(mailgun_transporter.sendMail).toHaveBeenCalledTimes(2);
+	});
+});
@@ -0,0 +1,134 @@
+import { appendFile, readFile, rename, truncate, writeFile } from 'fs/promises';
+import { EmailError, EMAIL_ERROR_CODES } from './errors.js';
+
+/**
+ * @typedef {Object} DeadLetterAttempt
+ * @property {number} attempt - Attempt number, from 1
+ * @property {string} transport - Transport that failed ('SMTP', 'Mailgun' or an adapter name)
+ * @property {string} relay - Name of the SMTP relay, 'mailgun' or the adapter name
+ * @property {string} error - Error message
+ * @property {string} [code] - Error code, when the transport gave one
+ * @property {string} failed_at - ISO timestamp of the failure
+ */
+
+/**
+ * @typedef {Object} DeadLetter
+ * @property {string} id - Letter ID
+ * @property {Object} payload - Email as JSON (Buffer and stream attachments are stored as base64), with the Message-ID it was sent with
+ * @property {{ message: string, code: string }} error - Error send_mail threw
+ * @property {DeadLetterAttempt[]} attempts - Every failed try, across retries and failover
+ * @property {string} first_attempt_at - ISO timestamp the send started at
+ * @property {string} failed_at - ISO timestamp the mailer gave up at
+ */
+
+/**
+ * @typedef {Object} DeadLetterSink
+ * @property {(letter: DeadLetter) => void|Promise<void>} write - Stores a letter
+ * @property {() => DeadLetter[]|Promise<DeadLetter[]>} [read] - Stored letters, oldest first, for replay_dead_letters
+ * @property {(ids: string[]) => void|Promise<void>} [remove] - Drops letters that were sent again
+ */
+
+/**
+ * Parses letter lines. A partial last line, left by a crash mid-write, is ignored.
+ * @param {string} content - File content
+ * @param {string} path - File path for error messages
+ * @returns {DeadLetter[]}
+ */
+function parse_letters(content, path) {
+	const letters = [];
+	const lines = content.split('\n');
+	lines.forEach((line, index) => {
+		if (line.trim() === '') return;
+
+		try {
+			letters.push(JSON.parse(line));
+		} catch (error) {
+			if (index === lines.length - 1) return;
+			throw new EmailError(
+				`Dead letter file ${path} is corrupt at line ${index + 1}`,
+				EMAIL_ERROR_CODES.CONFIGURATION,
+				error
+			);
+		}
+	});
+	return letters;
+}
+
+/**
+ * Leaves the file ending in a complete line after a crash mid-write, so the next letter starts a
+ * line of its own. A partial last line is cut off; a last line missing only its newline gets one.
+ * @param {string} path - Letter file
+ * @returns {Promise<void>}
+ */
+async function repair_file_end(path) {
+	let content;
+	try {
+		content = await readFile(path, 'utf8');
+	} catch (error) {
+		if (error.code === 'ENOENT') return;
+		throw error;
+	}
+	if (content === '' || content.endsWith('\n')) return;
+
+	const start = content.lastIndexOf('\n') + 1;
+	try {
+		JSON.parse(content.slice(start));
+	} catch {
+		await truncate(path, Buffer.byteLength(content.slice(0, start)));
+		return;
+	}
+	await appendFile(path, '\n');
+}
+
+/**
+ * Creates a dead letter sink that appends letters to a file, one JSON object per line
+ * @param {string} path - Letter file, created if missing
+ * @returns {Required<DeadLetterSink>}
+ */
+export function create_file_dead_letter_sink(path) {
+	/** @type {Promise<unknown>} */
+	let writing = Promise.resolve();
+	let repaired = false;
+
+	// Reads and writes run one at a time, in order, so a removal never drops a letter written meanwhile
+	const serialize = (operation) => {
+		const result = writing.then(operation);
+		writing = result.catch(() => {});
+		return result;
+	};
+
+	const load = async () => {
+		try {
+			return parse_letters(await readFile(path, 'utf8'), path);
+		} catch (error) {
+			if (error.code === 'ENOENT') return [];
+			throw error;
+		}
+	};
+
+	return {
+		write: (letter) =>
+			serialize(async () => {
+				// Only a crash before this sink was created can leave a partial line
+				if (!repaired) {
+					await repair_file_end(path);
+					repaired = true;
+				}
+				await appendFile(path, `${JSON.stringify(letter)}\n`);
+			}),
+		read: () => serialize(load),
+		remove: (ids) =>
+			serialize(async () => {
+				const removed = new Set(ids);
+				const letters = await load();
+				if (!letters.some((letter) => removed.has(letter.id))) return;
+
+				const lines = letters
+					.filter((letter) => !removed.has(letter.id))
+					.map((letter) => `${JSON.stringify(letter)}\n`);
+				// Write a new file and swap it in, so a crash leaves either the old or the new one
+				await writeFile(`${path}.tmp`, lines.join(''));
+				await rename(`${path}.tmp`, path);
+			})
+	};
+}
@@ -0,0 +1,298 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { appendFile, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import nodemailer from 'nodemailer';
+import { DualMailer, create_file_dead_letter_sink, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+describe('DualMailer - Dead Letters', () => {
+	let mailer;
+	let mock_send_mail;
+	let dir;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const email_data = {
+		to: 'test@example.com',
+		subject: 'Receipt #1001',
+		html: { title: 'Receipt', body: '<p>Thanks for your order</p>' }
+	};
+
+	const create_mailer = (options = {}) =>
+		new DualMailer(basic_smtp_config, {
+			silent: true,
+			retry: { max_retries: 1, retry_delay: 10 },
+			...options
+		});
+
+	beforeEach(async () => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockRejectedValue(new Error('Mailbox unavailable'));
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+		dir = await mkdtemp(join(tmpdir(), 'dual-mailer-dead-letters-'));
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	it('should hand failed emails to the sink with every attempt', async () => {
+		const dead_letter = vi.fn();
+		mailer = create_mailer({ dead_letter });
+
+		await expect(mailer.send_mail(email_data)).rejects.toEqual(
+			expect.objectContaining({ code: EMAIL_ERROR_CODES.SEND })
+		);
+
+		expect(dead_letter).toHaveBeenCalledTimes(1);
+		const [letter] = dead_letter.mock.calls[0];
+		expect(letter).toEqual({
+			id: expect.any(String),
+			payload: { ...email_data, message_id: expect.stringMatching(/^<.+@example\.com>$/) },
+			error: {
+				message: 'Failed to send email after 2 attempt(s): Mailbox unavailable',
+				code: EMAIL_ERROR_CODES.SEND
+			},
+			attempts: [1, 2].map((attempt) => ({
+				attempt,
+				transport: 'SMTP',
+				relay: expect.any(String),
+				error: 'Mailbox unavailable',
+				failed_at: expect.any(String)
+			})),
+			first_attempt_at: expect.any(String),
+			failed_at: expect.any(String)
+		});
+		expect(Date.parse(letter.first_attempt_at)).toBeLessThanOrEqual(Date.parse(letter.failed_at));
+	});
+
+	it('should not dead-letter invalid emails', async () => {
+		const dead_letter = vi.fn();
+		mailer = create_mailer({ dead_letter });
+
+		await expect(mailer.send_mail({ ...email_data, to: 'nobody' })).rejects.toEqual(
+			expect.objectContaining({ code: EMAIL_ERROR_CODES.VALIDATION })
+		);
+		await expect(mailer.send_mail(undefined)).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'Email payload must be an object'
+			})
+		);
+		expect(dead_letter).not.toHaveBeenCalled();
+	});
+
+	it('should store attachments, including read streams, as JSON', async () => {
+		const dead_letter = vi.fn();
+		mailer = create_mailer({ dead_letter });
+
+		await expect(
+			mailer.send_mail({
+				...email_data,
+				attachments: [
+					{ filename: 'a.txt', content: Buffer.from('hello') },
+					{ filename: 'b.txt', content: Readable.from(['stream']) }
+				]
+			})
+		).rejects.toThrow('Mailbox unavailable');
+
+		expect(dead_letter.mock.calls[0][0].payload.attachments).toEqual([
+			{ filename: 'a.txt', content: 'aGVsbG8=', encoding: 'base64' },
+			{ filename: 'b.txt', content: 'c3RyZWFt', encoding: 'base64' }
+		]);
+	});
+
+	it('should log a failing sink and still throw the send error', async () => {
+		const logger = vi.fn();
+		mailer = create_mailer({
+			silent: false,
+			logger,
+			dead_letter: { write: vi.fn().mockRejectedValue(new Error('Disk full')) }
+		});
+
+		await expect(mailer.send_mail(email_data)).rejects.toThrow('Mailbox unavailable');
+		expect(logger).toHaveBeenCalledWith('error', 'Failed to write dead letter', {
+			message_id: expect.any(String),
+			error: 'Disk full'
+		});
+	});
+
+	it('should write, read and remove letters in a file', async () => {
+		const path = join(dir, 'dead-letters.jsonl');
+		const sink = create_file_dead_letter_sink(path);
+
+		expect(await sink.read()).toEqual([]);
+		await Promise.all([sink.write({ id: 'a' }), sink.write({ id: 'b' }), sink.write({ id: 'c' })]);
+		await sink.remove(['b', 'missing']);
+
+		expect(await sink.read()).toEqual([{ id: 'a' }, { id: 'c' }]);
+		expect(await readFile(path, 'utf8')).toBe('{"id":"a"}\n{"id":"c"}\n');
+
+		// A crash mid-write leaves a partial last line
+		await writeFile(path, '{"id":"a"}\n{"id":');
+		expect(await sink.read()).toEqual([{ id: 'a' }]);
+		await writeFile(path, '{"id":\n{"id":"a"}\n');
+		await expect(sink.read()).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.CONFIGURATION,
+				message: `Dead letter file ${path} is corrupt at line 1`
+			})
+		);
+	});
+
+	it('should write after a crash mid-write and read the letters on the next restart', async () => {
+		const path = join(dir, 'dead-letters.jsonl');
+		await create_file_dead_letter_sink(path).write({ id: 'a' });
+		await appendFile(path, '{"id":"b","pay');
+
+		await create_file_dead_letter_sink(path).write({ id: 'c' });
+		expect(await create_file_dead_letter_sink(path).read()).toEqual([{ id: 'a' }, { id: 'c' }]);
+
+		// A last line missing only its newline is kept
+		await writeFile(path, '{"id":"a"}');
+		await create_file_dead_letter_sink(path).write({ id: 'd' });
+		expect(await create_file_dead_letter_sink(path).read()).toEqual([{ id: 'a' }, { id: 'd' }]);
+	});
+
+	it('should replay letters from the sink and keep the ones that fail again', async () => {
+		const path = join(dir, 'dead-letters.jsonl');
+		mailer = create_mailer({
+			dead_letter: create_file_dead_letter_sink(path),
+			// Keeps the circuit closed through the failures, so the replay reaches the server
+			circuit_breaker: { failure_threshold: 10 }
+		});
+		await expect(mailer.send_mail(email_data)).rejects.toThrow();
+		await expect(mailer.send_mail({ ...email_data, to: 'bounce@example.com' })).rejects.toThrow();
+		const letters = await create_file_dead_letter_sink(path).read();
+
+		mock_send_mail.mockReset();
+		mock_send_mail.mockImplementation(async (mail) => {
+			if (mail.to === 'bounce@example.com') throw new Error('Mailbox unavailable');
+			return { response: 'OK' };
+		});
+		const report = await mailer.replay_dead_letters();
+
+		expect(report).toEqual(expect.objectContaining({ total: 2, sent: 1, scheduled: 0, failed: 1 }));
+		expect(report.results).toEqual([
+			{
+				id: letters[0].id,
+				status: 'sent',
+				result: expect.objectContaining({ message_id: letters[0].payload.message_id })
+			},
+			{
+				id: letters[1].id,
+				status: 'failed',
+				error: {
+					message: 'Failed to send email after 2 attempt(s): Mailbox unavailable',
+					code: EMAIL_ERROR_CODES.SEND
+				}
+			}
+		]);
+		expect(mock_send_mail.mock.calls[0][0].messageId).toBe(letters[0].payload.message_id);
+		expect(await create_file_dead_letter_sink(path).read()).toEqual([letters[1]]);
+	});
+
+	it('should keep held letters in the sink until they are sent', async () => {
+		const path = join(dir, 'dead-letters.jsonl');
+		const sink = create_file_dead_letter_sink(path);
+		mailer = create_mailer({ dead_letter: sink });
+		const letter = (id, send_at) => ({
+			id,
+			payload: { ...email_data, send_at },
+			error: { message: 'Mailbox unavailable', code: EMAIL_ERROR_CODES.SEND },
+			attempts: [],
+			first_attempt_at: new Date().toISOString(),
+			failed_at: new Date().toISOString()
+		});
+		await sink.write(letter('soon', new Date(Date.now() + 50).toISOString()));
+		await sink.write(letter('later', new Date(Date.now() + 60 * 60 * 1000).toISOString()));
+		mock_send_mail.mockResolvedValue({ response: 'OK' });
+
+		const report = await mailer.replay_dead_letters();
+
+		expect(report).toEqual(expect.objectContaining({ total: 2, sent: 0, scheduled: 2 }));
+		expect((await sink.read()).map(({ id }) => id)).toEqual(['soon', 'later']);
+
+		await report.results[0].result.delivery;
+		await vi.waitFor(async () => {
+			expect((await sink.read()).map(({ id }) => id)).toEqual(['later']);
+		});
+		expect(await mailer.destroy()).toHaveLength(1);
+		mailer = null;
+		expect((await sink.read()).map(({ id }) => id)).toEqual(['later']);
+	});
+
+	it('should replay letters given directly', async () => {
+		const letters = [];
+		mailer = create_mailer({ dead_letter: (letter) => letters.push(letter) });
+		await expect(mailer.send_mail(email_data)).rejects.toThrow();
+
+		await expect(mailer.replay_dead_letters()).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.CONFIGURATION,
+				message: 'replay_dead_letters needs letters, or a dead_letter sink that implements read'
+			})
+		);
+		await expect(mailer.replay_dead_letters('letters')).rejects.toThrow('letters must be an array');
+
+		mock_send_mail.mockResolvedValue({ response: 'OK' });
+		const report = await mailer.replay_dead_letters(letters);
+
+		expect(report.sent).toBe(1);
+		expect(letters).toHaveLength(1);
+	});
+
+	it('should report letters that were sent but could not be removed', async () => {
+		const logger = vi.fn();
+		const letters = [];
+		mailer = create_mailer({
+			silent: false,
+			logger,
+			dead_letter: {
+				write: (letter) => letters.push(letter),
+				remove: vi.fn().mockRejectedValueOnce(new Error('Disk full'))
+			},
+			circuit_breaker: { failure_threshold: 10 }
+		});
+		await expect(mailer.send_mail(email_data)).rejects.toThrow();
+		await expect(mailer.send_mail(email_data)).rejects.toThrow();
+
+		mock_send_mail.mockResolvedValue({ response: 'OK' });
+		const report = await mailer.replay_dead_letters(letters);
+
+		expect(report).toEqual(expect.objectContaining({ total: 2, sent: 2, failed: 0 }));
+		expect(report.results[0]).toEqual(
+			expect.objectContaining({ status: 'sent', remove_error: 'Disk full' })
+		);
+		expect(report.results[1]).not.toHaveProperty('remove_error');
+		expect(logger).toHaveBeenCalledWith('error', 'Failed to remove dead letter', {
+			id: letters[0].id,
+			error: 'Disk full'
+		});
+	});
+
+	it('should reject an invalid sink', () => {
+		expect(() => create_mailer({ dead_letter: {} })).toThrow(
+			'Configuration error: dead_letter must be a function or implement write'
+		);
+	});
+});
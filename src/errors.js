@@ -0,0 +1,36 @@
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} field - Payload field the problem is in, e.g. 'subject' or 'attachments[0]'
+ * @property {string} message - What is wrong with it
+ */
+
+/**
+ * Custom error class for email-related errors
+ */
+export class EmailError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {string} code - One of EMAIL_ERROR_CODES
+	 * @param {Error|null} [original_error] - Underlying error, if any
+	 * @param {ValidationIssue[]} [details] - Every problem found, for validation errors
+	 */
+	constructor(message, code, original_error = null, details) {
+		super(message);
+		this.name = 'EmailError';
+		this.code = code;
+		this.original_error = original_error;
+		if (details) this.details = details;
+	}
+}
+
+/**
+ * Error codes for common email issues
+ */
+export const EMAIL_ERROR_CODES = {
+	CONFIGURATION: 'EMAIL_CONFIG_ERROR',
+	TRANSPORT: 'EMAIL_TRANSPORT_ERROR',
+	VALIDATION: 'EMAIL_VALIDATION_ERROR',
+	SEND: 'EMAIL_SEND_ERROR',
+	CONNECTION: 'EMAIL_CONNECTION_ERROR',
+	CIRCUIT_OPEN: 'EMAIL_CIRCUIT_OPEN_ERROR'
+};
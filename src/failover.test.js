@@ -0,0 +1,158 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, EmailError, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+vi.mock('nodemailer-mailgun-transport', () => ({
+	default: vi.fn((config) => ({ name: 'mailgun', ...config }))
+}));
+
+const create_mock_transporter = () => ({
+	verify: vi.fn().mockResolvedValue(true),
+	sendMail: vi.fn().mockResolvedValue({ response: 'OK' }),
+	isIdle: vi.fn().mockReturnValue(true),
+	close: vi.fn().mockResolvedValue(true)
+});
+
+describe('DualMailer - Failover', () => {
+	let mailer;
+	let smtp_transporter;
+	let mailgun_transporter;
+
+	const dual_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		mailgun_api_key: 'test-key',
+		mailgun_domain: 'test.com',
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const email_data = {
+		to: 'test@example.com',
+		subject: 'Test',
+		html: { title: 'Test', body: '<p>Test</p>' }
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		smtp_transporter = create_mock_transporter();
+		mailgun_transporter = create_mock_transporter();
+		nodemailer.createTransport.mockImplementation((config) =>
+			config.name === 'mailgun' ? mailgun_transporter : smtp_transporter
+		);
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should send through SMTP first by default', async () => {
+		mailer = new DualMailer(dual_config);
+
+		await expect(mailer.send_mail(email_data)).resolves.toEqual(
+			expect.objectContaining({ transport: 'SMTP' })
+		);
+		expect(smtp_transporter.sendMail).toHaveBeenCalledTimes(1);
+		expect(mailgun_transporter.sendMail).not.toHaveBeenCalled();
+	});
+
+	it('should respect a configured primary transport', async () => {
+		mailer = new DualMailer({ ...dual_config, primary_transport: 'mailgun' });
+
+		await expect(mailer.send_mail(email_data)).resolves.toEqual(
+			expect.objectContaining({ transport: 'Mailgun' })
+		);
+		expect(mailgun_transporter.sendMail).toHaveBeenCalledTimes(1);
+		expect(smtp_transporter.sendMail).not.toHaveBeenCalled();
+	});
+
+	it('should fail over to Mailgun when SMTP verification fails', async () => {
+		const mock_logger = vi.fn();
+		smtp_transporter.verify.mockRejectedValue(new Error('Connection refused'));
+		mailer = new DualMailer(dual_config, { logger: mock_logger });
+
+		await expect(mailer.send_mail(email_data)).resolves.toEqual(
+			expect.objectContaining({ transport: 'Mailgun' })
+		);
+		expect(mailgun_transporter.sendMail).toHaveBeenCalledTimes(1);
+		expect(mock_logger).toHaveBeenCalledWith(
+			'warn',
+			'Transport unavailable, failing over',
+			expect.objectContaining({ transport: 'SMTP', next_transport: 'Mailgun' })
+		);
+		expect(mock_logger).toHaveBeenCalledWith(
+			'info',
+			'Email sent successfully',
+			expect.objectContaining({ transport: 'Mailgun', failed_over: true })
+		);
+	});
+
+	it('should fail over to SMTP when a Mailgun send fails with a transient error', async () => {
+		mailgun_transporter.sendMail.mockRejectedValueOnce(
+			Object.assign(new Error('Service Unavailable'), { status: 503 })
+		);
+		mailer = new DualMailer({ ...dual_config, primary_transport: 'mailgun' });
+
+		await expect(mailer.send_mail(email_data)).resolves.toEqual(
+			expect.objectContaining({ transport: 'SMTP' })
+		);
+		expect(smtp_transporter.sendMail).toHaveBeenCalledTimes(1);
+	});
+
+	it('should fail over on temporary SMTP replies', async () => {
+		smtp_transporter.sendMail.mockRejectedValueOnce(
+			Object.assign(new Error('Mailbox busy'), { responseCode: 450 })
+		);
+		mailer = new DualMailer(dual_config);
+
+		await expect(mailer.send_mail(email_data)).resolves.toEqual(
+			expect.objectContaining({ transport: 'Mailgun' })
+		);
+	});
+
+	it('should not fail over on permanent errors', async () => {
+		smtp_transporter.sendMail.mockRejectedValueOnce(
+			Object.assign(new Error('Mailbox unavailable'), { responseCode: 550 })
+		);
+		mailer = new DualMailer(dual_config);
+
+		await expect(mailer.send_mail(email_data)).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.SEND,
+				message: 'Failed to send email after 1 attempt(s): Mailbox unavailable'
+			})
+		);
+		expect(mailgun_transporter.sendMail).not.toHaveBeenCalled();
+	});
+
+	it('should throw when every transport is unavailable', async () => {
+		smtp_transporter.verify.mockRejectedValue(new Error('Connection refused'));
+		mailgun_transporter.verify.mockRejectedValue(new Error('Unauthorized'));
+		mailer = new DualMailer(dual_config);
+
+		await expect(mailer.send_mail(email_data)).rejects.toThrow(
+			'Failed to create transporter: Unauthorized'
+		);
+	});
+
+	it('should reject an unconfigured primary transport', () => {
+		expect(
+			() =>
+				new DualMailer({
+					host: 'smtp.test.com',
+					port: 587,
+					primary_transport: 'mailgun'
+				})
+		).toThrow(EmailError);
+		expect(() => new DualMailer({ ...dual_config, primary_transport: 'sendgrid' })).toThrow(
+			'primary_transport must be "smtp", "mailgun" or the name of a registered adapter'
+		);
+	});
+});
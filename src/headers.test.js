@@ -0,0 +1,191 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+vi.mock('nodemailer-mailgun-transport', () => ({
+	default: vi.fn((config) => ({ name: 'mailgun', ...config }))
+}));
+
+describe('DualMailer - Headers', () => {
+	let mailer;
+	let mock_send_mail;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const email_data = {
+		to: 'test@example.com',
+		subject: 'Newsletter',
+		html: { title: 'Newsletter', body: '<p>News</p>' }
+	};
+
+	const unsubscribe = {
+		url: 'https://example.com/unsubscribe?token=abc',
+		mailto: 'unsubscribe@example.com'
+	};
+
+	const sent_message = () => mock_send_mail.mock.calls[0][0];
+
+	const expect_validation_error = (promise, message) =>
+		expect(promise).rejects.toEqual(
+			expect.objectContaining({ code: EMAIL_ERROR_CODES.VALIDATION, message })
+		);
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should pass custom headers through', async () => {
+		await mailer.send_mail({
+			...email_data,
+			headers: { 'X-Campaign': 'spring-sale', 'X-Priority': 1 }
+		});
+
+		expect(sent_message().headers).toEqual({ 'X-Campaign': 'spring-sale', 'X-Priority': '1' });
+	});
+
+	it('should not add headers when none are given', async () => {
+		await mailer.send_mail(email_data);
+
+		expect(sent_message()).not.toHaveProperty('headers');
+	});
+
+	it('should add one-click List-Unsubscribe headers', async () => {
+		await mailer.send_mail({ ...email_data, unsubscribe });
+
+		expect(sent_message().headers).toEqual({
+			'List-Unsubscribe':
+				'<mailto:unsubscribe@example.com>, <https://example.com/unsubscribe?token=abc>',
+			'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+		});
+	});
+
+	it('should only add List-Unsubscribe-Post for an https URL', async () => {
+		await mailer.send_mail({
+			...email_data,
+			unsubscribe: { mailto: 'mailto:unsubscribe@example.com?subject=unsubscribe' }
+		});
+
+		expect(sent_message().headers).toEqual({
+			'List-Unsubscribe': '<mailto:unsubscribe@example.com?subject=unsubscribe>'
+		});
+	});
+
+	it('should send the headers as h: fields through Mailgun', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(
+			{
+				mailgun_api_key: 'test-key',
+				mailgun_domain: 'test.com',
+				noreply_email: 'noreply@test.com'
+			},
+			{ silent: true }
+		);
+		await mailer.send_mail({
+			...email_data,
+			headers: { 'X-Campaign': 'spring-sale' },
+			unsubscribe
+		});
+
+		expect(sent_message()).toEqual(
+			expect.objectContaining({
+				'h:X-Campaign': 'spring-sale',
+				'h:List-Unsubscribe':
+					'<mailto:unsubscribe@example.com>, <https://example.com/unsubscribe?token=abc>',
+				'h:List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+			})
+		);
+		expect(sent_message()).not.toHaveProperty('headers');
+	});
+
+	it('should reject header values with line breaks', async () => {
+		await expect_validation_error(
+			mailer.send_mail({ ...email_data, headers: { 'X-Tag': 'a\r\nBcc: victim@example.com' } }),
+			'Header "X-Tag" must not contain line breaks'
+		);
+		await expect_validation_error(
+			mailer.send_mail({ ...email_data, headers: { 'X-Tag': 'a\nb' } }),
+			'Header "X-Tag" must not contain line breaks'
+		);
+		expect(mock_send_mail).not.toHaveBeenCalled();
+	});
+
+	it('should reject invalid header names and values', async () => {
+		await expect_validation_error(
+			mailer.send_mail({ ...email_data, headers: { 'X-Bad\r\nBcc': 'x' } }),
+			'Invalid header name "X-Bad\r\nBcc"'
+		);
+		await expect_validation_error(
+			mailer.send_mail({ ...email_data, headers: { 'X Tag': 'x' } }),
+			'Invalid header name "X Tag"'
+		);
+		await expect_validation_error(
+			mailer.send_mail({ ...email_data, headers: { 'X-Tag': { nested: true } } }),
+			'Header "X-Tag" must be a string or number'
+		);
+		await expect_validation_error(
+			mailer.send_mail({ ...email_data, headers: ['X-Tag: x'] }),
+			'headers must be an object'
+		);
+	});
+
+	it('should reject headers send_mail sets itself', async () => {
+		await expect_validation_error(
+			mailer.send_mail({ ...email_data, headers: { bcc: 'victim@example.com' } }),
+			'Header "bcc" is set by send_mail and cannot be given in headers'
+		);
+		await expect_validation_error(
+			mailer.send_mail({
+				...email_data,
+				unsubscribe,
+				headers: { 'List-Unsubscribe': '<https://example.com/other>' }
+			}),
+			'Header "List-Unsubscribe" conflicts with the unsubscribe option'
+		);
+	});
+
+	it('should reject invalid unsubscribe options', async () => {
+		await expect_validation_error(
+			mailer.send_mail({ ...email_data, unsubscribe: {} }),
+			'unsubscribe requires a url, a mailto address or both'
+		);
+		await expect_validation_error(
+			mailer.send_mail({ ...email_data, unsubscribe: { url: 'http://example.com/unsubscribe' } }),
+			'unsubscribe.url must be an absolute https URL (RFC 8058)'
+		);
+		await expect_validation_error(
+			mailer.send_mail({
+				...email_data,
+				unsubscribe: { url: 'https://example.com/a>, <https://evil.example' }
+			}),
+			'unsubscribe.url must be an absolute https URL (RFC 8058)'
+		);
+		await expect_validation_error(
+			mailer.send_mail({ ...email_data, unsubscribe: { mailto: 'not an address' } }),
+			'unsubscribe.mailto must be an email address or mailto: URI'
+		);
+	});
+});
@@ -0,0 +1,513 @@
+import { randomUUID } from 'crypto';
+import { EmailError, EMAIL_ERROR_CODES } from './errors.js';
+
+/**
+ * @typedef {Object} WallClockTime
+ * @property {string} date_time - Local date and time without offset (YYYY-MM-DDTHH:mm[:ss])
+ * @property {string} time_zone - IANA time zone the local time is in
+ */
+
+/**
+ * @typedef {Date|string|number|WallClockTime} CalendarTime
+ */
+
+/**
+ * @typedef {Object} CalendarPerson
+ * @property {string} [name] - Display name
+ * @property {string} email - Email address
+ */
+
+/**
+ * @typedef {Object} CalendarAttendee
+ * @property {string} [name] - Display name
+ * @property {string} email - Email address
+ * @property {boolean} [rsvp=true] - Whether a reply is requested
+ * @property {string} [role='REQ-PARTICIPANT'] - REQ-PARTICIPANT, OPT-PARTICIPANT, NON-PARTICIPANT or CHAIR
+ * @property {string} [status='NEEDS-ACTION'] - Participation status (NEEDS-ACTION, ACCEPTED, DECLINED, TENTATIVE)
+ */
+
+/**
+ * @typedef {Object} CalendarRecurrence
+ * @property {'SECONDLY'|'MINUTELY'|'HOURLY'|'DAILY'|'WEEKLY'|'MONTHLY'|'YEARLY'} freq - Frequency
+ * @property {number} [interval] - Interval between occurrences
+ * @property {number} [count] - Number of occurrences
+ * @property {Date|string|number} [until] - Last possible occurrence
+ * @property {string[]} [by_day] - Weekdays, e.g. ['MO', 'WE'] or ['1MO', '-1FR']
+ * @property {number[]} [by_month_day] - Days of the month
+ * @property {number[]} [by_month] - Months (1-12)
+ */
+
+/**
+ * @typedef {Object} CalendarAlarm
+ * @property {number} minutes_before - Minutes before the start to trigger the alarm
+ * @property {string} [description] - Alarm text (defaults to the event summary)
+ */
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} [uid] - Unique event ID (generated if omitted)
+ * @property {number} [sequence=0] - Revision number of the event
+ * @property {string} summary - Event title
+ * @property {string} [description] - Event description
+ * @property {string} [location] - Event location
+ * @property {string} [url] - Event URL
+ * @property {CalendarTime} start - Start time
+ * @property {CalendarTime} [end] - End time (required unless all_day)
+ * @property {string} [time_zone] - IANA time zone to express absolute start/end times in (UTC if omitted)
+ * @property {boolean} [all_day] - All-day event; start/end are dates and end defaults to the next day
+ * @property {CalendarPerson} [organizer] - Event organizer
+ * @property {CalendarAttendee[]} [attendees] - Event attendees
+ * @property {string|CalendarRecurrence} [recurrence] - RRULE value or structured recurrence rule
+ * @property {CalendarAlarm[]} [alarms] - Reminders
+ * @property {'TENTATIVE'|'CONFIRMED'|'CANCELLED'} [status] - Event status
+ */
+
+/**
+ * Persists the last SEQUENCE sent for each event UID, so updates keep incrementing across
+ * process restarts. Both methods may return a promise.
+ * @typedef {Object} SequenceStore
+ * @property {(uid: string) => number|undefined|Promise<number|undefined>} get - Last sequence sent for the UID
+ * @property {(uid: string, sequence: number) => void|Promise<void>} set - Records the sequence sent for the UID
+ */
+
+const PRODID = '-//jvp//dual-mailer//EN';
+const FREQUENCIES = ['SECONDLY', 'MINUTELY', 'HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const DAY = 1000 * 60 * 60 * 24;
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const formatters = new Map();
+
+/**
+ * @param {string} message
+ * @returns {EmailError}
+ */
+function invalid(message) {
+	return new EmailError(`Invalid calendar event: ${message}`, EMAIL_ERROR_CODES.VALIDATION);
+}
+
+/**
+ * @param {string} time_zone
+ * @returns {Intl.DateTimeFormat}
+ */
+function get_formatter(time_zone) {
+	if (!formatters.has(time_zone)) {
+		try {
+			formatters.set(
+				time_zone,
+				new Intl.DateTimeFormat('en-US', {
+					timeZone: time_zone,
+					hourCycle: 'h23',
+					year: 'numeric',
+					month: '2-digit',
+					day: '2-digit',
+					hour: '2-digit',
+					minute: '2-digit',
+					second: '2-digit'
+				})
+			);
+		} catch {
+			throw invalid(`unknown time zone "${time_zone}"`);
+		}
+	}
+	return formatters.get(time_zone);
+}
+
+/**
+ * Wall-clock time of an instant in a time zone, expressed as if it were UTC
+ * @param {number} instant - Milliseconds since the epoch
+ * @param {string} time_zone
+ * @returns {number}
+ */
+function to_wall_clock(instant, time_zone) {
+	const parts = {};
+	for (const { type, value } of get_formatter(time_zone).formatToParts(new Date(instant))) {
+		parts[type] = Number(value);
+	}
+	return Date.UTC(
+		parts.year,
+		parts.month - 1,
+		parts.day,
+		parts.hour % 24,
+		parts.minute,
+		parts.second
+	);
+}
+
+/**
+ * UTC offset of a time zone at an instant, in minutes
+ * @param {number} instant
+ * @param {string} time_zone
+ * @returns {number}
+ */
+function get_offset(instant, time_zone) {
+	const seconds = Math.floor(instant / 1000) * 1000;
+	return Math.round((to_wall_clock(seconds, time_zone) - seconds) / 60000);
+}
+
+/**
+ * @param {number} ms - Wall-clock or UTC time as milliseconds
+ * @returns {string} YYYYMMDDTHHMMSS
+ */
+function format_date_time(ms) {
+	return new Date(ms).toISOString().replace(/[-:]/g, '').slice(0, 15);
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} YYYYMMDD
+ */
+function format_date(ms) {
+	return format_date_time(ms).slice(0, 8);
+}
+
+/**
+ * @param {number} minutes
+ * @returns {string} ±HHMM
+ */
+function format_offset(minutes) {
+	const sign = minutes < 0 ? '-' : '+';
+	const absolute = Math.abs(minutes);
+	return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Escapes a TEXT value (RFC 5545 section 3.3.11)
+ * @param {string} value
+ * @returns {string}
+ */
+function escape_text(value) {
+	return String(value)
+		.replace(/\\/g, '\\\\')
+		.replace(/;/g, '\\;')
+		.replace(/,/g, '\\,')
+		.replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Formats a parameter value, quoting it when needed (RFC 5545 section 3.2)
+ * @param {string} value
+ * @returns {string}
+ */
+function format_param(value) {
+	// DQUOTE and control characters are not allowed in parameter values
+	const cleaned = String(value).replace(/["\p{Cc}]/gu, '');
+	return /[:;,]/.test(cleaned) ? `"${cleaned}"` : cleaned;
+}
+
+/**
+ * @param {string} email
+ * @param {string} field - Field name for error messages
+ * @returns {string}
+ */
+function format_mailto(email, field) {
+	if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(email)) {
+		throw invalid(`${field} requires a valid email`);
+	}
+	return `mailto:${email}`;
+}
+
+/**
+ * Folds a content line to 75 octets without splitting multi-byte characters (RFC 5545 section 3.1)
+ * @param {string} line
+ * @returns {string}
+ */
+function fold_line(line) {
+	if (Buffer.byteLength(line) <= 75) return line;
+
+	const chunks = [];
+	let current = '';
+	let size = 0;
+	let limit = 75;
+	for (const char of line) {
+		const length = Buffer.byteLength(char);
+		if (size + length > limit) {
+			chunks.push(current);
+			current = '';
+			size = 0;
+			// Continuation lines start with a space
+			limit = 74;
+		}
+		current += char;
+		size += length;
+	}
+	chunks.push(current);
+	return chunks.join('\r\n ');
+}
+
+/**
+ * Resolves a calendar time to the value written to the file
+ * @param {CalendarTime} value
+ * @param {CalendarEvent} event
+ * @param {string} field - Field name for error messages
+ * @returns {{ instant: number, wall_clock?: number, time_zone?: string, date_only?: boolean }}
+ */
+function resolve_time(value, event, field) {
+	if (value && typeof value === 'object' && !(value instanceof Date)) {
+		const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/.exec(
+			value.date_time ?? ''
+		);
+		if (!match || !value.time_zone) {
+			throw invalid(`${field} requires date_time (YYYY-MM-DDTHH:mm[:ss]) and time_zone`);
+		}
+		const [, year, month, day, hour, minute, second] = match.map((part) => Number(part ?? 0));
+		const wall_clock = Date.UTC(year, month - 1, day, hour, minute, second);
+		const instant =
+			wall_clock -
+			get_offset(wall_clock - get_offset(wall_clock, value.time_zone) * 60000, value.time_zone) *
+				60000;
+		return { instant, wall_clock, time_zone: value.time_zone };
+	}
+
+	if (event.all_day && typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+		const instant = Date.parse(`${value}T00:00:00Z`);
+		return { instant, wall_clock: instant, date_only: true };
+	}
+
+	const instant = value instanceof Date ? value.getTime() : new Date(value).getTime();
+	if (value === undefined || value === null || Number.isNaN(instant)) {
+		throw invalid(`${field} is not a valid date`);
+	}
+	if (event.all_day) {
+		const date = event.time_zone ? to_wall_clock(instant, event.time_zone) : instant;
+		const midnight = Math.floor(date / DAY) * DAY;
+		return { instant: midnight, wall_clock: midnight, date_only: true };
+	}
+	if (event.time_zone) {
+		return {
+			instant,
+			wall_clock: to_wall_clock(instant, event.time_zone),
+			time_zone: event.time_zone
+		};
+	}
+	return { instant };
+}
+
+/**
+ * @param {string} name - Property name
+ * @param {{ instant: number, wall_clock?: number, time_zone?: string, date_only?: boolean }} time
+ * @returns {string}
+ */
+function format_time_property(name, time) {
+	if (time.date_only) return `${name};VALUE=DATE:${format_date(time.wall_clock)}`;
+	if (time.time_zone) {
+		return `${name};TZID=${format_param(time.time_zone)}:${format_date_time(time.wall_clock)}`;
+	}
+	return `${name}:${format_date_time(time.instant)}Z`;
+}
+
+/**
+ * Builds a VTIMEZONE component listing the UTC offset transitions around the event, from the
+ * year before the first year used until the year after the last one
+ * @param {string} time_zone
+ * @param {number[]} instants - Instants the event refers to
+ * @returns {string[]}
+ */
+function build_timezone(time_zone, instants) {
+	const years = instants.map((instant) => new Date(instant).getUTCFullYear());
+	const range_start = Date.UTC(Math.min(...years) - 1, 0, 1);
+	const range_end = Date.UTC(Math.max(...years) + 2, 0, 1);
+
+	const transitions = [];
+	let previous = range_start;
+	let previous_offset = get_offset(previous, time_zone);
+	for (let sample = range_start + DAY; sample <= range_end; sample += DAY) {
+		const offset = get_offset(sample, time_zone);
+		if (offset !== previous_offset) {
+			// Narrow the transition down to the minute
+			let low = previous;
+			let high = sample;
+			while (high - low > 60000) {
+				const middle = low + Math.floor((high - low) / 120000) * 60000;
+				if (get_offset(middle, time_zone) === previous_offset) low = middle;
+				else high = middle;
+			}
+			transitions.push({ instant: high, from: previous_offset, to: offset });
+			previous_offset = offset;
+		}
+		previous = sample;
+	}
+
+	const lines = ['BEGIN:VTIMEZONE', `TZID:${time_zone}`];
+	if (transitions.length === 0) {
+		const offset = format_offset(previous_offset);
+		lines.push(
+			'BEGIN:STANDARD',
+			'DTSTART:19700101T000000',
+			`TZOFFSETFROM:${offset}`,
+			`TZOFFSETTO:${offset}`,
+			'END:STANDARD'
+		);
+	} else {
+		const standard_offset = Math.min(...transitions.map((transition) => transition.to));
+		for (const transition of transitions) {
+			const type = transition.to === standard_offset ? 'STANDARD' : 'DAYLIGHT';
+			lines.push(
+				`BEGIN:${type}`,
+				`DTSTART:${format_date_time(transition.instant + transition.from * 60000)}`,
+				`TZOFFSETFROM:${format_offset(transition.from)}`,
+				`TZOFFSETTO:${format_offset(transition.to)}`,
+				`END:${type}`
+			);
+		}
+	}
+	lines.push('END:VTIMEZONE');
+	return lines;
+}
+
+/**
+ * @param {string|CalendarRecurrence} recurrence
+ * @param {boolean} date_only - Whether the event uses dates instead of date-times
+ * @returns {string}
+ */
+function format_recurrence(recurrence, date_only) {
+	if (typeof recurrence === 'string') {
+		const rule = recurrence.replace(/^RRULE:/i, '');
+		if (/[\r\n]/.test(rule) || !/(^|;)FREQ=/i.test(rule)) {
+			throw invalid('recurrence must be a single RRULE value with FREQ');
+		}
+		return `RRULE:${rule}`;
+	}
+
+	const freq = String(recurrence?.freq ?? '').toUpperCase();
+	if (!FREQUENCIES.includes(freq)) {
+		throw invalid(`recurrence.freq must be one of ${FREQUENCIES.join(', ')}`);
+	}
+	if (recurrence.count !== undefined && recurrence.until !== undefined) {
+		throw invalid('recurrence cannot have both count and until');
+	}
+
+	const parts = [`FREQ=${freq}`];
+	if (recurrence.interval !== undefined) parts.push(`INTERVAL=${Number(recurrence.interval)}`);
+	if (recurrence.count !== undefined) parts.push(`COUNT=${Number(recurrence.count)}`);
+	if (recurrence.until !== undefined) {
+		const until = new Date(recurrence.until).getTime();
+		if (Number.isNaN(until)) throw invalid('recurrence.until is not a valid date');
+		parts.push(`UNTIL=${date_only ? format_date(until) : `${format_date_time(until)}Z`}`);
+	}
+	if (recurrence.by_day?.length) {
+		if (!recurrence.by_day.every((day) => /^[+-]?\d{0,2}(MO|TU|WE|TH|FR|SA|SU)$/i.test(day))) {
+			throw invalid('recurrence.by_day must contain weekdays like MO or -1FR');
+		}
+		parts.push(`BYDAY=${recurrence.by_day.map((day) => day.toUpperCase()).join(',')}`);
+	}
+	if (recurrence.by_month_day?.length) {
+		parts.push(`BYMONTHDAY=${recurrence.by_month_day.map(Number).join(',')}`);
+	}
+	if (recurrence.by_month?.length)
+		parts.push(`BYMONTH=${recurrence.by_month.map(Number).join(',')}`);
+	return `RRULE:${parts.join(';')}`;
+}
+
+/**
+ * Generates a globally unique event UID, using the organizer's domain when available
+ * @param {CalendarEvent} event
+ * @returns {string}
+ */
+export function create_event_uid(event) {
+	return `${randomUUID()}@${event?.organizer?.email?.split('@')[1] ?? 'dual-mailer'}`;
+}
+
+/**
+ * Creates a sequence store that keeps sequences in memory for the lifetime of the process
+ * @returns {SequenceStore}
+ */
+export function create_memory_sequence_store() {
+	/** @type {Map<string, number>} */
+	const sequences = new Map();
+	return {
+		get: (uid) => sequences.get(uid),
+		set: (uid, sequence) => {
+			sequences.set(uid, sequence);
+		}
+	};
+}
+
+/**
+ * Generates RFC 5545 iCalendar content for a single event
+ * @param {CalendarEvent} event - Structured event
+ * @param {Object} [options]
+ * @param {string} [options.method='REQUEST'] - iTIP method written to the calendar (REQUEST, CANCEL, PUBLISH, ...)
+ * @returns {string} iCalendar content with CRLF line endings
+ * @throws {EmailError} If the event is invalid
+ */
+export function create_ical_content(event, options = {}) {
+	const method = String(options.method ?? 'REQUEST').toUpperCase();
+	if (!event || typeof event !== 'object') throw invalid('event must be an object');
+	if (!event.summary) throw invalid('summary is required');
+	if (event.time_zone) get_formatter(event.time_zone);
+
+	const start = resolve_time(event.start, event, 'start');
+	const end =
+		event.end !== undefined
+			? resolve_time(event.end, event, 'end')
+			: event.all_day
+				? { ...start, instant: start.instant + DAY, wall_clock: start.wall_clock + DAY }
+				: null;
+	if (!end) throw invalid('end is required unless the event is all day');
+	if (end.instant <= start.instant) throw invalid('end must be after start');
+
+	const uid = event.uid ?? create_event_uid(event);
+	const status = event.status ?? (method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED');
+
+	const lines = ['BEGIN:VCALENDAR', `PRODID:${PRODID}`, 'VERSION:2.0', 'CALSCALE:GREGORIAN'];
+	lines.push(`METHOD:${method}`);
+
+	const time_zones = new Map();
+	for (const time of [start, end]) {
+		if (time.time_zone) {
+			time_zones.set(time.time_zone, [...(time_zones.get(time.time_zone) ?? []), time.instant]);
+		}
+	}
+	for (const [time_zone, instants] of time_zones) {
+		lines.push(...build_timezone(time_zone, instants));
+	}
+
+	lines.push(
+		'BEGIN:VEVENT',
+		`UID:${escape_text(uid)}`,
+		`SEQUENCE:${Number(event.sequence ?? 0)}`,
+		`DTSTAMP:${format_date_time(Date.now())}Z`,
+		format_time_property('DTSTART', start),
+		format_time_property('DTEND', end),
+		`SUMMARY:${escape_text(event.summary)}`
+	);
+	if (event.description) lines.push(`DESCRIPTION:${escape_text(event.description)}`);
+	if (event.location) lines.push(`LOCATION:${escape_text(event.location)}`);
+	if (event.url) lines.push(`URL:${String(event.url).replace(/[\r\n]/g, '')}`);
+	lines.push(`STATUS:${status}`);
+
+	if (event.organizer) {
+		const name = event.organizer.name ? `;CN=${format_param(event.organizer.name)}` : '';
+		lines.push(`ORGANIZER${name}:${format_mailto(event.organizer.email, 'organizer')}`);
+	}
+	for (const [index, attendee] of (event.attendees ?? []).entries()) {
+		const params = [
+			...(attendee.name ? [`CN=${format_param(attendee.name)}`] : []),
+			`ROLE=${format_param(attendee.role ?? 'REQ-PARTICIPANT')}`,
+			`PARTSTAT=${format_param(attendee.status ?? 'NEEDS-ACTION')}`,
+			`RSVP=${attendee.rsvp === false ? 'FALSE' : 'TRUE'}`
+		];
+		lines.push(
+			`ATTENDEE;${params.join(';')}:${format_mailto(attendee.email, `attendees[${index}]`)}`
+		);
+	}
+
+	if (event.recurrence) lines.push(format_recurrence(event.recurrence, Boolean(start.date_only)));
+
+	for (const [index, alarm] of (event.alarms ?? []).entries()) {
+		const minutes = Number(alarm?.minutes_before);
+		if (!Number.isFinite(minutes) || minutes < 0) {
+			throw invalid(`alarms[${index}].minutes_before must be a non-negative number`);
+		}
+		lines.push(
+			'BEGIN:VALARM',
+			'ACTION:DISPLAY',
+			`TRIGGER:-PT${Math.round(minutes)}M`,
+			`DESCRIPTION:${escape_text(alarm.description ?? event.summary)}`,
+			'END:VALARM'
+		);
+	}
+
+	lines.push('END:VEVENT', 'END:VCALENDAR');
+	return lines.map(fold_line).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,283 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, create_ical_content, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+const unfold = (content) => content.replace(/\r\n /g, '');
+
+describe('create_ical_content', () => {
+	const event = {
+		uid: 'planning-1@example.com',
+		summary: 'Planning',
+		start: '2026-06-01T09:00:00Z',
+		end: '2026-06-01T10:00:00Z'
+	};
+
+	it('should generate a VCALENDAR with CRLF line endings and the given method', () => {
+		const content = create_ical_content(event, { method: 'request' });
+
+		expect(content.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+		expect(content.endsWith('END:VCALENDAR\r\n')).toBe(true);
+		expect(content).not.toMatch(/[^\r]\n/);
+		expect(content).toContain('\r\nMETHOD:REQUEST\r\n');
+		expect(content).toContain('\r\nUID:planning-1@example.com\r\n');
+		expect(content).toContain('\r\nSEQUENCE:0\r\n');
+		expect(content).toContain('\r\nDTSTART:20260601T090000Z\r\n');
+		expect(content).toContain('\r\nDTEND:20260601T100000Z\r\n');
+		expect(content).toMatch(/\r\nDTSTAMP:\d{8}T\d{6}Z\r\n/);
+	});
+
+	it('should escape text values', () => {
+		const content = create_ical_content({
+			...event,
+			summary: 'Q3; budget, review',
+			description: 'First line\nC:\\reports'
+		});
+
+		expect(content).toContain('SUMMARY:Q3\\; budget\\, review');
+		expect(content).toContain('DESCRIPTION:First line\\nC:\\\\reports');
+	});
+
+	it('should escape a given UID so it cannot add properties', () => {
+		const content = create_ical_content({
+			...event,
+			uid: 'planning-1@example.com\r\nATTENDEE:mailto:eve@example.com'
+		});
+
+		expect(content).toContain(
+			'\r\nUID:planning-1@example.com\\nATTENDEE:mailto:eve@example.com\r\n'
+		);
+		expect(content).not.toContain('\r\nATTENDEE:');
+	});
+
+	it('should fold long lines at 75 octets without splitting characters', () => {
+		const content = create_ical_content({ ...event, description: 'ü'.repeat(100) });
+
+		for (const line of content.split('\r\n')) {
+			expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+		}
+		expect(content).not.toContain('�');
+		expect(unfold(content)).toContain(`DESCRIPTION:${'ü'.repeat(100)}`);
+	});
+
+	it('should write organizer and attendees with RSVP', () => {
+		const content = unfold(
+			create_ical_content({
+				...event,
+				organizer: { name: 'Ops: Team', email: 'ops@example.com' },
+				attendees: [
+					{ name: 'Jane', email: 'jane@example.com' },
+					{ email: 'john@example.com', role: 'OPT-PARTICIPANT', rsvp: false }
+				]
+			})
+		);
+
+		expect(content).toContain('ORGANIZER;CN="Ops: Team":mailto:ops@example.com');
+		expect(content).toContain(
+			'ATTENDEE;CN=Jane;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:jane@example.com'
+		);
+		expect(content).toContain(
+			'ATTENDEE;ROLE=OPT-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=FALSE:mailto:john@example.com'
+		);
+	});
+
+	it('should express times in the event time zone with a VTIMEZONE', () => {
+		const content = create_ical_content({
+			...event,
+			start: { date_time: '2026-06-01T09:00', time_zone: 'Europe/Berlin' },
+			end: { date_time: '2026-06-01T10:30', time_zone: 'Europe/Berlin' }
+		});
+
+		expect(content).toContain('DTSTART;TZID=Europe/Berlin:20260601T090000');
+		expect(content).toContain('DTEND;TZID=Europe/Berlin:20260601T103000');
+		expect(content).toContain('BEGIN:VTIMEZONE\r\nTZID:Europe/Berlin');
+		expect(content).toContain(
+			'BEGIN:DAYLIGHT\r\nDTSTART:20260329T020000\r\nTZOFFSETFROM:+0100\r\nTZOFFSETTO:+0200'
+		);
+		expect(content).toContain(
+			'BEGIN:STANDARD\r\nDTSTART:20261025T030000\r\nTZOFFSETFROM:+0200\r\nTZOFFSETTO:+0100'
+		);
+	});
+
+	it('should convert absolute times to the event time zone', () => {
+		const content = create_ical_content({ ...event, time_zone: 'America/New_York' });
+
+		expect(content).toContain('DTSTART;TZID=America/New_York:20260601T050000');
+		expect(content).toContain('DTEND;TZID=America/New_York:20260601T060000');
+	});
+
+	it('should write all-day events as dates with an exclusive end', () => {
+		const content = create_ical_content({
+			...event,
+			start: '2026-06-01',
+			end: undefined,
+			all_day: true
+		});
+
+		expect(content).toContain('DTSTART;VALUE=DATE:20260601');
+		expect(content).toContain('DTEND;VALUE=DATE:20260602');
+	});
+
+	it('should write recurrence rules and alarms', () => {
+		const content = create_ical_content({
+			...event,
+			recurrence: {
+				freq: 'weekly',
+				interval: 2,
+				until: '2026-12-31T00:00:00Z',
+				by_day: ['mo', 'WE']
+			},
+			alarms: [{ minutes_before: 15 }, { minutes_before: 60, description: 'In an hour' }]
+		});
+
+		expect(content).toContain('RRULE:FREQ=WEEKLY;INTERVAL=2;UNTIL=20261231T000000Z;BYDAY=MO,WE');
+		expect(content).toContain(
+			'BEGIN:VALARM\r\nACTION:DISPLAY\r\nTRIGGER:-PT15M\r\nDESCRIPTION:Planning\r\nEND:VALARM'
+		);
+		expect(content).toContain('TRIGGER:-PT60M\r\nDESCRIPTION:In an hour');
+	});
+
+	it('should accept a raw RRULE value', () => {
+		expect(create_ical_content({ ...event, recurrence: 'FREQ=DAILY;COUNT=5' })).toContain(
+			'RRULE:FREQ=DAILY;COUNT=5'
+		);
+		expect(() =>
+			create_ical_content({ ...event, recurrence: 'FREQ=DAILY\r\nATTENDEE:mailto:x@example.com' })
+		).toThrow('recurrence must be a single RRULE value with FREQ');
+	});
+
+	it('should mark cancelled events', () => {
+		expect(create_ical_content(event, { method: 'CANCEL' })).toContain('STATUS:CANCELLED');
+	});
+
+	it.each([
+		[{ ...event, summary: undefined }, 'summary is required'],
+		[{ ...event, end: undefined }, 'end is required unless the event is all day'],
+		[{ ...event, end: '2026-06-01T08:00:00Z' }, 'end must be after start'],
+		[{ ...event, start: 'tomorrow' }, 'start is not a valid date'],
+		[{ ...event, time_zone: 'Mars/Olympus' }, 'unknown time zone "Mars/Olympus"'],
+		[{ ...event, attendees: [{ email: 'nope' }] }, 'attendees[0] requires a valid email'],
+		[
+			{ ...event, alarms: [{ minutes_before: -5 }] },
+			'alarms[0].minutes_before must be a non-negative number'
+		]
+	])('should reject invalid events (%#)', (invalid_event, message) => {
+		expect(() => create_ical_content(invalid_event)).toThrow(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: `Invalid calendar event: ${message}`
+			})
+		);
+	});
+});
+
+describe('DualMailer - Calendar events', () => {
+	let mailer;
+	let mock_send_mail;
+
+	const email_data = {
+		to: 'test@example.com',
+		subject: 'Invite',
+		html: { title: 'Invite', body: '<p>Join us</p>' }
+	};
+
+	const event = {
+		uid: 'standup@example.com',
+		summary: 'Standup',
+		start: '2026-06-01T09:00:00Z',
+		end: '2026-06-01T09:15:00Z',
+		organizer: { email: 'lead@example.com' },
+		attendees: [{ email: 'test@example.com' }]
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+		mailer = new DualMailer(
+			{ host: 'smtp.test.com', port: 587, noreply_email: 'noreply_test@example.com' },
+			{ silent: true, retry: { max_retries: 1, retry_delay: 1 } }
+		);
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should generate the calendar attachment from a structured event', async () => {
+		await mailer.send_mail({ ...email_data, ical_event: { event } });
+
+		const { icalEvent } = mock_send_mail.mock.calls[0][0];
+		expect(icalEvent).toEqual({
+			filename: 'invite.ics',
+			method: 'REQUEST',
+			content: expect.stringContaining('METHOD:REQUEST\r\n')
+		});
+		expect(icalEvent.content).toContain('UID:standup@example.com');
+	});
+
+	it('should match the METHOD in the content to the attachment method', async () => {
+		await mailer.send_mail({
+			...email_data,
+			ical_event: { method: 'cancel', filename: 'cancel.ics', event: { ...event, sequence: 1 } }
+		});
+
+		const { icalEvent } = mock_send_mail.mock.calls[0][0];
+		expect(icalEvent.method).toBe('CANCEL');
+		expect(icalEvent.filename).toBe('cancel.ics');
+		expect(icalEvent.content).toContain('METHOD:CANCEL\r\n');
+		expect(icalEvent.content).toContain('SEQUENCE:1\r\n');
+		expect(icalEvent.content).toContain('STATUS:CANCELLED\r\n');
+	});
+
+	it('should publish events without attendees', async () => {
+		await mailer.send_mail({
+			...email_data,
+			ical_event: { event: { ...event, attendees: undefined } }
+		});
+
+		expect(mock_send_mail.mock.calls[0][0].icalEvent.method).toBe('PUBLISH');
+	});
+
+	it('should send the same calendar content on every retry', async () => {
+		mock_send_mail.mockRejectedValueOnce(new Error('Temporary Error'));
+
+		await mailer.send_mail({ ...email_data, ical_event: { event: { ...event, uid: undefined } } });
+
+		expect(mock_send_mail).toHaveBeenCalledTimes(2);
+		expect(mock_send_mail.mock.calls[1][0].icalEvent).toBe(
+			mock_send_mail.mock.calls[0][0].icalEvent
+		);
+	});
+
+	it('should still accept raw iCal content', async () => {
+		const ical_event = { filename: 'raw.ics', method: 'REQUEST', content: 'BEGIN:VCALENDAR...' };
+		await mailer.send_mail({ ...email_data, ical_event });
+
+		expect(mock_send_mail).toHaveBeenCalledWith(expect.objectContaining({ icalEvent: ical_event }));
+	});
+
+	it('should reject invalid events before sending', async () => {
+		await expect(
+			mailer.send_mail({ ...email_data, ical_event: { event: { ...event, summary: '' } } })
+		).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'Invalid calendar event: summary is required'
+			})
+		);
+		expect(mock_send_mail).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,37 @@
+/**
+ * @typedef {Object} IdempotencyStore
+ * @property {(key: string) => Object|undefined|Promise<Object|undefined>} get - Delivery result recorded for the key, unless it expired
+ * @property {(key: string, result: Object, ttl: number) => void|Promise<void>} set - Records the delivery result for the key, for ttl milliseconds
+ */
+
+/**
+ * Creates an idempotency store that keeps results in memory for the lifetime of the process.
+ * Once full, the least recently used key is evicted.
+ * @param {Object} [options]
+ * @param {number} [options.max_entries=10000] - Keys kept before the least recently used is evicted
+ * @returns {IdempotencyStore}
+ */
+export function create_memory_idempotency_store(options = {}) {
+	const max_entries = options.max_entries ?? 10000;
+	/** @type {Map<string, { result: Object, expires_at: number }>} */
+	const entries = new Map();
+
+	return {
+		get: (key) => {
+			const entry = entries.get(key);
+			if (!entry) return undefined;
+			entries.delete(key);
+			if (entry.expires_at <= Date.now()) return undefined;
+			// Maps iterate in insertion order, so re-inserting marks the key most recently used
+			entries.set(key, entry);
+			return structuredClone(entry.result);
+		},
+		set: (key, result, ttl) => {
+			entries.delete(key);
+			entries.set(key, { result: structuredClone(result), expires_at: Date.now() + ttl });
+			while (entries.size > max_entries) {
+				entries.delete(entries.keys().next().value);
+			}
+		}
+	};
+}
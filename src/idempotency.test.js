@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, create_memory_idempotency_store, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+describe('DualMailer - Idempotency', () => {
+	let mailer;
+	let mock_send_mail;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const email_data = {
+		to: 'test@example.com',
+		subject: 'Receipt #1001',
+		html: { title: 'Receipt', body: '<p>Thanks for your order</p>' },
+		idempotency_key: 'receipt-1001'
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+	});
+
+	afterEach(async () => {
+		vi.useRealTimers();
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should return the first result for a repeated key', async () => {
+		const first = await mailer.send_mail(email_data);
+		const second = await mailer.send_mail(email_data);
+
+		expect(mock_send_mail).toHaveBeenCalledTimes(1);
+		expect(second).toEqual(first);
+
+		await mailer.send_mail({ ...email_data, idempotency_key: 'receipt-1002' });
+		await mailer.send_mail({ ...email_data, idempotency_key: undefined });
+		expect(mock_send_mail).toHaveBeenCalledTimes(3);
+	});
+
+	it('should join a send that is still retrying', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, {
+			silent: true,
+			retry: { max_retries: 2, retry_delay: 10 }
+		});
+		mock_send_mail.mockRejectedValueOnce(new Error('Temporary failure'));
+
+		const [first, second] = await Promise.all([
+			mailer.send_mail(email_data),
+			mailer.send_mail(email_data)
+		]);
+
+		expect(mock_send_mail).toHaveBeenCalledTimes(2);
+		expect(first.attempts).toBe(2);
+		expect(second).toBe(first);
+	});
+
+	it('should send again after a failed send', async () => {
+		mock_send_mail.mockRejectedValueOnce(new Error('Rejected'));
+
+		await expect(mailer.send_mail(email_data)).rejects.toThrow('Rejected');
+		await mailer.send_mail(email_data);
+
+		expect(mock_send_mail).toHaveBeenCalledTimes(2);
+	});
+
+	it('should forget keys after idempotency_ttl', async () => {
+		await mailer.destroy();
+		vi.useFakeTimers({ toFake: ['Date'] });
+		mailer = new DualMailer(basic_smtp_config, { silent: true, idempotency_ttl: 1000 });
+
+		await mailer.send_mail(email_data);
+		vi.advanceTimersByTime(999);
+		await mailer.send_mail(email_data);
+		expect(mock_send_mail).toHaveBeenCalledTimes(1);
+
+		vi.advanceTimersByTime(1);
+		await mailer.send_mail(email_data);
+		expect(mock_send_mail).toHaveBeenCalledTimes(2);
+	});
+
+	it('should use a custom store and still return the result when recording fails', async () => {
+		const logger = vi.fn();
+		const store = {
+			get: vi.fn().mockResolvedValue(undefined),
+			set: vi.fn().mockRejectedValue(new Error('Store unavailable'))
+		};
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, {
+			logger,
+			idempotency_store: store,
+			idempotency_ttl: 5000
+		});
+
+		const result = await mailer.send_mail(email_data);
+
+		expect(result.message_id).toEqual(expect.any(String));
+		expect(store.get).toHaveBeenCalledWith('receipt-1001');
+		expect(store.set).toHaveBeenCalledWith('receipt-1001', result, 5000);
+		expect(logger).toHaveBeenCalledWith('error', 'Failed to record idempotency key', {
+			idempotency_key: 'receipt-1001',
+			error: 'Store unavailable'
+		});
+	});
+
+	it('should reject invalid keys and stores', async () => {
+		await expect(mailer.send_mail({ ...email_data, idempotency_key: ' ' })).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'idempotency_key must be a non-empty string'
+			})
+		);
+		expect(() => new DualMailer(basic_smtp_config, { idempotency_store: {} })).toThrow(
+			'Configuration error: idempotency_store must implement get and set'
+		);
+	});
+
+	it('should evict the least recently used key from the memory store', () => {
+		const store = create_memory_idempotency_store({ max_entries: 2 });
+		store.set('a', { message_id: 'a' }, 1000);
+		store.set('b', { message_id: 'b' }, 1000);
+		store.get('a');
+		store.set('c', { message_id: 'c' }, 1000);
+
+		expect(store.get('a')).toEqual({ message_id: 'a' });
+		expect(store.get('b')).toBeUndefined();
+		expect(store.get('c')).toEqual({ message_id: 'c' });
+	});
+});
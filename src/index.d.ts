@@ -20,33 +20,361 @@ interface IcalAttachment extends AttachmentLike {
 	href?: string | undefined;
 	/** defines optional content encoding, eg. ‘base64’ or ‘hex’. This only applies if the content is a string. By default an unicode string is assumed. */
 	encoding?: string | undefined;
+	/** structured event to generate the calendar content from; method defaults to ‘request’ when it has attendees */
+	event?: CalendarEvent | undefined;
+}
+
+/** Local date and time in an IANA time zone */
+export interface WallClockTime {
+	/** YYYY-MM-DDTHH:mm[:ss], without offset */
+	date_time: string;
+	time_zone: string;
+}
+
+export type CalendarTime = Date | string | number | WallClockTime;
+
+export interface CalendarPerson {
+	name?: string;
+	email: string;
+}
+
+export interface CalendarAttendee extends CalendarPerson {
+	/** Defaults to true */
+	rsvp?: boolean;
+	/** Defaults to 'REQ-PARTICIPANT' */
+	role?: 'REQ-PARTICIPANT' | 'OPT-PARTICIPANT' | 'NON-PARTICIPANT' | 'CHAIR';
+	/** Defaults to 'NEEDS-ACTION' */
+	status?: 'NEEDS-ACTION' | 'ACCEPTED' | 'DECLINED' | 'TENTATIVE' | 'DELEGATED';
+}
+
+export interface CalendarRecurrence {
+	freq: 'SECONDLY' | 'MINUTELY' | 'HOURLY' | 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY';
+	interval?: number;
+	count?: number;
+	until?: Date | string | number;
+	/** Weekdays such as 'MO' or '-1FR' */
+	by_day?: string[];
+	by_month_day?: number[];
+	by_month?: number[];
+}
+
+export interface CalendarAlarm {
+	minutes_before: number;
+	/** Defaults to the event summary */
+	description?: string;
+}
+
+export interface CalendarEvent {
+	/** Generated if omitted */
+	uid?: string;
+	/** Defaults to 0 */
+	sequence?: number;
+	summary: string;
+	description?: string;
+	location?: string;
+	url?: string;
+	start: CalendarTime;
+	/** Required unless all_day */
+	end?: CalendarTime;
+	/** IANA time zone to express absolute start/end times in (UTC if omitted) */
+	time_zone?: string;
+	all_day?: boolean;
+	organizer?: CalendarPerson;
+	attendees?: CalendarAttendee[];
+	/** RRULE value or structured recurrence rule */
+	recurrence?: string | CalendarRecurrence;
+	alarms?: CalendarAlarm[];
+	status?: 'TENTATIVE' | 'CONFIRMED' | 'CANCELLED';
+}
+
+export interface SmtpRelayConfig {
+	host: string;
+	port: number;
+	user?: string;
+	password?: string;
+	weight?: number;
+	name?: string;
+	/** Whether the relay supports SMTPUTF8 (defaults to the top-level smtputf8) */
+	smtputf8?: boolean;
+}
+
+export interface TransportAdapter {
+	/** Resolves truthy when the provider is reachable */
+	verify(): Promise<boolean>;
+	/** Sends a nodemailer-style message and resolves with the provider's delivery info */
+	send(message: Record<string, unknown>): Promise<Record<string, unknown>>;
+	close?(): Promise<void> | void;
+	isIdle?(): boolean;
+}
+
+export interface AdapterContext {
+	name: string;
+	is_dev: boolean;
+}
+
+export interface AdapterConfig {
+	name: string;
+	create(context: AdapterContext): TransportAdapter | Promise<TransportAdapter>;
+	rate_limit?: boolean;
+	/** Whether the provider accepts non-ASCII local parts (SMTPUTF8) */
+	smtputf8?: boolean;
 }
 
 export interface MailConfig {
 	mailgun_api_key?: string;
 	mailgun_domain?: string;
+	/** Mailgun API base URL, default https://api.mailgun.net (https://api.eu.mailgun.net for EU domains) */
+	mailgun_url?: string;
 	host?: string;
 	port?: number;
 	user?: string;
 	password?: string;
+	smtp_relays?: SmtpRelayConfig[];
+	adapters?: AdapterConfig[];
 	noreply_email?: string;
+	/** Whether the SMTP server supports SMTPUTF8, allowing non-ASCII local parts */
+	smtputf8?: boolean;
+	/** Domain for generated Message-IDs (defaults to the noreply_email domain) */
+	message_id_domain?: string;
 	is_dev?: boolean;
+	/** 'smtp', 'mailgun' or the name of a registered adapter */
+	primary_transport?: string;
 }
 
 export interface EmailHtmlType {
 	title: string;
 	style?: string;
-	body: string;
+	/** HTML body (required unless markdown is given) */
+	body?: string;
+	/** Markdown source rendered into the body, instead of body. Raw HTML in it is always sanitized */
+	markdown?: string;
+	/** Inline the style rules into the body elements (overrides the mailer option) */
+	inline_css?: boolean;
+	/** Remove scripts, event handlers and javascript: URLs from the body (overrides the mailer option) */
+	sanitize?: boolean;
+	/** Language of the document, defaults to the message locale */
+	lang?: string;
+	/** Text direction, derived from lang when omitted */
+	dir?: 'ltr' | 'rtl';
 }
 
+export interface Attachment {
+	filename?: string;
+	content?: string | Buffer | Readable;
+	/** Path or URL to stream the contents from instead of `content` */
+	path?: string;
+	content_type?: string;
+	/** Encoding of string `content`, e.g. 'base64' */
+	encoding?: string;
+	/** Content ID for inline images referenced as `cid:<id>` in html.body */
+	cid?: string;
+}
+
+export interface Address {
+	name?: string;
+	address: string;
+}
+
+export type Recipients = string | Address | Array<string | Address>;
+
+export interface UnsubscribeOptions {
+	/** HTTPS endpoint accepting RFC 8058 one-click unsubscribe POSTs */
+	url?: string;
+	/** Address (or mailto: URI) receiving unsubscribe requests */
+	mailto?: string;
+}
+
+/** A value, or values by locale such as { en: ..., 'pt-BR': ... } */
+export type Localized<T> = T | Record<string, T>;
+
 export interface EmailDataType {
-	to: string;
-	subject: string;
-	text?: string;
+	to: Recipients;
+	cc?: Recipients;
+	bcc?: Recipients;
+	/** Required unless the template provides one */
+	subject?: Localized<string>;
+	text?: Localized<string>;
 	from?: string;
-	html: EmailHtmlType;
+	/** Required unless a template is used */
+	html?: Localized<EmailHtmlType>;
 	reply_to?: string;
 	ical_event?: IcalAttachment;
+	attachments?: Attachment[];
+	/** Name of a registered template to render subject, html and text from */
+	template?: string;
+	/** Variables for the template */
+	data?: Record<string, unknown>;
+	/** Locale picking localized variants, falling back from pt-BR to pt to the default locale */
+	locale?: string;
+	/** Extra message headers; values must not contain line breaks */
+	headers?: Record<string, string | number>;
+	/** Adds List-Unsubscribe and one-click List-Unsubscribe-Post headers */
+	unsubscribe?: UnsubscribeOptions;
+	/** Message-ID to send with; if omitted, one on the mailer's domain derived from idempotency_key, else random */
+	message_id?: string;
+	/** Message-ID of the message this one replies to */
+	in_reply_to?: string;
+	/** Message-IDs of the earlier messages in the thread */
+	references?: string | string[];
+	/** Sending the same key again returns the first delivery result instead of sending again */
+	idempotency_key?: string;
+	/** Delivers the email at this time: Mailgun schedules it when it can, otherwise the mailer holds it until then */
+	send_at?: Date | string | number;
+}
+
+export interface TemplateDefinition {
+	/** Subject line, may contain variables */
+	subject?: string;
+	/** HTML document title, may contain variables (defaults to the subject) */
+	title?: string;
+	style?: string;
+	/** HTML body, may contain variables and partials */
+	body: string;
+	/** Plain text version, may contain variables and partials */
+	text?: string;
+	/** Set to false to skip the shared layout */
+	layout?: boolean;
+}
+
+export interface DeliveryResult {
+	/** Message-ID reported by the transport, else the one the message was sent with */
+	message_id: string;
+	/** Recipients the server accepted */
+	accepted: string[];
+	/** Recipients the server rejected */
+	rejected: string[];
+	/** Raw response from the SMTP server or provider API */
+	response: string | null;
+	/** 'SMTP', 'Mailgun' or the name of the adapter that delivered the message */
+	transport: string;
+	/** Name of the SMTP relay, 'mailgun' or the adapter name */
+	transport_name: string;
+	/** Number of attempts it took to deliver the message */
+	attempts: number;
+	/** Time from the send_mail call until delivery in milliseconds */
+	duration_ms: number;
+	/** Present when the calendar invite was generated from a structured event */
+	calendar?: CalendarInfo;
+	/** When Mailgun delivers a scheduled email (ISO 8601) */
+	send_at?: string;
+}
+
+export type ScheduledStatus = 'scheduled' | 'sending' | 'sent' | 'failed' | 'cancelled';
+
+/** An email the mailer holds until its send_at */
+export interface ScheduledMessage {
+	id: string;
+	readonly send_at: Date;
+	readonly status: ScheduledStatus;
+	/** Delivery result once sent, null if cancelled; rejects if the send fails */
+	delivery: Promise<DeliveryResult | null>;
+	/** Returns false once the email is being sent */
+	cancel(): boolean;
+	/** Returns false once the email is being sent */
+	reschedule(send_at: Date | string | number): boolean;
+}
+
+/** A scheduled email destroy() cancelled before it was due */
+export interface UnsentMessage {
+	id: string;
+	send_at: Date;
+	/** The email with its current send_at, to pass to schedule_mail again later */
+	payload: EmailDataType;
+}
+
+export interface BulkRecipient {
+	to: string | Address;
+	/** Variables for this recipient, merged over the message data */
+	data?: Record<string, unknown>;
+	/** Locale for this recipient, instead of the message locale */
+	locale?: string;
+	idempotency_key?: string;
+}
+
+export interface BulkOptions {
+	/** Emails (or Mailgun batches) sent at the same time, default 5 */
+	concurrency?: number;
+	/** Send through Mailgun batch calls when Mailgun is the primary transport, default true */
+	batch?: boolean;
+}
+
+export interface BulkRecipientResult {
+	/** Position in the recipients list */
+	index: number;
+	to: string | Address;
+	status: 'sent' | 'scheduled' | 'failed';
+	/** Delivery result when sent, the scheduled email when the mailer holds it */
+	result?: DeliveryResult | ScheduledMessage;
+	error?: { message: string; code: string; details?: ValidationIssue[] };
+}
+
+export interface BulkReport {
+	total: number;
+	sent: number;
+	/** Emails the mailer holds until send_at */
+	scheduled: number;
+	failed: number;
+	duration_ms: number;
+	/** Result per recipient, in the order given */
+	results: BulkRecipientResult[];
+}
+
+export interface DeadLetterAttempt {
+	/** Attempt number, from 1 */
+	attempt: number;
+	/** 'SMTP', 'Mailgun' or the name of the adapter that failed */
+	transport: string;
+	/** Name of the SMTP relay, 'mailgun' or the adapter name */
+	relay: string;
+	error: string;
+	code?: string;
+	/** ISO timestamp */
+	failed_at: string;
+}
+
+/** An email send_mail gave up on */
+export interface DeadLetter {
+	id: string;
+	/** The email as JSON (Buffer and stream attachments as base64), with the Message-ID it was sent with */
+	payload: EmailDataType;
+	/** Error send_mail threw */
+	error: { message: string; code: string };
+	/** Every failed try, across retries and failover */
+	attempts: DeadLetterAttempt[];
+	/** ISO timestamp */
+	first_attempt_at: string;
+	/** ISO timestamp */
+	failed_at: string;
+}
+
+export interface DeadLetterSink {
+	write(letter: DeadLetter): void | Promise<void>;
+	/** Stored letters, oldest first, for replay_dead_letters */
+	read?(): DeadLetter[] | Promise<DeadLetter[]>;
+	/** Drops letters that were sent again */
+	remove?(ids: string[]): void | Promise<void>;
+}
+
+export interface ReplayResult {
+	/** Dead letter ID */
+	id: string;
+	status: 'sent' | 'scheduled' | 'failed';
+	result?: DeliveryResult | ScheduledMessage;
+	error?: { message: string; code: string; details?: ValidationIssue[] };
+	/** Why the sent letter could not be removed from the sink, where it stays */
+	remove_error?: string;
+}
+
+export interface ReplayReport {
+	total: number;
+	sent: number;
+	/** Emails the mailer holds until send_at */
+	scheduled: number;
+	/** Letters that failed again; they are kept */
+	failed: number;
+	duration_ms: number;
+	/** Result per letter, in the order replayed */
+	results: ReplayResult[];
 }
 
 export interface RetryConfig {
@@ -62,17 +390,131 @@ export interface RateLimitConfig {
 	rate_limit?: number;
 }
 
+export interface CircuitBreakerConfig {
+	failure_threshold?: number;
+	reset_timeout?: number;
+}
+
+export interface AttachmentLimits {
+	max_attachment_size?: number;
+	max_total_size?: number;
+}
+
+export interface MessageLimits {
+	/** Maximum subject length in characters, default 998 */
+	max_subject_length?: number;
+	/** Maximum size of the subject, text, html and attachments together in bytes, default 25 MB */
+	max_message_size?: number;
+}
+
+export interface CalendarInfo {
+	/** Event UID, needed to update or cancel the event later */
+	uid: string;
+	/** Sequence number that was sent */
+	sequence: number;
+	/** iCal method that was sent */
+	method: string;
+}
+
+/** Persists the last sequence sent per event UID; both methods may be async */
+export interface SequenceStore {
+	get(uid: string): number | undefined | Promise<number | undefined>;
+	set(uid: string, sequence: number): void | Promise<void>;
+}
+
+export interface QueueEntry {
+	id: string;
+	/** Email to send, as JSON (Buffer attachments are stored as base64) */
+	payload: EmailDataType;
+	status: 'pending' | 'sent' | 'failed';
+	/** Times the mailer started sending the entry, including interrupted runs */
+	attempts: number;
+	created_at: string;
+	updated_at: string;
+	/** Delivery result, once sent */
+	result?: DeliveryResult;
+	/** Last error, once failed */
+	error?: { message: string; code: string };
+}
+
+/** Persists queued emails; every method may be async */
+export interface QueueStore {
+	add(entry: QueueEntry): void | Promise<void>;
+	update(id: string, changes: Partial<QueueEntry>): void | Promise<void>;
+	get(id: string): QueueEntry | undefined | Promise<QueueEntry | undefined>;
+	/** Pending entries, oldest first */
+	pending(): QueueEntry[] | Promise<QueueEntry[]>;
+}
+
+/** Remembers the delivery result per idempotency key; both methods may be async */
+export interface IdempotencyStore {
+	get(key: string): DeliveryResult | undefined | Promise<DeliveryResult | undefined>;
+	set(key: string, result: DeliveryResult, ttl: number): void | Promise<void>;
+}
+
 export interface MailerOptions {
 	logger?: (level: string, message: string, meta?: Record<string, any>) => void;
 	silent?: boolean;
 	retry?: RetryConfig;
 	rate_limit?: RateLimitConfig;
+	circuit_breaker?: CircuitBreakerConfig;
+	attachment_limits?: AttachmentLimits;
+	message_limits?: MessageLimits;
+	/** Where event sequences are kept, in memory by default */
+	sequence_store?: SequenceStore;
+	/** Where enqueued emails are kept, in memory by default; pending entries are resumed when given */
+	queue_store?: QueueStore;
+	/** Where delivery results for idempotency keys are kept, in memory by default */
+	idempotency_store?: IdempotencyStore;
+	/** How long an idempotency key is remembered in milliseconds, default 24 hours */
+	idempotency_ttl?: number;
+	/** Receives emails that failed to send for good, for replay_dead_letters */
+	dead_letter?: DeadLetterSink | ((letter: DeadLetter) => void | Promise<void>);
+	/** Named templates, each a definition or definitions by locale */
+	templates?: Record<string, Localized<TemplateDefinition>>;
+	/** Partials templates can include with {{> name}} */
+	partials?: Record<string, string>;
+	/** Shared layout wrapping every template body at {{{body}}} */
+	layout?: string;
+	/** Inline html.style rules into the body elements for clients that strip <style>, default false */
+	inline_css?: boolean;
+	/** Remove scripts, event handlers and javascript: URLs from html.body, default false */
+	sanitize_html?: boolean;
+	/**
+	 * Derive the text part from html.body when text is omitted (default true).
+	 * False sends HTML only; a function replaces the built-in converter.
+	 */
+	auto_text?: boolean | ((body: string, html: EmailHtmlType) => string);
+	/** Locale used when a message has none or no variant matches, default 'en' */
+	default_locale?: string;
+	/** IANA time zone for the template date helpers, the process time zone by default */
+	time_zone?: string;
+}
+
+export interface Formatters {
+	date(value: Date | string | number, options?: Intl.DateTimeFormatOptions): string;
+	datetime(value: Date | string | number, options?: Intl.DateTimeFormatOptions): string;
+	number(value: number, options?: Intl.NumberFormatOptions): string;
+	currency(value: number, currency: string, options?: Intl.NumberFormatOptions): string;
+}
+
+export interface ValidationIssue {
+	/** Payload field the problem is in, e.g. 'subject' or 'attachments[0]' */
+	field: string;
+	message: string;
 }
 
 export class EmailError extends Error {
 	code: string;
 	original_error: Error | null;
-	constructor(message: string, code: string, originalError?: Error | null);
+	/** Every problem found, on validation errors */
+	details?: ValidationIssue[];
+	constructor(
+		message: string,
+		code: string,
+		original_error?: Error | null,
+		details?: ValidationIssue[]
+	);
 }
 
 export const EMAIL_ERROR_CODES: {
@@ -81,12 +523,79 @@ export const EMAIL_ERROR_CODES: {
 	VALIDATION: 'EMAIL_VALIDATION_ERROR';
 	SEND: 'EMAIL_SEND_ERROR';
 	CONNECTION: 'EMAIL_CONNECTION_ERROR';
+	CIRCUIT_OPEN: 'EMAIL_CIRCUIT_OPEN_ERROR';
+};
+
+export function create_nodemailer_adapter(options: Record<string, unknown>): TransportAdapter;
+
+export function create_ical_content(event: CalendarEvent, options?: { method?: string }): string;
+
+export function create_memory_sequence_store(): SequenceStore;
+
+export function create_memory_queue_store(): QueueStore;
+
+/** In-memory idempotency store that evicts the least recently used key once full */
+export function create_memory_idempotency_store(options?: {
+	max_entries?: number;
+}): IdempotencyStore;
+
+/** Queue store backed by an append-only journal file (JSON lines) */
+export function create_file_queue_store(path: string): QueueStore & {
+	/** Rewrites the journal without sent entries */
+	compact(): Promise<void>;
 };
 
+/** Dead letter sink that appends letters to a file, one JSON object per line */
+export function create_file_dead_letter_sink(path: string): Required<DeadLetterSink>;
+
+export interface Mailbox {
+	/** Display name, '' when there is none */
+	name: string;
+	/** Normalized address, with the domain lowercased and punycoded */
+	address: string;
+	local: string;
+	domain: string;
+	/** Whether the local part is non-ASCII, which needs a transport supporting SMTPUTF8 */
+	smtputf8: boolean;
+}
+
+export function parse_address(input: string | Address): Mailbox;
+
+export function parse_address_list(recipients: Recipients | undefined | null): Mailbox[];
+
+export function format_address(mailbox: { name?: string; address: string }): string;
+
+export function create_formatters(locale: string, options?: { time_zone?: string }): Formatters;
+
 export class DualMailer {
 	constructor(config: MailConfig, options?: MailerOptions);
-	send_mail(payload: EmailDataType): Promise<void>;
-	destroy(): Promise<void>;
+	/** A future send_at is scheduled through Mailgun when it can; otherwise the email is held and its handle returned */
+	send_mail(payload: EmailDataType): Promise<DeliveryResult | ScheduledMessage>;
+	/** Holds the email in the process until its send_at */
+	schedule_mail(
+		payload: EmailDataType & { send_at: Date | string | number }
+	): Promise<ScheduledMessage>;
+	/** Sends the message to each recipient separately, with their variables merged in */
+	send_bulk(
+		recipients: Array<string | BulkRecipient>,
+		message: Omit<EmailDataType, 'to'>,
+		options?: BulkOptions
+	): Promise<BulkReport>;
+	/** Creates a Message-ID on the mailer's domain; the same key always gives the same ID */
+	create_message_id(key?: string): string;
+	register_template(name: string, template: Localized<TemplateDefinition>): void;
+	register_partial(name: string, source: string): void;
+	send_event_update(payload: EmailDataType): Promise<DeliveryResult>;
+	send_event_cancellation(payload: EmailDataType): Promise<DeliveryResult>;
+	/** Persists an email in the queue store and sends it in the background */
+	enqueue(payload: EmailDataType): Promise<QueueEntry>;
+	/** Sends pending queue entries; resolves once the queue is empty */
+	process_queue(): Promise<void>;
+	get_queue_entry(id: string): Promise<QueueEntry | undefined>;
+	/** Sends dead letters again, read from the dead_letter sink if none are given */
+	replay_dead_letters(letters?: DeadLetter[]): Promise<ReplayReport>;
+	/** Resolves with the scheduled emails that were cancelled before they were due */
+	destroy(): Promise<UnsentMessage[]>;
 }
 
 // Augment nodemailer types
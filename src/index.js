@@ -1,42 +1,244 @@
-import nodemailer from 'nodemailer';
+import { createHash, randomUUID } from 'crypto';
+import { readFile, stat } from 'fs/promises';
+import { convert } from 'html-to-text';
+import juice from 'juice';
+import { basename } from 'path';
+import { marked } from 'marked';
 import mg from 'nodemailer-mailgun-transport';
+import { create_nodemailer_adapter } from './adapters.js';
+import {
+	format_address,
+	parse_address,
+	parse_address_list,
+	split_address_list
+} from './addresses.js';
+import { EmailError, EMAIL_ERROR_CODES } from './errors.js';
+import { create_ical_content, create_event_uid, create_memory_sequence_store } from './ical.js';
+import { create_file_queue_store, create_memory_queue_store } from './queue.js';
+import { create_memory_idempotency_store } from './idempotency.js';
+import { create_file_dead_letter_sink } from './dead-letters.js';
+import { Scheduler, parse_send_at } from './scheduler.js';
+import { TemplateRegistry, escape_html, index_variable } from './templates.js';
+import {
+	create_formatters,
+	get_effective_locale,
+	get_locale_chain,
+	get_text_direction,
+	require_locale_variant
+} from './locale.js';
+import { sanitize_html } from './sanitize.js';
+
+export {
+	create_nodemailer_adapter,
+	create_ical_content,
+	create_memory_sequence_store,
+	create_memory_queue_store,
+	create_file_queue_store,
+	create_memory_idempotency_store,
+	create_file_dead_letter_sink,
+	create_formatters,
+	parse_address,
+	parse_address_list,
+	format_address,
+	EmailError,
+	EMAIL_ERROR_CODES
+};
 
 /**
  * @typedef {Object} MailConfig
  * @property {string} [mailgun_api_key] - Optional Mailgun API key
  * @property {string} [mailgun_domain] - Optional Mailgun domain
+ * @property {string} [mailgun_url='https://api.mailgun.net'] - Mailgun API base URL, e.g. https://api.eu.mailgun.net for EU domains
  * @property {string} [host] - Optional SMTP host
  * @property {number} [port] - Optional SMTP port
  * @property {string} [user] - Optional SMTP user
  * @property {string} [password] - Optional SMTP password
+ * @property {SmtpRelayConfig[]} [smtp_relays] - Optional pool of SMTP relays (instead of host/port)
+ * @property {import('./adapters.js').AdapterConfig[]} [adapters] - Optional custom transport adapters
  * @property {string} [noreply_email] - Optional default from address
+ * @property {boolean} [smtputf8=false] - Whether the SMTP server supports SMTPUTF8, allowing non-ASCII local parts
+ * @property {string} [message_id_domain] - Domain for generated Message-IDs (defaults to the noreply_email domain)
  * @property {boolean} [is_dev] - Development mode flag
+ * @property {string} [primary_transport='smtp'] - Transport to try first: 'smtp', 'mailgun' or an adapter name
+ */
+
+/**
+ * @typedef {Object} SmtpRelayConfig
+ * @property {string} host - SMTP host
+ * @property {number} port - SMTP port
+ * @property {string} [user] - Optional SMTP user
+ * @property {string} [password] - Optional SMTP password
+ * @property {number} [weight=1] - Relative share of sends this relay receives
+ * @property {string} [name] - Optional relay name used in logs (defaults to host:port)
+ * @property {boolean} [smtputf8] - Whether the relay supports SMTPUTF8 (defaults to the top-level smtputf8)
+ */
+
+/**
+ * @typedef {Object} Transport
+ * @property {string} name - Unique transport name, also the transporter cache key
+ * @property {'smtp'|'mailgun'|'custom'} type - Transport type
+ * @property {string} label - Transport label used in logs and results
+ * @property {Object} [config] - SMTP connection settings for the relay
+ * @property {import('./adapters.js').AdapterConfig} [adapter] - Custom adapter registration
+ * @property {number} weight - Load balancing weight
+ * @property {boolean} smtputf8 - Whether the transport accepts non-ASCII local parts
+ * @property {number} current_weight - Smooth weighted round-robin state
  */
 
 /**
  * @typedef {Object} EmailHtmlType
  * @property {string} title
  * @property {string} [style]
- * @property {string} body
+ * @property {string} [body] - HTML body (required unless markdown is given)
+ * @property {string} [markdown] - Markdown source rendered into the body, instead of body
+ * @property {string} [lang] - Language of the document (defaults to the message locale)
+ * @property {'ltr'|'rtl'} [dir] - Text direction (derived from lang)
+ * @property {boolean} [inline_css] - Inline the style rules into the body elements (overrides the mailer option)
+ * @property {boolean} [sanitize] - Remove scripts, event handlers and javascript: URLs from the body (overrides the mailer option)
  */
 
 /**
  * @typedef {Object} IcalAttachment
- * @property {string} filename - Name of the .ics file
- * @property {string} method - iCal method (REQUEST, CANCEL, etc.)
- * @property {string} content - The iCal content string
+ * @property {string} [filename='invite.ics'] - Name of the .ics file
+ * @property {string} [method] - iCal method (REQUEST, CANCEL, etc.); defaults to REQUEST when the event has attendees, PUBLISH otherwise
+ * @property {import('./ical.js').CalendarEvent} [event] - Structured event to generate the content from
+ * @property {string} [content] - Raw iCal content string, used when no event is given
  * @property {string} [encoding='8bit'] - Encoding for the attachment
  */
 
+/**
+ * @typedef {Object} Attachment
+ * @property {string} [filename] - File name shown to the recipient
+ * @property {string|Buffer|import('stream').Readable} [content] - Attachment contents
+ * @property {string} [path] - Path or URL to stream the contents from instead of `content`
+ * @property {string} [content_type] - MIME type (derived from the filename if omitted)
+ * @property {string} [encoding] - Encoding of string `content`, e.g. 'base64'
+ * @property {string} [cid] - Content ID for inline images referenced as `cid:<id>` in html.body
+ */
+
+/**
+ * @typedef {Object} Address
+ * @property {string} [name] - Display name
+ * @property {string} address - Email address
+ */
+
+/**
+ * @typedef {string|Address|(string|Address)[]} Recipients
+ */
+
+/**
+ * @typedef {Object} UnsubscribeOptions
+ * @property {string} [url] - HTTPS endpoint accepting RFC 8058 one-click unsubscribe POSTs
+ * @property {string} [mailto] - Address (or mailto: URI) receiving unsubscribe requests
+ */
+
 /**
  * @typedef {Object} EmailDataType
- * @property {string} to
- * @property {string} subject
- * @property {string} [text]
+ * @property {Recipients} to
+ * @property {Recipients} [cc]
+ * @property {Recipients} [bcc]
+ * @property {string|Record<string, string>} [subject] - Subject, or subjects by locale; required unless the template provides one
+ * @property {string|Record<string, string>} [text] - Plain text, or plain texts by locale
  * @property {string} [from]
- * @property {EmailHtmlType} html
+ * @property {EmailHtmlType|Record<string, EmailHtmlType>} [html] - HTML content, or HTML content by locale; required unless a template is used
+ * @property {string} [locale] - Locale picking the subject, text, html and template variants (falls back from pt-BR to pt to the default locale)
  * @property {string} [reply_to]
  * @property {IcalAttachment} [ical_event] - Optional iCal calendar event attachment
+ * @property {Attachment[]} [attachments] - Optional file attachments and inline images
+ * @property {string} [template] - Name of a registered template to render subject, html and text from
+ * @property {Object} [data] - Variables for the template
+ * @property {Record<string, string>} [headers] - Extra message headers
+ * @property {UnsubscribeOptions} [unsubscribe] - Adds List-Unsubscribe and one-click List-Unsubscribe-Post headers
+ * @property {string} [message_id] - Message-ID to send with; if omitted, one on the mailer's domain derived from idempotency_key, else random
+ * @property {string} [in_reply_to] - Message-ID of the message this one replies to
+ * @property {string|string[]} [references] - Message-IDs of the earlier messages in the thread
+ * @property {string} [idempotency_key] - Sending the same key again returns the first delivery result instead of sending again
+ * @property {Date|string|number} [send_at] - Delivers the email at this time: Mailgun schedules it when it can, otherwise the mailer holds it until then
+ */
+
+/**
+ * @typedef {Object} DeliveryResult
+ * @property {string} message_id - Message-ID reported by the transport, else the one the message was sent with
+ * @property {string[]} accepted - Recipients the server accepted
+ * @property {string[]} rejected - Recipients the server rejected
+ * @property {string|null} response - Raw response from the server or provider API
+ * @property {string} transport - Transport that delivered the message ('SMTP', 'Mailgun' or an adapter name)
+ * @property {string} transport_name - Name of the SMTP relay, 'mailgun' or the adapter name
+ * @property {number} attempts - Number of attempts it took to deliver the message
+ * @property {number} duration_ms - Time from the send_mail call until delivery in milliseconds
+ * @property {CalendarInfo} [calendar] - UID, sequence and method of the generated calendar event
+ * @property {string} [send_at] - When Mailgun delivers a scheduled email (ISO 8601)
+ */
+
+/**
+ * @typedef {Object} MailgunBatch
+ * @property {Transport} transport - Mailgun transport to send through
+ * @property {Record<string, Record<string, string>>} recipient_variables - Placeholder values by recipient address
+ */
+
+/**
+ * @typedef {Object} BulkBatch
+ * @property {string|undefined} locale - Locale of every recipient in the batch
+ * @property {{ index: number, recipient: BulkRecipient, mailbox: import('./addresses.js').Mailbox }[]} entries - Recipients, with their position in the list
+ */
+
+/**
+ * @typedef {Object} BulkRecipient
+ * @property {string|Address} to - Recipient address
+ * @property {Object} [data] - Variables for this recipient, merged over the message data
+ * @property {string} [locale] - Locale for this recipient, instead of the message locale
+ * @property {string} [idempotency_key] - Idempotency key for this recipient's email
+ */
+
+/**
+ * @typedef {Object} BulkOptions
+ * @property {number} [concurrency=5] - Emails (or Mailgun batches) sent at the same time
+ * @property {boolean} [batch=true] - Send through Mailgun batch calls when Mailgun is the primary transport
+ */
+
+/**
+ * @typedef {Object} BulkRecipientResult
+ * @property {number} index - Position in the recipients list
+ * @property {string|Address} to - Recipient address
+ * @property {'sent'|'scheduled'|'failed'} status
+ * @property {DeliveryResult|import('./scheduler.js').ScheduledMessage} [result] - Delivery result when sent, the scheduled email when the mailer holds it
+ * @property {{ message: string, code: string, details?: import('./errors.js').ValidationIssue[] }} [error] - Why the email failed
+ */
+
+/**
+ * @typedef {Object} BulkReport
+ * @property {number} total - Number of recipients
+ * @property {number} sent - Emails sent
+ * @property {number} scheduled - Emails the mailer holds until send_at
+ * @property {number} failed - Emails that failed
+ * @property {number} duration_ms - Time the whole batch took in milliseconds
+ * @property {BulkRecipientResult[]} results - Result per recipient, in the order given
+ */
+
+/**
+ * @typedef {Object} ReplayResult
+ * @property {string} id - Dead letter ID
+ * @property {'sent'|'scheduled'|'failed'} status
+ * @property {DeliveryResult|import('./scheduler.js').ScheduledMessage} [result] - Delivery result when sent, the scheduled email when the mailer holds it
+ * @property {{ message: string, code: string, details?: import('./errors.js').ValidationIssue[] }} [error] - Why the email failed again
+ * @property {string} [remove_error] - Why the sent letter could not be removed from the sink, where it stays
+ */
+
+/**
+ * @typedef {Object} ReplayReport
+ * @property {number} total - Number of letters
+ * @property {number} sent - Emails sent
+ * @property {number} scheduled - Emails the mailer holds until send_at
+ * @property {number} failed - Emails that failed again; their letters are kept
+ * @property {number} duration_ms - Time the replay took in milliseconds
+ * @property {ReplayResult[]} results - Result per letter, in the order replayed
+ */
+
+/**
+ * @typedef {Object} CalendarInfo
+ * @property {string} uid - Event UID, needed to update or cancel the event later
+ * @property {number} sequence - Sequence number that was sent
+ * @property {string} method - iCal method that was sent
  */
 
 /**
@@ -54,40 +256,121 @@ import mg from 'nodemailer-mailgun-transport';
  * @property {number} [rate_limit=5] - Maximum number of messages to send within the rate delta
  */
 
+/**
+ * @typedef {Object} CircuitBreakerConfig
+ * @property {number} [failure_threshold=3] - Consecutive failures before a transport's circuit opens
+ * @property {number} [reset_timeout=60000] - Time in ms an open circuit waits before allowing a probe send
+ */
+
+/**
+ * @typedef {Object} AttachmentLimits
+ * @property {number} [max_attachment_size=10485760] - Maximum size of a single attachment in bytes (10 MB)
+ * @property {number} [max_total_size=26214400] - Maximum combined size of a message's attachments in bytes (25 MB)
+ */
+
+/**
+ * @typedef {Object} MessageLimits
+ * @property {number} [max_subject_length=998] - Maximum subject length in characters
+ * @property {number} [max_message_size=26214400] - Maximum size of the subject, text, html and attachments together in bytes (25 MB)
+ */
+
 /**
  * @typedef {Object} MailerOptions
  * @property {Function} [logger] - Custom logging function (level, message, meta) => void
  * @property {boolean} [silent] - Disable all logging if true
  * @property {RetryConfig} [retry] - Retry configuration
  * @property {RateLimitConfig} [rate_limit] - Rate limiting configuration
+ * @property {CircuitBreakerConfig} [circuit_breaker] - Per-transport circuit breaker configuration
+ * @property {AttachmentLimits} [attachment_limits] - Attachment size limits
+ * @property {MessageLimits} [message_limits] - Subject length and message size limits
+ * @property {import('./ical.js').SequenceStore} [sequence_store] - Where event sequences are kept (in memory by default)
+ * @property {import('./idempotency.js').IdempotencyStore} [idempotency_store] - Where delivery results for idempotency keys are kept (in memory by default)
+ * @property {number} [idempotency_ttl=86400000] - How long an idempotency key is remembered in milliseconds (24 hours)
+ * @property {import('./queue.js').QueueStore} [queue_store] - Where enqueued messages are kept (in memory by default); pending entries are resumed when given
+ * @property {import('./dead-letters.js').DeadLetterSink|((letter: import('./dead-letters.js').DeadLetter) => void|Promise<void>)} [dead_letter] - Receives emails that failed to send for good, for replay_dead_letters
+ * @property {Record<string, import('./templates.js').TemplateDefinition>} [templates] - Named templates
+ * @property {Record<string, string>} [partials] - Partials templates can include with {{> name}}
+ * @property {string} [layout] - Shared layout wrapping every template body at {{{body}}}
+ * @property {boolean} [inline_css=false] - Inline html.style rules into the body elements for clients that strip <style>
+ * @property {string} [default_locale='en'] - Locale used when the message has none, and the last fallback for localized content
+ * @property {string} [time_zone] - Time zone for the template date helpers (process time zone if omitted)
+ * @property {boolean} [sanitize_html=false] - Remove scripts, event handlers and javascript: URLs from html.body
+ * @property {boolean|((body: string, html: EmailHtmlType) => string)} [auto_text=true] - Derive the text part from html.body when text is omitted; false disables it, a function replaces the built-in converter
  */
 
 /**
- * Custom error class for email-related errors
+ * Headers send_mail sets from its own fields, which cannot be given through `headers`
  */
-export class EmailError extends Error {
-	constructor(message, code) {
-		super(message);
-		this.name = 'EmailError';
-		this.code = code;
-	}
-}
+const RESERVED_HEADERS = [
+	'from',
+	'to',
+	'cc',
+	'bcc',
+	'subject',
+	'reply-to',
+	'message-id',
+	'in-reply-to',
+	'references',
+	'content-type',
+	'content-transfer-encoding',
+	'mime-version'
+];
 
 /**
- * Error codes for common email issues
+ * A Message-ID, with or without its angle brackets (RFC 5322 msg-id)
  */
-export const EMAIL_ERROR_CODES = {
-	CONFIGURATION: 'EMAIL_CONFIG_ERROR',
-	TRANSPORT: 'EMAIL_TRANSPORT_ERROR',
-	VALIDATION: 'EMAIL_VALIDATION_ERROR',
-	SEND: 'EMAIL_SEND_ERROR',
-	CONNECTION: 'EMAIL_CONNECTION_ERROR'
-};
+const MESSAGE_ID_PATTERN = /^<?([^\s<>@]+@[^\s<>@]+?)>?$/;
+
+/**
+ * Headers the `unsubscribe` option generates
+ */
+const UNSUBSCRIBE_HEADERS = ['list-unsubscribe', 'list-unsubscribe-post'];
+
+/**
+ * Most recipients Mailgun accepts in one batch call
+ */
+const MAILGUN_BATCH_SIZE = 1000;
+
+/**
+ * How far ahead Mailgun accepts a delivery time
+ */
+const MAILGUN_MAX_SCHEDULE_MS = 1000 * 60 * 60 * 24 * 3; // 3 days
+
+/**
+ * Errors that leave a valid email unsent, so it goes to the dead letter sink. Invalid emails and
+ * configuration mistakes would fail the same way again.
+ */
+const DEAD_LETTER_ERROR_CODES = [
+	EMAIL_ERROR_CODES.SEND,
+	EMAIL_ERROR_CODES.TRANSPORT,
+	EMAIL_ERROR_CODES.CONNECTION,
+	EMAIL_ERROR_CODES.CIRCUIT_OPEN
+];
+
+/**
+ * Error codes (nodemailer and Node network errors) that indicate a transient failure
+ */
+const TRANSIENT_ERROR_CODES = [
+	'ECONNECTION',
+	'ETIMEDOUT',
+	'ESOCKET',
+	'EDNS',
+	'ECONNREFUSED',
+	'ECONNRESET',
+	'EHOSTUNREACH',
+	'ENOTFOUND',
+	'EPIPE',
+	'EAI_AGAIN'
+];
 
 export class DualMailer {
 	/** @type {Map<string, any>} */
 	#transporter_cache;
 	#config;
+	/** @type {Transport[]} */
+	#transports;
+	/** @type {Map<string, { state: 'closed'|'open'|'half_open', failures: number, opened_at: number, probing: boolean }>} */
+	#circuits;
 	#max_transporter_age = 1000 * 60 * 30; // 30 minutes
 	#max_emails_per_transporter = 1000;
 	#max_consecutive_failures = 3;
@@ -99,6 +382,37 @@ export class DualMailer {
 	#retry;
 	#retry_enabled;
 	#rate_limit;
+	#circuit_breaker;
+	#attachment_limits;
+	#message_limits;
+	/** @type {import('./ical.js').SequenceStore} */
+	#sequence_store;
+	/** @type {import('./queue.js').QueueStore} */
+	#queue_store;
+	/** @type {import('./idempotency.js').IdempotencyStore} */
+	#idempotency_store;
+	#idempotency_ttl;
+	/** @type {import('./dead-letters.js').DeadLetterSink|null} */
+	#dead_letter_sink;
+	/** @type {Map<string, Promise<DeliveryResult>>} */
+	#idempotent_sends = new Map();
+	/** @type {Promise<void>|null} */
+	#queue_worker = null;
+	#queue_rescan = false;
+	#destroyed = false;
+	// Holds emails due later that Mailgun cannot schedule; they are sent without send_at when due
+	#scheduler = new Scheduler((payload, { dead_letter }) =>
+		this.#send_mail({ ...payload, send_at: undefined }, dead_letter)
+	);
+	/** @type {TemplateRegistry} */
+	#templates;
+	#inline_css;
+	#auto_text;
+	#sanitize;
+	#default_locale;
+	#time_zone;
+	/** @type {Map<string, number[]>} */
+	#adapter_send_times;
 
 	/**
 	 * @param {MailConfig} config
@@ -108,6 +422,9 @@ export class DualMailer {
 		try {
 			this.#validate_config(config);
 			this.#config = config;
+			this.#transports = this.#resolve_transports(config);
+			this.#circuits = new Map();
+			this.#adapter_send_times = new Map();
 			this.#transporter_cache = new Map();
 
 			if (options.silent) {
@@ -134,10 +451,82 @@ export class DualMailer {
 				rate_limit: 5
 			};
 
+			this.#circuit_breaker = {
+				failure_threshold: options.circuit_breaker?.failure_threshold ?? 3,
+				reset_timeout: options.circuit_breaker?.reset_timeout ?? 1000 * 60 // 1 minute
+			};
+
+			this.#message_limits = {
+				max_subject_length: options.message_limits?.max_subject_length ?? 998, // RFC 5322 line limit
+				max_message_size: options.message_limits?.max_message_size ?? 1024 * 1024 * 25 // 25 MB
+			};
+
+			this.#attachment_limits = {
+				max_attachment_size: options.attachment_limits?.max_attachment_size ?? 1024 * 1024 * 10, // 10 MB
+				max_total_size: options.attachment_limits?.max_total_size ?? 1024 * 1024 * 25 // 25 MB
+			};
+
+			if (
+				options.sequence_store &&
+				(typeof options.sequence_store.get !== 'function' ||
+					typeof options.sequence_store.set !== 'function')
+			) {
+				throw new Error('sequence_store must implement get and set');
+			}
+			this.#sequence_store = options.sequence_store ?? create_memory_sequence_store();
+
+			if (
+				options.queue_store &&
+				['add', 'update', 'get', 'pending'].some(
+					(method) => typeof options.queue_store[method] !== 'function'
+				)
+			) {
+				throw new Error('queue_store must implement add, update, get and pending');
+			}
+			this.#queue_store = options.queue_store ?? create_memory_queue_store();
+
+			if (
+				options.idempotency_store &&
+				(typeof options.idempotency_store.get !== 'function' ||
+					typeof options.idempotency_store.set !== 'function')
+			) {
+				throw new Error('idempotency_store must implement get and set');
+			}
+			this.#idempotency_store = options.idempotency_store ?? create_memory_idempotency_store();
+			this.#idempotency_ttl = options.idempotency_ttl ?? 1000 * 60 * 60 * 24; // 24 hours
+
+			const { dead_letter } = options;
+			if (
+				dead_letter &&
+				typeof dead_letter !== 'function' &&
+				typeof dead_letter.write !== 'function'
+			) {
+				throw new Error('dead_letter must be a function or implement write');
+			}
+			this.#dead_letter_sink =
+				typeof dead_letter === 'function' ? { write: dead_letter } : (dead_letter ?? null);
+
+			this.#inline_css = Boolean(options.inline_css);
+			this.#auto_text = options.auto_text ?? true;
+			this.#sanitize = Boolean(options.sanitize_html);
+			this.#default_locale = options.default_locale ?? 'en';
+			this.#time_zone = options.time_zone;
+
+			this.#templates = new TemplateRegistry({
+				templates: options.templates,
+				partials: options.partials,
+				layout: options.layout
+			});
+
 			// Start cleanup if not in dev mode
 			if (!config.is_dev) {
 				this.#cleanup_interval = this.#start_cleanup_interval();
 			}
+
+			// Pick up messages a previous process queued but did not finish
+			if (options.queue_store) {
+				this.process_queue();
+			}
 		} catch (error) {
 			throw new EmailError(
 				`Configuration error: ${error.message}`,
@@ -155,7 +544,7 @@ export class DualMailer {
 	 */
 	#default_logger(level, message, meta = {}) {
 		const timestamp = new Date().toISOString();
-		const transport = this.#config.host ? 'SMTP' : 'Mailgun';
+		const transport = this.#transports[0].label;
 
 		// Don't log sensitive information
 		const safe_meta = { ...meta };
@@ -173,13 +562,15 @@ export class DualMailer {
 	 */
 	#validate_config(config) {
 		try {
-			const has_smtp = Boolean(config.host && config.port);
+			const has_relays = Array.isArray(config.smtp_relays) && config.smtp_relays.length > 0;
+			const has_smtp = Boolean(config.host && config.port) || has_relays;
 			const has_mailgun = Boolean(config.mailgun_api_key && config.mailgun_domain);
+			const has_adapters = Array.isArray(config.adapters) && config.adapters.length > 0;
 
-			// Must have either SMTP or Mailgun config
-			if (!has_smtp && !has_mailgun) {
+			// Must have either SMTP, Mailgun or adapter config
+			if (!has_smtp && !has_mailgun && !has_adapters) {
 				throw new Error(
-					'Must provide either SMTP (host + port) or Mailgun (api_key + domain) configuration'
+					'Must provide either SMTP (host + port) or Mailgun (api_key + domain) configuration, or a transport adapter'
 				);
 			}
 
@@ -196,6 +587,17 @@ export class DualMailer {
 			if (config.mailgun_domain && !config.mailgun_api_key) {
 				throw new Error('Mailgun API key is required when domain is provided');
 			}
+			if (config.mailgun_url !== undefined) {
+				let protocol = null;
+				try {
+					protocol = new URL(config.mailgun_url).protocol;
+				} catch {
+					// Reported below
+				}
+				if (protocol !== 'https:' && protocol !== 'http:') {
+					throw new Error('mailgun_url must be an http or https URL');
+				}
+			}
 
 			// If SMTP auth is partially configured, ensure both parts are present
 			if (config.user && !config.password) {
@@ -204,165 +606,1311 @@ export class DualMailer {
 			if (config.password && !config.user) {
 				throw new Error('SMTP user is required when password is provided');
 			}
+
+			if (config.smtp_relays !== undefined) {
+				this.#validate_relays(config);
+			}
+
+			if (config.adapters !== undefined) {
+				this.#validate_adapters(config);
+			}
+
+			if (config.noreply_email !== undefined && !this.#is_valid_recipient(config.noreply_email)) {
+				throw new Error('noreply_email must be a valid email address');
+			}
+
+			if (
+				config.message_id_domain !== undefined &&
+				!/^[^\s<>@]+$/.test(String(config.message_id_domain))
+			) {
+				throw new Error('message_id_domain must be a domain name');
+			}
+
+			// If a primary transport is named, it must be one that is configured
+			if (config.primary_transport !== undefined) {
+				const adapter_names = (config.adapters ?? []).map((adapter) => adapter.name);
+				if (![...['smtp', 'mailgun'], ...adapter_names].includes(config.primary_transport)) {
+					throw new Error(
+						'primary_transport must be "smtp", "mailgun" or the name of a registered adapter'
+					);
+				}
+				if (config.primary_transport === 'smtp' && !has_smtp) {
+					throw new Error('SMTP configuration is required when primary_transport is "smtp"');
+				}
+				if (config.primary_transport === 'mailgun' && !has_mailgun) {
+					throw new Error('Mailgun configuration is required when primary_transport is "mailgun"');
+				}
+			}
 		} catch (error) {
 			throw new EmailError(error.message, EMAIL_ERROR_CODES.VALIDATION, error);
 		}
 	}
 
 	/**
-	 * Validate email payload
-	 * @param {EmailDataType} payload - Email data
-	 * @throws {EmailError} If payload is invalid
+	 * @param {MailConfig} config
+	 * @throws {Error} If the SMTP relay pool is invalid
 	 */
-	#validate_payload(payload) {
-		const required_fields = ['to', 'subject', 'html'];
-		const missing_fields = required_fields.filter((field) => !payload[field]);
-
-		if (missing_fields.length > 0) {
-			throw new EmailError(
-				`Missing required fields: ${missing_fields.join(', ')}`,
-				EMAIL_ERROR_CODES.VALIDATION
-			);
+	#validate_relays(config) {
+		if (!Array.isArray(config.smtp_relays) || config.smtp_relays.length === 0) {
+			throw new Error('smtp_relays must be a non-empty array');
 		}
-
-		if (!payload.html.title || !payload.html.body) {
-			throw new EmailError('HTML email requires both title and body', EMAIL_ERROR_CODES.VALIDATION);
+		if (config.host || config.port) {
+			throw new Error('Provide either SMTP host/port or smtp_relays, not both');
 		}
+
+		const names = new Set();
+		config.smtp_relays.forEach((relay, index) => {
+			if (!relay?.host || !relay?.port) {
+				throw new Error(`SMTP relay ${index} requires both host and port`);
+			}
+			if (relay.user && !relay.password) {
+				throw new Error(`SMTP relay ${index} password is required when user is provided`);
+			}
+			if (relay.password && !relay.user) {
+				throw new Error(`SMTP relay ${index} user is required when password is provided`);
+			}
+			if (relay.weight !== undefined && !(relay.weight > 0)) {
+				throw new Error(`SMTP relay ${index} weight must be a positive number`);
+			}
+
+			const name = relay.name ?? `${relay.host}:${relay.port}`;
+			// Relay names key the transporter cache and logs, next to the 'smtp' and 'mailgun' transports
+			if (name === 'smtp' || name === 'mailgun') {
+				throw new Error(`SMTP relay name "${name}" is reserved`);
+			}
+			if (names.has(name)) {
+				throw new Error(`Duplicate SMTP relay "${name}"`);
+			}
+			names.add(name);
+		});
 	}
 
 	/**
-	 * @returns {Object} Transport configuration
+	 * @param {MailConfig} config
+	 * @throws {Error} If an adapter registration is invalid
 	 */
-	#get_transport_config() {
-		try {
-			// Prefer SMTP if configured
-			if (this.#config.host && this.#config.port) {
-				const config = {
-					host: this.#config.host,
-					port: this.#config.port,
-					secure: !this.#config.is_dev
-				};
-
-				// Add auth if credentials are provided
-				if (this.#config.user && this.#config.password) {
-					config.auth = {
-						user: this.#config.user,
-						pass: this.#config.password
-					};
-
-					// Add pool settings for authenticated SMTP
-					config.pool = true;
-					config.maxConnections = this.#rate_limit.max_connections;
-					config.maxMessages = this.#rate_limit.max_messages_per_connection;
-					config.rateDelta = this.#rate_limit.rate_delta;
-					config.rateLimit = this.#rate_limit.rate_limit;
-				}
+	#validate_adapters(config) {
+		if (!Array.isArray(config.adapters)) {
+			throw new Error('adapters must be an array');
+		}
 
-				return config;
+		const reserved = new Set([
+			'smtp',
+			'mailgun',
+			...(config.smtp_relays ?? []).map((relay) => relay.name ?? `${relay.host}:${relay.port}`)
+		]);
+		const names = new Set();
+		config.adapters.forEach((adapter, index) => {
+			if (!adapter?.name || typeof adapter.name !== 'string') {
+				throw new Error(`Adapter ${index} requires a name`);
+			}
+			if (typeof adapter.create !== 'function') {
+				throw new Error(`Adapter "${adapter.name}" requires a create function`);
 			}
+			if (reserved.has(adapter.name) || names.has(adapter.name)) {
+				throw new Error(`Duplicate transport name "${adapter.name}"`);
+			}
+			names.add(adapter.name);
+		});
+	}
 
-			// Fall back to Mailgun if configured
-			if (this.#config.mailgun_api_key && this.#config.mailgun_domain) {
-				return mg({
-					auth: {
-						api_key: this.#config.mailgun_api_key,
-						domain: this.#config.mailgun_domain
-					}
-				});
+	/**
+	 * Builds the list of configured transports
+	 * @param {MailConfig} config
+	 * @returns {Transport[]}
+	 */
+	#resolve_transports(config) {
+		const transports = [];
+		if (config.host && config.port) {
+			transports.push({
+				name: 'smtp',
+				type: 'smtp',
+				label: 'SMTP',
+				config,
+				weight: 1,
+				smtputf8: Boolean(config.smtputf8),
+				current_weight: 0
+			});
+		}
+		for (const relay of config.smtp_relays ?? []) {
+			transports.push({
+				name: relay.name ?? `${relay.host}:${relay.port}`,
+				type: 'smtp',
+				label: 'SMTP',
+				config: relay,
+				weight: relay.weight ?? 1,
+				smtputf8: Boolean(relay.smtputf8 ?? config.smtputf8),
+				current_weight: 0
+			});
+		}
+		if (config.mailgun_api_key && config.mailgun_domain) {
+			transports.push({
+				name: 'mailgun',
+				type: 'mailgun',
+				label: 'Mailgun',
+				weight: 1,
+				smtputf8: false,
+				current_weight: 0
+			});
+		}
+		for (const adapter of config.adapters ?? []) {
+			transports.push({
+				name: adapter.name,
+				type: 'custom',
+				label: adapter.name,
+				adapter,
+				weight: 1,
+				smtputf8: Boolean(adapter.smtputf8),
+				current_weight: 0
+			});
+		}
+		return transports;
+	}
+
+	/**
+	 * Picks an SMTP relay using smooth weighted round-robin
+	 * @param {Transport[]} relays - Candidate relays
+	 * @returns {Transport | undefined}
+	 */
+	#pick_relay(relays) {
+		let total = 0;
+		let best;
+		for (const relay of relays) {
+			relay.current_weight += relay.weight;
+			total += relay.weight;
+			if (!best || relay.current_weight > best.current_weight) {
+				best = relay;
 			}
+		}
+		if (best) {
+			best.current_weight -= total;
+		}
+		return best;
+	}
 
-			// This shouldn't happen due to validation, but just in case
-			throw new Error('No valid transport configuration found');
-		} catch (error) {
-			throw new EmailError(
-				'Failed to create transport configuration',
-				EMAIL_ERROR_CODES.TRANSPORT,
-				error
-			);
+	/**
+	 * Gets the circuit breaker state of a transport
+	 * @param {Transport} transport
+	 * @returns {{ state: 'closed'|'open'|'half_open', failures: number, opened_at: number, probing: boolean }}
+	 */
+	#get_circuit(transport) {
+		let circuit = this.#circuits.get(transport.name);
+		if (!circuit) {
+			circuit = { state: 'closed', failures: 0, opened_at: 0, probing: false };
+			this.#circuits.set(transport.name, circuit);
 		}
+		return circuit;
 	}
 
 	/**
-	 * Checks if a transporter should be refreshed based on various criteria
-	 * @param {Object} info - Transporter info
+	 * Checks whether a transport's circuit lets a send through
+	 * @param {Transport} transport
 	 * @returns {boolean}
 	 */
-	#should_refresh_transporter(info) {
-		const now = Date.now();
-		const age = now - info.created_at;
-		const idle_time = now - info.last_used;
+	#is_circuit_available(transport) {
+		const circuit = this.#get_circuit(transport);
+		switch (circuit.state) {
+			case 'closed':
+				return true;
+			case 'open':
+				return Date.now() - circuit.opened_at >= this.#circuit_breaker.reset_timeout;
+			case 'half_open':
+				return !circuit.probing;
+		}
+	}
 
-		const should_refresh =
-			age > this.#max_transporter_age ||
-			info.email_count > this.#max_emails_per_transporter ||
-			idle_time > this.#max_idle_time ||
-			!info.transporter.isIdle() ||
-			info.consecutive_failures >= this.#max_consecutive_failures;
+	/**
+	 * Claims a transport's circuit for a send, moving an expired open circuit to half-open
+	 * @param {Transport} transport
+	 * @returns {boolean} Whether the send may go ahead
+	 */
+	#enter_circuit(transport) {
+		if (!this.#is_circuit_available(transport)) return false;
 
-		if (should_refresh) {
-			const reason = {
-				age: age > this.#max_transporter_age,
-				email_count: info.email_count > this.#max_emails_per_transporter,
-				idle: idle_time > this.#max_idle_time,
-				not_idle: !info.transporter.isIdle(),
-				failures: info.consecutive_failures >= this.#max_consecutive_failures
-			};
+		const circuit = this.#get_circuit(transport);
+		if (circuit.state === 'open') {
+			this.#set_circuit_state(transport, circuit, 'half_open');
+		}
+		if (circuit.state === 'half_open') {
+			circuit.probing = true;
+		}
+		return true;
+	}
 
-			this.#logger('info', 'Transporter refresh needed', { reason });
+	/**
+	 * @param {Transport} transport
+	 * @param {Object} circuit - Circuit state
+	 * @param {'closed'|'open'|'half_open'} state - New state
+	 */
+	#set_circuit_state(transport, circuit, state) {
+		const previous_state = circuit.state;
+		circuit.state = state;
+		if (state === 'open') {
+			circuit.opened_at = Date.now();
 		}
 
-		return should_refresh;
+		this.#logger(state === 'open' ? 'warn' : 'info', `Circuit ${state.replace('_', '-')}`, {
+			transport: transport.label,
+			relay: transport.name,
+			previous_state,
+			failures: circuit.failures,
+			...(state === 'open' && { retry_after_ms: this.#circuit_breaker.reset_timeout })
+		});
 	}
 
 	/**
-	 * Safely closes a transporter with error handling
-	 * @param {Object} info - Transporter info
-	 * @returns {Promise<void>}
+	 * Records the outcome of using a transport in its circuit breaker
+	 * @param {Transport} transport
+	 * @param {boolean} success - Whether the transport worked
+	 * @param {boolean} [verify_failed=false] - Whether the failure was a failed verification, which
+	 * opens the circuit immediately
 	 */
-	async #close_transporter(info) {
-		try {
-			if (!info.closing) {
-				info.closing = true;
-				if (info.transporter?.close) {
-					await Promise.race([
-						info.transporter.close(),
-						new Promise((_, reject) =>
-							setTimeout(
-								() =>
-									reject(new EmailError('Transporter close timeout', EMAIL_ERROR_CODES.TRANSPORT)),
-								5000
-							)
-						)
-					]);
-				}
+	#record_circuit_result(transport, success, verify_failed = false) {
+		const circuit = this.#get_circuit(transport);
+		circuit.probing = false;
+
+		if (success) {
+			circuit.failures = 0;
+			if (circuit.state !== 'closed') {
+				this.#set_circuit_state(transport, circuit, 'closed');
 			}
-		} catch (error) {
-			this.#logger('warn', 'Error closing transporter', {
-				error: error.message,
-				code: error instanceof EmailError ? error.code : EMAIL_ERROR_CODES.TRANSPORT
-			});
+			return;
+		}
+
+		circuit.failures++;
+		if (
+			circuit.state === 'half_open' ||
+			(circuit.state === 'closed' &&
+				(verify_failed || circuit.failures >= this.#circuit_breaker.failure_threshold))
+		) {
+			this.#set_circuit_state(transport, circuit, 'open');
 		}
 	}
 
 	/**
-	 * Gets or creates a transporter with comprehensive error handling
-	 * @returns {Promise<any>}
-	 * @throws {EmailError} If transporter creation or verification fails
+	 * Orders the transports whose circuits allow a send: the primary transport first, with the
+	 * SMTP relay chosen by weighted round-robin ahead of the remaining relays
+	 * @returns {Transport[]}
+	 * @throws {EmailError} If every transport's circuit is open
 	 */
-	async #get_transporter() {
-		const key = 'default';
-		const existing = this.#transporter_cache.get(key);
+	#select_transports() {
+		const candidates = this.#transports.filter((transport) =>
+			this.#is_circuit_available(transport)
+		);
+		if (candidates.length === 0) {
+			throw new EmailError(
+				'All transports are unavailable (circuit open)',
+				EMAIL_ERROR_CODES.CIRCUIT_OPEN
+			);
+		}
 
-		if (existing) {
-			try {
-				const verify_result = await Promise.race([
-					existing.transporter.verify(),
-					new Promise((_, reject) =>
-						setTimeout(
-							() =>
-								reject(new EmailError('Transporter verify timeout', EMAIL_ERROR_CODES.CONNECTION)),
-							this.#verify_timeout
-						)
+		const relays = candidates.filter((transport) => transport.type === 'smtp');
+		const picked = this.#pick_relay(relays);
+		const ordered = [
+			...(picked ? [picked, ...relays.filter((relay) => relay !== picked)] : []),
+			...candidates.filter((transport) => transport.type !== 'smtp')
+		];
+
+		// SMTP relays form one group, Mailgun and each adapter are groups of their own
+		const primary = this.#config.primary_transport ?? 'smtp';
+		const is_primary = (transport) =>
+			(transport.type === 'custom' ? transport.name : transport.type) === primary;
+		return [
+			...ordered.filter(is_primary),
+			...ordered.filter((transport) => !is_primary(transport))
+		];
+	}
+
+	/**
+	 * Checks whether an error is worth failing over to another transport
+	 * @param {Error} error
+	 * @returns {boolean}
+	 */
+	#is_transient_error(error) {
+		// Transporter creation/verification failures
+		if (
+			error instanceof EmailError &&
+			[EMAIL_ERROR_CODES.CONNECTION, EMAIL_ERROR_CODES.TRANSPORT].includes(error.code)
+		) {
+			return true;
+		}
+
+		// SMTP 4xx replies are temporary, 5xx are permanent
+		if (typeof error.responseCode === 'number') {
+			return error.responseCode >= 400 && error.responseCode < 500;
+		}
+
+		// Mailgun API errors carry an HTTP status
+		if (typeof error.status === 'number') {
+			return error.status === 429 || error.status >= 500;
+		}
+
+		return TRANSIENT_ERROR_CODES.includes(error.code);
+	}
+
+	/**
+	 * Validates the email payload, collecting every problem before failing
+	 * @param {EmailDataType} payload - Email data
+	 * @param {(number|null|EmailError)[]} attachment_sizes - Attachment sizes from #measure_attachments
+	 * @throws {EmailError} If payload is invalid, with each problem in `details`
+	 */
+	#validate_payload(payload, attachment_sizes) {
+		if (!payload || typeof payload !== 'object') {
+			throw new EmailError('Email payload must be an object', EMAIL_ERROR_CODES.VALIDATION);
+		}
+
+		/** @type {import('./errors.js').ValidationIssue[]} */
+		const issues = [];
+		const report = (field, message) => issues.push({ field, message });
+		// Runs a check that throws, reporting its validation error instead
+		const check = (field, validate) => {
+			try {
+				validate();
+			} catch (error) {
+				if (!(error instanceof EmailError)) throw error;
+				report(field, error.message);
+			}
+		};
+
+		for (const field of ['to', 'subject', 'html']) {
+			if (!payload[field]) report(field, `Missing required field: ${field}`);
+		}
+
+		// Header fields must stay on one line, or a value could add headers of its own
+		const has_line_break = (value) =>
+			[]
+				.concat(value ?? [])
+				.flatMap((entry) =>
+					entry && typeof entry === 'object' ? [entry.name, entry.address] : [entry]
+				)
+				.some((entry) => typeof entry === 'string' && /[\r\n]/.test(entry));
+		const unsafe = new Set(
+			['subject', 'from', 'reply_to', 'to', 'cc', 'bcc'].filter((field) =>
+				has_line_break(payload[field])
+			)
+		);
+		for (const field of unsafe) report(field, `${field} must not contain line breaks`);
+
+		if (payload.subject && !unsafe.has('subject')) {
+			const { max_subject_length } = this.#message_limits;
+			if (typeof payload.subject !== 'string') {
+				report('subject', 'subject must be a string');
+			} else if (payload.subject.length > max_subject_length) {
+				report(
+					'subject',
+					`subject is ${payload.subject.length} characters, exceeding the ${max_subject_length} character limit`
+				);
+			}
+		}
+
+		if (payload.html) {
+			if (!payload.html.title || (!payload.html.body && !payload.html.markdown)) {
+				report('html', 'HTML email requires a title and either a body or markdown');
+			} else if (payload.html.body && payload.html.markdown) {
+				report('html', 'HTML email accepts either a body or markdown, not both');
+			}
+		}
+
+		if (payload.to && !unsafe.has('to') && split_address_list(payload.to).length === 0) {
+			report('to', 'At least one "to" recipient is required');
+		}
+
+		const invalid = ['to', 'cc', 'bcc']
+			.filter((field) => !unsafe.has(field))
+			.flatMap((field) =>
+				split_address_list(payload[field])
+					.filter((recipient) => !this.#is_valid_recipient(recipient))
+					.map((recipient) => ({ field, recipient }))
+			);
+		if (invalid.length > 0) {
+			report(
+				[...new Set(invalid.map(({ field }) => field))].join(', '),
+				`Invalid email addresses: ${invalid
+					.map(({ field, recipient }) => `${field}: ${JSON.stringify(recipient)}`)
+					.join('; ')}`
+			);
+		}
+
+		for (const field of ['from', 'reply_to']) {
+			if (payload[field] === undefined || unsafe.has(field)) continue;
+			const mailboxes =
+				typeof payload[field] === 'string' ? split_address_list(payload[field]) : [];
+			if (mailboxes.length !== 1 || !this.#is_valid_recipient(mailboxes[0])) {
+				report(field, `${field} must be a single mailbox, e.g. "Name <user@example.com>"`);
+			}
+		}
+
+		const smtputf8_fields = this.#get_smtputf8_fields(payload);
+		if (smtputf8_fields.length > 0 && !this.#transports.some((transport) => transport.smtputf8)) {
+			report(
+				smtputf8_fields.join(', '),
+				`Addresses with non-ASCII local parts (${smtputf8_fields.join(', ')}) need a transport that supports SMTPUTF8`
+			);
+		}
+
+		if (payload.headers !== undefined) {
+			this.#validate_headers(payload, report);
+		}
+
+		if (payload.unsubscribe !== undefined) {
+			this.#validate_unsubscribe(payload.unsubscribe, report);
+		}
+
+		for (const field of ['message_id', 'in_reply_to']) {
+			if (payload[field] !== undefined) {
+				check(field, () => this.#normalize_message_id(payload[field], field));
+			}
+		}
+		for (const id of [].concat(payload.references ?? [])) {
+			check('references', () => this.#normalize_message_id(id, 'references'));
+		}
+
+		if (
+			payload.idempotency_key !== undefined &&
+			!this.#is_idempotency_key(payload.idempotency_key)
+		) {
+			report('idempotency_key', 'idempotency_key must be a non-empty string');
+		}
+
+		if (payload.send_at !== undefined) {
+			check('send_at', () => parse_send_at(payload.send_at));
+		}
+
+		let attachments_size = 0;
+		if (payload.attachments !== undefined) {
+			attachments_size = this.#validate_attachments(payload, attachment_sizes, report);
+		}
+
+		const { max_message_size } = this.#message_limits;
+		const message_size =
+			attachments_size +
+			[
+				payload.subject,
+				payload.text,
+				payload.html?.style,
+				payload.html?.body ?? payload.html?.markdown
+			]
+				.filter((part) => typeof part === 'string')
+				.reduce((total, part) => total + Buffer.byteLength(part), 0);
+		if (message_size > max_message_size) {
+			report(
+				'message',
+				`Message is ${message_size} bytes, exceeding the ${max_message_size} byte limit`
+			);
+		}
+
+		if (issues.length > 0) {
+			throw new EmailError(
+				issues.length === 1
+					? issues[0].message
+					: `Invalid email (${issues.length} problems): ${issues.map((issue) => issue.message).join('; ')}`,
+				EMAIL_ERROR_CODES.VALIDATION,
+				null,
+				issues
+			);
+		}
+	}
+
+	/**
+	 * Validates custom header names and values, rejecting line breaks that would inject headers
+	 * @param {EmailDataType} payload - Email data
+	 * @param {(field: string, message: string) => void} report - Records a problem
+	 */
+	#validate_headers(payload, report) {
+		const { headers } = payload;
+		if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+			report('headers', 'headers must be an object');
+			return;
+		}
+
+		for (const [name, value] of Object.entries(headers)) {
+			const field = `headers.${name}`;
+			// RFC 5322 field names are printable ASCII without a colon
+			if (!/^[\x21-\x39\x3b-\x7e]+$/.test(name)) {
+				report('headers', `Invalid header name "${name}"`);
+				continue;
+			}
+
+			const key = name.toLowerCase();
+			if (RESERVED_HEADERS.includes(key)) {
+				report(field, `Header "${name}" is set by send_mail and cannot be given in headers`);
+			} else if (payload.unsubscribe !== undefined && UNSUBSCRIBE_HEADERS.includes(key)) {
+				report(field, `Header "${name}" conflicts with the unsubscribe option`);
+			} else if (typeof value !== 'string' && typeof value !== 'number') {
+				report(field, `Header "${name}" must be a string or number`);
+			} else if (/[\r\n]/.test(String(value))) {
+				report(field, `Header "${name}" must not contain line breaks`);
+			}
+		}
+	}
+
+	/**
+	 * Checks for a valid HTTPS URL and/or mailto address
+	 * @param {UnsubscribeOptions} unsubscribe
+	 * @param {(field: string, message: string) => void} report - Records a problem
+	 */
+	#validate_unsubscribe(unsubscribe, report) {
+		const { url, mailto } = unsubscribe ?? {};
+		if (url === undefined && mailto === undefined) {
+			report('unsubscribe', 'unsubscribe requires a url, a mailto address or both');
+			return;
+		}
+
+		// Each URI goes between angle brackets in a comma separated list
+		const is_safe = (value) => typeof value === 'string' && !/[\s<>,]/.test(value);
+
+		if (url !== undefined) {
+			let parsed = null;
+			try {
+				parsed = is_safe(url) ? new URL(url) : null;
+			} catch {
+				// Reported below
+			}
+			if (parsed?.protocol !== 'https:') {
+				report('unsubscribe.url', 'unsubscribe.url must be an absolute https URL (RFC 8058)');
+			}
+		}
+
+		if (mailto !== undefined) {
+			const address = is_safe(mailto) ? mailto.replace(/^mailto:/i, '').split('?')[0] : '';
+			if (!this.#is_valid_recipient(address)) {
+				report('unsubscribe.mailto', 'unsubscribe.mailto must be an email address or mailto: URI');
+			}
+		}
+	}
+
+	/**
+	 * Builds the message headers from the custom headers and the unsubscribe option
+	 * @param {EmailDataType} payload - Validated email data
+	 * @returns {Record<string, string>|null}
+	 */
+	#create_headers(payload) {
+		const headers = {
+			...Object.fromEntries(
+				Object.entries(payload.headers ?? {}).map(([name, value]) => [name, String(value)])
+			),
+			...this.#create_thread_headers(payload)
+		};
+
+		if (payload.unsubscribe) {
+			const { url, mailto } = payload.unsubscribe;
+			const targets = [
+				mailto !== undefined && (/^mailto:/i.test(mailto) ? mailto : `mailto:${mailto}`),
+				url
+			].filter(Boolean);
+			headers['List-Unsubscribe'] = targets.map((target) => `<${target}>`).join(', ');
+			if (url) {
+				headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+			}
+		}
+
+		return Object.keys(headers).length > 0 ? headers : null;
+	}
+
+	/**
+	 * @param {string} id - Message-ID with or without angle brackets
+	 * @param {string} field - Field name for error messages
+	 * @returns {string} The Message-ID in angle brackets
+	 * @throws {EmailError} If the value is not a Message-ID
+	 */
+	#normalize_message_id(id, field) {
+		const match = typeof id === 'string' ? id.trim().match(MESSAGE_ID_PATTERN) : null;
+		if (!match) {
+			throw new EmailError(
+				`Invalid message ID in ${field}: ${JSON.stringify(id)}`,
+				EMAIL_ERROR_CODES.VALIDATION
+			);
+		}
+		return `<${match[1]}>`;
+	}
+
+	/**
+	 * @param {string} [key] - Key to derive the ID from, random if omitted
+	 * @param {string} [from] - Sender, whose domain is used when none is configured
+	 * @returns {string}
+	 */
+	#create_message_id(key, from) {
+		const local =
+			key === undefined
+				? randomUUID()
+				: createHash('sha256').update(String(key)).digest('hex').slice(0, 32);
+		return `<${local}@${this.#get_message_id_domain(from)}>`;
+	}
+
+	/**
+	 * Domain for generated Message-IDs: the configured one, else that of noreply_email or the sender
+	 * @param {string} [from] - Sender of the message
+	 * @returns {string}
+	 */
+	#get_message_id_domain(from) {
+		const domain_of = (address) => {
+			try {
+				return parse_address(address).domain;
+			} catch {
+				return undefined;
+			}
+		};
+		return (
+			this.#config.message_id_domain ??
+			domain_of(this.#config.noreply_email) ??
+			domain_of(from) ??
+			'dual-mailer'
+		);
+	}
+
+	/**
+	 * Builds the In-Reply-To and References headers; the parent is always the last reference
+	 * @param {EmailDataType} payload - Validated email data
+	 * @returns {Record<string, string>}
+	 */
+	#create_thread_headers(payload) {
+		const references = []
+			.concat(payload.references ?? [])
+			.map((id) => this.#normalize_message_id(id, 'references'));
+		const headers = {};
+
+		if (payload.in_reply_to !== undefined) {
+			const parent = this.#normalize_message_id(payload.in_reply_to, 'in_reply_to');
+			headers['In-Reply-To'] = parent;
+			if (!references.includes(parent)) references.push(parent);
+		}
+		if (references.length > 0) {
+			headers['References'] = references.join(' ');
+		}
+		return headers;
+	}
+
+	/**
+	 * Adapts a message to the transport. The Mailgun transport drops `headers` and `icalEvent`,
+	 * only forwarding fields prefixed with `h:`, and joins Address objects without quoting their
+	 * names. Invites go to Mailgun as a text/calendar attachment instead.
+	 * @param {Transport} transport
+	 * @param {Object} message - Nodemailer-style message
+	 * @returns {Object}
+	 */
+	#adapt_message(transport, message) {
+		if (transport.type !== 'mailgun') return message;
+
+		const { headers, icalEvent, ...adapted } = message;
+		if (icalEvent) {
+			const method = (icalEvent.method ?? 'PUBLISH').toUpperCase();
+			adapted.attachments = [
+				...(adapted.attachments ?? []),
+				{
+					filename: icalEvent.filename ?? 'invite.ics',
+					content: Buffer.from(
+						icalEvent.content,
+						icalEvent.encoding === 'base64' ? 'base64' : 'utf8'
+					),
+					contentType: `text/calendar; charset=utf-8; method=${method}`
+				}
+			];
+		}
+		for (const field of ['to', 'cc', 'bcc']) {
+			if (adapted[field]) {
+				adapted[field] = []
+					.concat(adapted[field])
+					.map((entry) => (typeof entry === 'string' ? entry : format_address(entry)));
+			}
+		}
+		for (const [name, value] of Object.entries(headers ?? {})) {
+			adapted[`h:${name}`] = value;
+		}
+		return adapted;
+	}
+
+	/**
+	 * Validates attachments, their size limits and the inline images referenced by html.body
+	 * @param {EmailDataType} payload - Email data
+	 * @param {(number|null|EmailError)[]} attachment_sizes - Attachment sizes from #measure_attachments
+	 * @param {(field: string, message: string) => void} report - Records a problem
+	 * @returns {number} Total size of the attachments that could be measured
+	 */
+	#validate_attachments(payload, attachment_sizes, report) {
+		if (!Array.isArray(payload.attachments)) {
+			report('attachments', 'attachments must be an array');
+			return 0;
+		}
+
+		let total_size = 0;
+		payload.attachments.forEach((attachment, index) => {
+			const field = `attachments[${index}]`;
+			const label = attachment?.filename ?? attachment?.cid ?? `#${index}`;
+			if (attachment?.content === undefined && attachment?.path === undefined) {
+				report(field, `Attachment ${label} requires either content or path`);
+				return;
+			}
+
+			const size = attachment_sizes[index] ?? null;
+			if (size instanceof EmailError) {
+				report(field, size.message);
+				return;
+			}
+			if (size === null) return;
+
+			if (size > this.#attachment_limits.max_attachment_size) {
+				report(
+					field,
+					`Attachment ${label} is ${size} bytes, exceeding the ${this.#attachment_limits.max_attachment_size} byte limit`
+				);
+			}
+			total_size += size;
+		});
+
+		if (total_size > this.#attachment_limits.max_total_size) {
+			report(
+				'attachments',
+				`Attachments total ${total_size} bytes, exceeding the ${this.#attachment_limits.max_total_size} byte limit`
+			);
+		}
+
+		const source = payload.html?.body ?? payload.html?.markdown;
+		const cids = new Set(payload.attachments.map((attachment) => attachment?.cid).filter(Boolean));
+		const missing = [...(typeof source === 'string' ? source : '').matchAll(/cid:([^"'\s)>]+)/g)]
+			.map((match) => match[1])
+			.filter((cid) => !cids.has(cid));
+		if (missing.length > 0) {
+			report(
+				'attachments',
+				`Missing inline attachments for: ${[...new Set(missing)].map((cid) => `cid:${cid}`).join(', ')}`
+			);
+		}
+
+		return total_size;
+	}
+
+	/**
+	 * Measures attachments once per send, so retries do not read the disk again
+	 * @param {Attachment[]} [attachments]
+	 * @returns {Promise<(number|null|EmailError)[]>} Each attachment's size in bytes, null when it
+	 * cannot be measured up front, or the error that kept it from being read
+	 */
+	async #measure_attachments(attachments) {
+		if (!Array.isArray(attachments)) return [];
+
+		return Promise.all(
+			attachments.map((attachment, index) =>
+				this.#get_attachment_size(
+					attachment ?? {},
+					attachment?.filename ?? attachment?.cid ?? `#${index}`
+				).catch((error) => {
+					if (error instanceof EmailError) return error;
+					throw error;
+				})
+			)
+		);
+	}
+
+	/**
+	 * Determines an attachment's size in bytes. Streams and http(s) URLs cannot be measured up front.
+	 * @param {Attachment} attachment
+	 * @param {string} label - Attachment label for error messages
+	 * @returns {Promise<number|null>}
+	 * @throws {EmailError} If the file cannot be read or the data URL is malformed
+	 */
+	async #get_attachment_size(attachment, label) {
+		const { content, path, encoding } = attachment;
+		if (Buffer.isBuffer(content)) return content.length;
+		if (typeof content === 'string') return Buffer.byteLength(content, encoding ?? 'utf8');
+		if (content !== undefined || typeof path !== 'string' || /^https?:/i.test(path)) {
+			return null;
+		}
+
+		if (/^data:/i.test(path)) {
+			const comma = path.indexOf(',');
+			if (comma === -1) {
+				throw new EmailError(
+					`Attachment ${label} has an invalid data URL`,
+					EMAIL_ERROR_CODES.VALIDATION
+				);
+			}
+			const data = path.slice(comma + 1);
+			return /;base64$/i.test(path.slice(0, comma))
+				? Buffer.byteLength(data, 'base64')
+				: // Each percent-encoded byte counts once
+					Buffer.byteLength(data.replace(/%[\da-f]{2}/gi, '_'));
+		}
+
+		try {
+			return (await stat(path)).size;
+		} catch (error) {
+			throw new EmailError(
+				`Attachment ${label} could not be read: ${error.message}`,
+				EMAIL_ERROR_CODES.VALIDATION,
+				error
+			);
+		}
+	}
+
+	/**
+	 * Reads stream attachments into buffers. A stream can only be read once, so this runs before
+	 * the first attempt and every retry or failover sends the same content.
+	 * @param {EmailDataType} payload
+	 * @returns {Promise<EmailDataType>}
+	 * @throws {EmailError} If a stream fails or is larger than the attachment size limit
+	 */
+	async #read_stream_attachments(payload) {
+		const is_stream = (attachment) => typeof attachment?.content?.pipe === 'function';
+		if (!Array.isArray(payload?.attachments) || !payload.attachments.some(is_stream)) {
+			return payload;
+		}
+
+		const { max_attachment_size } = this.#attachment_limits;
+		const attachments = [];
+		for (const [index, attachment] of payload.attachments.entries()) {
+			if (!is_stream(attachment)) {
+				attachments.push(attachment);
+				continue;
+			}
+
+			const label = attachment.filename ?? attachment.cid ?? `#${index}`;
+			const chunks = [];
+			let size = 0;
+			try {
+				for await (const chunk of attachment.content) {
+					const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+					size += buffer.length;
+					// Leaving the loop destroys the stream, so the rest is never read
+					if (size > max_attachment_size) {
+						throw new EmailError(
+							`Attachment ${label} exceeds the ${max_attachment_size} byte limit`,
+							EMAIL_ERROR_CODES.VALIDATION
+						);
+					}
+					chunks.push(buffer);
+				}
+			} catch (error) {
+				if (error instanceof EmailError) throw error;
+				throw new EmailError(
+					`Attachment ${label} could not be read: ${error.message}`,
+					EMAIL_ERROR_CODES.VALIDATION,
+					error
+				);
+			}
+			attachments.push({ ...attachment, content: Buffer.concat(chunks) });
+		}
+		return { ...payload, attachments };
+	}
+
+	/**
+	 * Reads path attachments into buffers for Mailgun, whose transport would otherwise send the
+	 * path itself as the file. Files, data URLs and http(s) URLs are read like nodemailer does.
+	 * @param {Attachment[]} attachments
+	 * @returns {Promise<Attachment[]>}
+	 * @throws {EmailError} If an attachment cannot be read
+	 */
+	async #read_path_attachments(attachments) {
+		return Promise.all(
+			attachments.map(async (attachment, index) => {
+				const { path, ...rest } = attachment;
+				if (attachment.content !== undefined || typeof path !== 'string') return attachment;
+
+				const label = attachment.filename ?? attachment.cid ?? `#${index}`;
+				try {
+					if (!/^(https?|data):/i.test(path)) {
+						return {
+							...rest,
+							filename: rest.filename ?? basename(path),
+							content: await readFile(path)
+						};
+					}
+
+					const response = await fetch(path);
+					if (!response.ok) throw new Error(`HTTP ${response.status}`);
+					const name = /^data:/i.test(path) ? '' : basename(new URL(path).pathname);
+					return {
+						...rest,
+						filename: rest.filename ?? (name || undefined),
+						content_type: rest.content_type ?? response.headers.get('content-type') ?? undefined,
+						content: Buffer.from(await response.arrayBuffer())
+					};
+				} catch (error) {
+					throw new EmailError(
+						`Attachment ${label} could not be read: ${error.message}`,
+						EMAIL_ERROR_CODES.VALIDATION,
+						error
+					);
+				}
+			})
+		);
+	}
+
+	/**
+	 * Resolves the calendar attachment, generating the iCal content from a structured event
+	 * so the METHOD inside the file always matches the attachment method
+	 * @param {IcalAttachment} ical_event
+	 * @returns {{ attachment: Object, calendar: CalendarInfo|null }}
+	 */
+	#create_ical_attachment(ical_event) {
+		if (!ical_event.event) {
+			if (!ical_event.content) {
+				throw new EmailError(
+					'ical_event requires either an event or content',
+					EMAIL_ERROR_CODES.VALIDATION
+				);
+			}
+			return { attachment: ical_event, calendar: null };
+		}
+
+		const event = {
+			...ical_event.event,
+			uid: ical_event.event.uid ?? create_event_uid(ical_event.event)
+		};
+		const method = (
+			ical_event.method ?? (event.attendees?.length ? 'REQUEST' : 'PUBLISH')
+		).toUpperCase();
+		return {
+			attachment: {
+				filename: ical_event.filename ?? 'invite.ics',
+				method,
+				content: create_ical_content(event, { method }),
+				...(ical_event.encoding && { encoding: ical_event.encoding })
+			},
+			calendar: { uid: event.uid, sequence: Number(event.sequence ?? 0), method }
+		};
+	}
+
+	/**
+	 * Records the sequence of a sent event, never lowering the stored value. Store failures are
+	 * logged rather than thrown since the message has already been delivered.
+	 * @param {CalendarInfo} calendar
+	 */
+	async #record_event_sequence(calendar) {
+		try {
+			const stored = await this.#sequence_store.get(calendar.uid);
+			if (stored === undefined || stored === null || calendar.sequence > stored) {
+				await this.#sequence_store.set(calendar.uid, calendar.sequence);
+			}
+		} catch (error) {
+			this.#logger('warn', 'Failed to store calendar sequence', {
+				error: error.message,
+				uid: calendar.uid,
+				sequence: calendar.sequence
+			});
+		}
+	}
+
+	/**
+	 * Sends a new revision of a previously sent event with the next SEQUENCE for its UID
+	 * @param {EmailDataType} payload
+	 * @param {'REQUEST'|'CANCEL'} method
+	 * @returns {Promise<DeliveryResult>}
+	 */
+	async #send_event_revision(payload, method) {
+		const event = payload?.ical_event?.event;
+		if (!event?.uid) {
+			throw new EmailError(
+				'Event updates and cancellations require ical_event.event.uid',
+				EMAIL_ERROR_CODES.VALIDATION
+			);
+		}
+
+		let stored;
+		try {
+			stored = await this.#sequence_store.get(event.uid);
+		} catch (error) {
+			throw new EmailError(
+				`Failed to read calendar sequence: ${error.message}`,
+				EMAIL_ERROR_CODES.CONFIGURATION,
+				error
+			);
+		}
+
+		// An explicit sequence wins when it is ahead of the store
+		const sequence = Math.max(Number(event.sequence ?? 0), Number(stored ?? 0) + 1);
+		return this.send_mail({
+			...payload,
+			ical_event: { ...payload.ical_event, method, event: { ...event, sequence } }
+		});
+	}
+
+	/**
+	 * Maps attachments to the format nodemailer expects
+	 * @param {Attachment[]} attachments
+	 * @returns {Object[]}
+	 */
+	#create_attachments(attachments) {
+		return attachments.map(({ filename, content, path, content_type, encoding, cid }) => ({
+			...(filename !== undefined && { filename }),
+			...(content !== undefined && { content }),
+			...(path !== undefined && { path }),
+			...(content_type !== undefined && { contentType: content_type }),
+			...(encoding !== undefined && { encoding }),
+			...(cid !== undefined && { cid })
+		}));
+	}
+
+	/**
+	 * Describes attachments for logging without their contents
+	 * @param {Attachment[]} attachments
+	 * @param {(number|null|EmailError)[]} attachment_sizes - Attachment sizes from #measure_attachments
+	 * @returns {{ filename: string|null, content_type: string|null, size: number|null, inline: boolean }[]}
+	 */
+	#describe_attachments(attachments, attachment_sizes) {
+		return attachments.map((attachment, index) => ({
+			filename: attachment.filename ?? null,
+			content_type: attachment.content_type ?? null,
+			size: typeof attachment_sizes[index] === 'number' ? attachment_sizes[index] : null,
+			inline: Boolean(attachment.cid)
+		}));
+	}
+
+	/**
+	 * Normalizes addresses for sending while keeping their shape: strings become formatted
+	 * strings (one per address) and Address objects keep their fields
+	 * @param {Recipients} [recipients] - Validated addresses
+	 * @returns {Recipients|undefined}
+	 */
+	#normalize_addresses(recipients) {
+		const entries = split_address_list(recipients).map((entry) => {
+			const mailbox = parse_address(entry);
+			return typeof entry === 'string'
+				? format_address(mailbox)
+				: { ...entry, address: mailbox.address };
+		});
+		return Array.isArray(recipients) || entries.length > 1 ? entries : entries[0];
+	}
+
+	/**
+	 * Checks a single recipient: a plain address, a "Name <address>" string or an Address object
+	 * @param {string|Address} recipient
+	 * @returns {boolean}
+	 */
+	#is_valid_recipient(recipient) {
+		try {
+			parse_address(recipient);
+			return true;
+		} catch {
+			return false;
+		}
+	}
+
+	/**
+	 * Lists the address fields with non-ASCII local parts, which need SMTPUTF8
+	 * @param {EmailDataType} payload
+	 * @returns {string[]}
+	 */
+	#get_smtputf8_fields(payload) {
+		return ['from', 'reply_to', 'to', 'cc', 'bcc'].filter((field) =>
+			split_address_list(payload[field]).some(
+				(entry) => this.#is_valid_recipient(entry) && parse_address(entry).smtputf8
+			)
+		);
+	}
+
+	/**
+	 * Counts recipients per field for logging without exposing the addresses
+	 * @param {EmailDataType} payload
+	 * @returns {{ to: number, cc: number, bcc: number }}
+	 */
+	#count_recipients(payload) {
+		return {
+			to: split_address_list(payload.to).length,
+			cc: split_address_list(payload.cc).length,
+			bcc: split_address_list(payload.bcc).length
+		};
+	}
+
+	/**
+	 * @param {Transport} transport - Transport to build configuration for
+	 * @returns {Object} Transport configuration
+	 */
+	#get_transport_config(transport) {
+		try {
+			if (transport.type === 'smtp' && transport.config) {
+				const smtp = transport.config;
+				const config = {
+					host: smtp.host,
+					port: smtp.port,
+					secure: !this.#config.is_dev
+				};
+
+				// Add auth if credentials are provided
+				if (smtp.user && smtp.password) {
+					config.auth = {
+						user: smtp.user,
+						pass: smtp.password
+					};
+
+					// Add pool settings for authenticated SMTP
+					config.pool = true;
+					config.maxConnections = this.#rate_limit.max_connections;
+					config.maxMessages = this.#rate_limit.max_messages_per_connection;
+					config.rateDelta = this.#rate_limit.rate_delta;
+					config.rateLimit = this.#rate_limit.rate_limit;
+				}
+
+				return config;
+			}
+
+			if (
+				transport.type === 'mailgun' &&
+				this.#config.mailgun_api_key &&
+				this.#config.mailgun_domain
+			) {
+				return mg({
+					auth: {
+						api_key: this.#config.mailgun_api_key,
+						domain: this.#config.mailgun_domain
+					},
+					...(this.#config.mailgun_url && { url: this.#config.mailgun_url })
+				});
+			}
+
+			// This shouldn't happen due to validation, but just in case
+			throw new Error('No valid transport configuration found');
+		} catch (error) {
+			throw new EmailError(
+				'Failed to create transport configuration',
+				EMAIL_ERROR_CODES.TRANSPORT,
+				error
+			);
+		}
+	}
+
+	/**
+	 * Checks if a transporter should be refreshed based on various criteria
+	 * @param {Object} info - Transporter info
+	 * @returns {boolean}
+	 */
+	#should_refresh_transporter(info) {
+		const now = Date.now();
+		const age = now - info.created_at;
+		const idle_time = now - info.last_used;
+
+		const should_refresh =
+			age > this.#max_transporter_age ||
+			info.email_count > this.#max_emails_per_transporter ||
+			idle_time > this.#max_idle_time ||
+			!this.#is_transporter_idle(info) ||
+			info.consecutive_failures >= this.#max_consecutive_failures;
+
+		if (should_refresh) {
+			const reason = {
+				age: age > this.#max_transporter_age,
+				email_count: info.email_count > this.#max_emails_per_transporter,
+				idle: idle_time > this.#max_idle_time,
+				not_idle: !this.#is_transporter_idle(info),
+				failures: info.consecutive_failures >= this.#max_consecutive_failures
+			};
+
+			this.#logger('info', 'Transporter refresh needed', { reason });
+		}
+
+		return should_refresh;
+	}
+
+	/**
+	 * @param {Object} info - Transporter info
+	 * @returns {boolean}
+	 */
+	#is_transporter_idle(info) {
+		return typeof info.transporter.isIdle === 'function' ? info.transporter.isIdle() : true;
+	}
+
+	/**
+	 * Creates a transport adapter for a transport
+	 * @param {Transport} transport
+	 * @returns {Promise<import('./adapters.js').TransportAdapter>}
+	 */
+	async #create_adapter(transport) {
+		if (transport.type !== 'custom') {
+			return create_nodemailer_adapter(this.#get_transport_config(transport));
+		}
+
+		const adapter = await transport.adapter.create({
+			name: transport.name,
+			is_dev: Boolean(this.#config.is_dev)
+		});
+		if (typeof adapter?.verify !== 'function' || typeof adapter?.send !== 'function') {
+			throw new Error(`Adapter "${transport.name}" must implement verify() and send()`);
+		}
+		return adapter;
+	}
+
+	/**
+	 * Waits until a custom adapter may send without exceeding the rate_limit settings.
+	 * SMTP relies on nodemailer's pool for this and Mailgun on the service itself.
+	 * @param {Transport} transport
+	 * @returns {Promise<void>}
+	 */
+	async #throttle_adapter(transport) {
+		if (transport.type !== 'custom' || transport.adapter.rate_limit === false) return;
+
+		const rate_delta = this.#rate_limit.rate_delta ?? 1000;
+		const rate_limit = this.#rate_limit.rate_limit ?? 5;
+		const send_times = this.#adapter_send_times.get(transport.name) ?? [];
+		this.#adapter_send_times.set(transport.name, send_times);
+
+		while (true) {
+			const now = Date.now();
+			while (send_times.length && send_times[0] <= now - rate_delta) {
+				send_times.shift();
+			}
+			if (send_times.length < rate_limit) {
+				send_times.push(now);
+				return;
+			}
+
+			const wait = send_times[0] + rate_delta - now;
+			this.#logger('info', 'Adapter rate limit reached, waiting', {
+				transport: transport.label,
+				wait_ms: wait
+			});
+			await new Promise((resolve) => setTimeout(resolve, wait));
+		}
+	}
+
+	/**
+	 * Safely closes a transporter with error handling
+	 * @param {Object} info - Transporter info
+	 * @returns {Promise<void>}
+	 */
+	async #close_transporter(info) {
+		try {
+			if (!info.closing) {
+				info.closing = true;
+				if (info.transporter?.close) {
+					await Promise.race([
+						info.transporter.close(),
+						new Promise((_, reject) =>
+							setTimeout(
+								() =>
+									reject(new EmailError('Transporter close timeout', EMAIL_ERROR_CODES.TRANSPORT)),
+								5000
+							)
+						)
+					]);
+				}
+			}
+		} catch (error) {
+			this.#logger('warn', 'Error closing transporter', {
+				error: error.message,
+				code: error instanceof EmailError ? error.code : EMAIL_ERROR_CODES.TRANSPORT
+			});
+		}
+	}
+
+	/**
+	 * Gets or creates a transporter with comprehensive error handling
+	 * @param {Transport} transport - Transport to get a transporter for
+	 * @returns {Promise<any>}
+	 * @throws {EmailError} If transporter creation or verification fails
+	 */
+	async #get_transporter(transport) {
+		const key = transport.name;
+		const existing = this.#transporter_cache.get(key);
+
+		if (existing) {
+			try {
+				const verify_result = await Promise.race([
+					existing.transporter.verify(),
+					new Promise((_, reject) =>
+						setTimeout(
+							() =>
+								reject(new EmailError('Transporter verify timeout', EMAIL_ERROR_CODES.CONNECTION)),
+							this.#verify_timeout
+						)
 					)
 				]);
 
@@ -387,9 +1935,8 @@ export class DualMailer {
 		}
 
 		try {
-			const config = this.#get_transport_config();
 			const info = {
-				transporter: nodemailer.createTransport(config),
+				transporter: await this.#create_adapter(transport),
 				created_at: Date.now(),
 				email_count: 0,
 				last_used: Date.now(),
@@ -427,13 +1974,20 @@ export class DualMailer {
 	 * @returns {string}
 	 */
 	#create_html_email(html_data) {
-		const { title, style, body } = html_data;
-		return `<!doctype html>
-      <html lang="en">
+		const {
+			title,
+			style,
+			body,
+			inline_css = this.#inline_css,
+			lang = this.#default_locale,
+			dir = get_text_direction(lang)
+		} = html_data;
+		const document = `<!doctype html>
+      <html lang="${escape_html(lang)}" dir="${dir === 'rtl' ? 'rtl' : 'ltr'}">
         <head>
-          <title>${title}</title>
+          <title>${escape_html(title)}</title>
           <style>
-            ${style ?? ''}
+            ${(style ?? '').replace(/<\/style/gi, '<\\/style')}
             body {font-family: sans-serif;}
           </style>
         </head>
@@ -442,14 +1996,136 @@ export class DualMailer {
         </body>
       </html>
     `;
+
+		// Media queries and other rules that cannot be inlined stay in the head
+		return inline_css
+			? juice(document, {
+					preserveMediaQueries: true,
+					removeStyleTags: true,
+					preserveImportant: true
+				})
+			: document;
+	}
+
+	/**
+	 * Renders a Markdown source into the body. Raw HTML inside the Markdown is always sanitized.
+	 * @param {EmailHtmlType} html_data
+	 * @returns {EmailHtmlType}
+	 */
+	#render_markdown(html_data) {
+		if (html_data.markdown === undefined) return html_data;
+
+		const { markdown, ...rest } = html_data;
+		return { ...rest, body: marked.parse(markdown, { async: false, gfm: true }), sanitize: true };
+	}
+
+	/**
+	 * Strips unsafe content from the HTML body when sanitizing is enabled, logging what was removed
+	 * @param {EmailHtmlType} html_data
+	 * @returns {EmailHtmlType}
+	 */
+	#sanitize_body(html_data) {
+		const { sanitize = this.#sanitize } = html_data;
+		if (!sanitize) return html_data;
+
+		const { html: body, removed } = sanitize_html(html_data.body);
+		if (removed.length > 0) {
+			this.#logger('warn', 'Unsafe HTML removed from email body', { removed });
+		}
+		return { ...html_data, body };
+	}
+
+	/**
+	 * Derives a plain-text alternative from the HTML body
+	 * @param {EmailHtmlType} html_data
+	 * @param {boolean} [force=false] - Convert even when auto_text is disabled
+	 * @returns {string|undefined}
+	 */
+	#create_text(html_data, force = false) {
+		if (!this.#auto_text && !force) return undefined;
+		if (typeof this.#auto_text === 'function') return this.#auto_text(html_data.body, html_data);
+
+		return convert(html_data.body, {
+			wordwrap: 78,
+			selectors: [
+				{ selector: 'a', options: { linkBrackets: ['(', ')'], hideLinkHrefIfSameAsText: true } },
+				...['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].map((selector) => ({
+					selector,
+					options: { uppercase: false }
+				})),
+				{ selector: 'img', format: 'image_alt' },
+				{ selector: 'table', format: 'dataTable' }
+			],
+			formatters: {
+				// Images are replaced by their alt text and dropped when they have none
+				image_alt: (element, walk, builder) => {
+					if (element.attribs?.alt) builder.addInline(element.attribs.alt);
+				}
+			}
+		});
+	}
+
+	/**
+	 * Picks the locale variants of subject, text and html, then fills in whatever is still missing
+	 * from the named template. Values given directly in the payload take precedence over the
+	 * rendered ones.
+	 * @param {EmailDataType} payload
+	 * @param {(name: string, data: Object, options: import('./templates.js').RenderOptions) => import('./templates.js').RenderedTemplate} [render_template] - Renders the named template
+	 * @returns {EmailDataType}
+	 */
+	#resolve_content(
+		payload,
+		render_template = (name, data, options) => this.#templates.render(name, data, options)
+	) {
+		if (!payload) return payload;
+
+		const { locale } = payload;
+		const chain = get_locale_chain(locale, this.#default_locale);
+		const pick = (value, field) =>
+			value && typeof value === 'object' ? require_locale_variant(value, chain, field) : null;
+
+		const subject = pick(payload.subject, 'subject')?.value ?? payload.subject;
+		const text = pick(payload.text, 'text')?.value ?? payload.text;
+		let html = payload.html;
+		if (
+			html &&
+			typeof html === 'object' &&
+			!['title', 'body', 'markdown'].some((key) => key in html)
+		) {
+			const variant = pick(html, 'html');
+			html = { lang: get_effective_locale(locale, variant.locale), ...variant.value };
+		} else if (html && locale) {
+			html = { lang: locale, ...html };
+		}
+
+		const rendered =
+			payload.template !== undefined
+				? render_template(payload.template, payload.data, {
+						locale,
+						default_locale: this.#default_locale,
+						time_zone: this.#time_zone
+					})
+				: null;
+		return {
+			...payload,
+			subject: subject ?? rendered?.subject,
+			text: text ?? rendered?.text,
+			html: html ?? rendered?.html
+		};
 	}
 
 	/**
 	 * Updates transporter metrics after sending
+	 * @param {Transport} transport - Transport that was used
 	 * @param {boolean} success - Whether the send was successful
+	 * @param {Error} [error] - Why the send failed
 	 */
-	#update_transporter_metrics(success) {
-		const info = this.#transporter_cache.get('default');
+	#update_transporter_metrics(transport, success, error) {
+		// A permanent rejection, such as a 550 for one bad mailbox, means the transport answered;
+		// only connection-level and transient errors count toward the circuit breaker
+		this.#record_circuit_result(transport, success || !this.#is_transient_error(error));
+
+		const info = this.#transporter_cache.get(transport.name);
 		if (info) {
 			info.email_count++;
 			info.last_used = Date.now();
@@ -505,13 +2181,252 @@ export class DualMailer {
 	}
 
 	/**
-	 * Send an email with retry capability
+	 * Normalizes the info object returned by a transport into a delivery result
+	 * @param {Object} info - Info returned by the transport's send
+	 * @param {Transport} transport - Transport that delivered the message
+	 * @param {number} attempts - Number of attempts made
+	 * @param {number} start_time - Timestamp the send started at
+	 * @param {string} message_id - Message-ID the message was sent with
+	 * @returns {DeliveryResult}
+	 */
+	#create_delivery_result(info, transport, attempts, start_time, message_id) {
+		// Mailgun reports its API reply as `message`; stream transports use it for the raw message
+		const response = info?.response ?? (typeof info?.message === 'string' ? info.message : null);
+
+		return {
+			message_id: info?.messageId ?? message_id,
+			accepted: (info?.accepted ?? []).map(String),
+			rejected: (info?.rejected ?? []).map(String),
+			response,
+			transport: transport.label,
+			transport_name: transport.name,
+			attempts,
+			duration_ms: Date.now() - start_time
+		};
+	}
+
+	/**
+	 * Converts a payload into the JSON form queue stores and dead letter sinks keep. Buffer
+	 * attachments become base64 strings; streams cannot be sent again later, so they are rejected.
+	 * @param {EmailDataType} payload
+	 * @returns {EmailDataType}
+	 * @throws {EmailError} If an attachment is a stream
+	 */
+	#to_stored_payload(payload) {
+		const attachments = payload.attachments?.map?.((attachment, index) => {
+			const content = attachment?.content;
+			if (Buffer.isBuffer(content)) {
+				return { ...attachment, content: content.toString('base64'), encoding: 'base64' };
+			}
+			if (typeof content?.pipe === 'function') {
+				throw new EmailError(
+					`Attachment ${attachment.filename ?? attachment.cid ?? `#${index}`} is a stream, which cannot be queued; use content or path instead`,
+					EMAIL_ERROR_CODES.VALIDATION
+				);
+			}
+			return attachment;
+		});
+		return JSON.parse(JSON.stringify({ ...payload, ...(attachments && { attachments }) }));
+	}
+
+	/**
+	 * Sends pending queue entries one at a time until none are left or the mailer is destroyed
+	 * @returns {Promise<void>}
+	 */
+	async #run_queue() {
+		while (!this.#destroyed) {
+			// Set by process_queue calls made while this pass looks for work
+			this.#queue_rescan = false;
+			const [entry] = await this.#queue_store.pending();
+			if (this.#destroyed) return;
+			if (entry) {
+				await this.#send_queued(entry);
+			} else if (!this.#queue_rescan) {
+				return;
+			}
+		}
+	}
+
+	/**
+	 * Sends a queue entry with the usual retry and failover, recording the outcome. The attempt
+	 * is recorded first, so an entry interrupted by a crash shows it was already tried.
+	 * @param {import('./queue.js').QueueEntry} entry
+	 * @returns {Promise<void>}
+	 */
+	async #send_queued(entry) {
+		await this.#queue_store.update(entry.id, {
+			attempts: entry.attempts + 1,
+			updated_at: new Date().toISOString()
+		});
+
+		let changes;
+		try {
+			// Queued emails have no send_at, so they are never held
+			const result = await this.#send_mail(entry.payload, true);
+			changes = { status: 'sent', result };
+			this.#logger('info', 'Queued email sent', { id: entry.id, message_id: result.message_id });
+		} catch (error) {
+			const code = error instanceof EmailError ? error.code : EMAIL_ERROR_CODES.SEND;
+			changes = { status: 'failed', error: { message: error.message, code } };
+			this.#logger('error', 'Queued email failed', { id: entry.id, error: error.message, code });
+		}
+		await this.#queue_store.update(entry.id, {
+			...changes,
+			updated_at: new Date().toISOString()
+		});
+	}
+
+	/**
+	 * @param {unknown} key
+	 * @returns {key is string}
+	 */
+	#is_idempotency_key(key) {
+		return typeof key === 'string' && key.trim() !== '';
+	}
+
+	/**
+	 * Sends an email once per idempotency key: a key sent before returns the recorded result.
+	 * Failed sends are not recorded, so the key can be sent again.
+	 * @param {string} key
+	 * @param {EmailDataType} payload
+	 * @param {boolean} dead_letter - Whether a failed send goes to the dead letter sink
+	 * @returns {Promise<DeliveryResult>}
+	 */
+	async #send_idempotent(key, payload, dead_letter) {
+		const recorded = await this.#idempotency_store.get(key);
+		if (recorded) {
+			this.#logger('info', 'Duplicate send skipped', {
+				idempotency_key: key,
+				message_id: recorded.message_id
+			});
+			return recorded;
+		}
+
+		const result = await this.#send(payload, { dead_letter });
+		try {
+			await this.#idempotency_store.set(key, result, this.#idempotency_ttl);
+		} catch (error) {
+			// The email went out; failing the send now would invite the duplicate the key prevents
+			this.#logger('error', 'Failed to record idempotency key', {
+				idempotency_key: key,
+				error: error.message
+			});
+		}
+		return result;
+	}
+
+	/**
+	 * @param {EmailDataType} payload
+	 * @returns {Date|null} When to send an email the mailer has to hold, null to send it now
+	 * @throws {EmailError} If send_at is not a valid date
+	 */
+	#get_hold_time(payload) {
+		if (payload?.send_at === undefined) return null;
+
+		const send_at = parse_send_at(payload.send_at);
+		const delay = send_at.getTime() - Date.now();
+		if (delay <= 0) return null;
+		return delay <= MAILGUN_MAX_SCHEDULE_MS && this.#get_primary_mailgun() ? null : send_at;
+	}
+
+	/**
+	 * Holds an email in the process until send_at. It is validated now so mistakes surface at
+	 * once rather than when it is due.
+	 * @param {EmailDataType} payload
+	 * @param {Date} send_at
+	 * @returns {Promise<import('./scheduler.js').ScheduledMessage>}
+	 */
+	async #schedule(payload, send_at, dead_letter = true) {
+		this.#validate_payload(
+			this.#resolve_content(payload),
+			await this.#measure_attachments(payload.attachments)
+		);
+
+		const scheduled = this.#scheduler.schedule(payload, send_at, { dead_letter });
+		this.#logger('info', 'Email scheduled', {
+			schedule_id: scheduled.id,
+			recipients: this.#count_recipients(payload),
+			subject: payload.subject,
+			send_at: send_at.toISOString()
+		});
+		return scheduled;
+	}
+
+	/**
+	 * Send an email with retry capability, failing over between transports when both are configured.
+	 * With an idempotency_key, a repeated send returns the first delivery result instead of
+	 * sending again, including while the first send is still in progress. Without a message_id,
+	 * the Message-ID is derived from the idempotency_key when there is one, and random otherwise.
+	 *
+	 * With a future send_at, Mailgun schedules the email when it is the transport send_mail would
+	 * try first and the time is at most three days ahead; the result then has `send_at`. Other
+	 * emails due later are held in the process as with schedule_mail, and the handle is returned.
 	 * @param {EmailDataType} payload
+	 * @returns {Promise<DeliveryResult|import('./scheduler.js').ScheduledMessage>}
 	 */
 	async send_mail(payload) {
+		return this.#send_or_schedule(payload, true);
+	}
+
+	/**
+	 * Holds an email in the process until its send_at, then sends it through send_mail with the
+	 * usual retries and failover. The email is validated now. A send_at in the past sends it at once.
+	 * @param {EmailDataType & { send_at: Date|string|number }} payload
+	 * @returns {Promise<import('./scheduler.js').ScheduledMessage>} Handle to cancel or reschedule the email
+	 * @throws {EmailError} If the email is invalid or has no send_at
+	 */
+	async schedule_mail(payload) {
+		if (payload?.send_at === undefined) {
+			throw new EmailError('schedule_mail requires send_at', EMAIL_ERROR_CODES.VALIDATION);
+		}
+		return this.#schedule(payload, parse_send_at(payload.send_at));
+	}
+
+	/**
+	 * @param {EmailDataType} payload
+	 * @param {boolean} dead_letter - Whether a failed send goes to the dead letter sink
+	 * @returns {Promise<DeliveryResult>}
+	 */
+	async #send_mail(payload, dead_letter) {
+		const key = payload?.idempotency_key;
+		if (!this.#is_idempotency_key(key)) return this.#send(payload, { dead_letter });
+
+		const in_flight = this.#idempotent_sends.get(key);
+		if (in_flight) {
+			this.#logger('info', 'Duplicate send joined the send in progress', { idempotency_key: key });
+			return in_flight;
+		}
+
+		const send = this.#send_idempotent(key, payload, dead_letter).finally(() => {
+			this.#idempotent_sends.delete(key);
+		});
+		this.#idempotent_sends.set(key, send);
+		return send;
+	}
+
+	/**
+	 * @param {EmailDataType} payload
+	 * @param {Object} [options]
+	 * @param {MailgunBatch} [options.batch] - Send to all recipients in one Mailgun call instead
+	 * @param {boolean} [options.dead_letter=true] - Whether a failed send goes to the dead letter
+	 * sink. Batches never do; send_bulk reports their recipients as failed.
+	 * @returns {Promise<DeliveryResult>}
+	 */
+	async #send(payload, { batch, dead_letter = true } = {}) {
 		const start_time = Date.now();
-		const transport_type = this.#config.host ? 'SMTP' : 'Mailgun';
+		let transport_type = this.#transports[0].label;
 		let attempt = 1;
+		/** @type {import('./dead-letters.js').DeadLetterAttempt[]} */
+		const failures = [];
+		const record_failure = (transport, error) =>
+			failures.push({
+				attempt,
+				transport: transport.label,
+				relay: transport.name,
+				error: error.message,
+				...(error.code && { code: error.code }),
+				failed_at: new Date().toISOString()
+			});
 
 		const should_retry = (error, attempt) => {
 			if (!this.#retry_enabled) return false;
@@ -522,23 +2437,36 @@ export class DualMailer {
 
 		const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+		// Built once so the rendered template, attachments, Message-ID, UID and DTSTAMP stay the same
+		// across retries
+		let message = null;
+		let attachment_sizes = null;
+		let message_id = null;
+		let html_data = null;
+		let ical = null;
+		let mailgun_attachments = null;
+
 		while (true) {
 			try {
-				this.#validate_payload(payload);
+				message ??= await this.#read_stream_attachments(this.#resolve_content(payload));
+				attachment_sizes ??= await this.#measure_attachments(message?.attachments);
+				this.#validate_payload(message, attachment_sizes);
 
 				const {
 					to,
-					from = payload.from
-						? payload.from
+					cc,
+					bcc,
+					from = message.from
+						? message.from
 						: this.#config.noreply_email
 							? `No Reply <${this.#config.noreply_email}>`
 							: undefined,
 					subject,
 					text,
-					html: html_data,
 					reply_to,
-					ical_event: icalEvent
-				} = payload;
+					ical_event,
+					attachments
+				} = message;
 				if (!from) {
 					throw new EmailError(
 						'No "from" email address is provided. Either set the "noreply_email" in the config or include a "from" address in the payload.',
@@ -546,75 +2474,201 @@ export class DualMailer {
 					);
 				}
 
+				// Mailgun gives every copy of a batch its own Message-ID. A send with an idempotency_key
+				// derives it from the key, so a repeat after the key expired reuses the ID.
+				message_id ??= batch
+					? null
+					: message.message_id
+						? this.#normalize_message_id(message.message_id, 'message_id')
+						: this.#create_message_id(
+								message.idempotency_key === undefined
+									? undefined
+									: `idempotency:${message.idempotency_key}`,
+								from
+							);
+				ical ??= ical_event ? this.#create_ical_attachment(ical_event) : null;
+				const icalEvent = ical?.attachment;
+				html_data ??= this.#sanitize_body(this.#render_markdown(message.html));
 				const html = this.#create_html_email(html_data);
-				const transporter = await this.#get_transporter();
-
-				this.#logger('info', 'Sending email', {
-					to,
-					subject,
-					transport: transport_type,
-					attempt,
-					has_calendar: Boolean(icalEvent)
-				});
-
-				try {
-					await transporter.sendMail({
-						from,
-						to,
-						subject,
-						text,
-						html,
-						replyTo: reply_to,
-						...(icalEvent && { icalEvent })
-					});
+				// Markdown messages always get a text part
+				const plain_text =
+					text ?? this.#create_text(html_data, message.html.markdown !== undefined);
+				const recipients = this.#count_recipients(message);
+				const attachment_info = attachments
+					? this.#describe_attachments(attachments, attachment_sizes)
+					: [];
+				const headers = this.#create_headers(message);
+				// Non-ASCII local parts can only go through transports that support SMTPUTF8
+				const smtputf8 = this.#get_smtputf8_fields({ ...message, from }).length > 0;
+				// Emails due later only reach here when Mailgun can schedule them; other transports
+				// would send them now
+				const send_at = message.send_at === undefined ? null : parse_send_at(message.send_at);
+				const deliver_at = send_at && send_at.getTime() > Date.now() ? send_at : null;
+				// A batch is full of placeholders only Mailgun fills in, so it never fails over
+				const transports = batch
+					? [batch.transport]
+					: this.#select_transports().filter(
+							(transport) =>
+								(!smtputf8 || transport.smtputf8) && (!deliver_at || transport.type === 'mailgun')
+						);
+				let send_error = null;
+				let unavailable_error = null;
+
+				for (const [index, transport] of transports.entries()) {
+					const next_transport = transports[index + 1];
+					transport_type = transport.label;
+
+					// Another send may have claimed the half-open probe in the meantime
+					if (!this.#enter_circuit(transport)) continue;
+
+					let transporter;
+					try {
+						transporter = await this.#get_transporter(transport);
+					} catch (error) {
+						this.#record_circuit_result(transport, false, true);
+						record_failure(transport, error);
+						unavailable_error = error;
+						if (!next_transport) {
+							if (send_error) break;
+							throw error;
+						}
+						this.#logger('warn', 'Transport unavailable, failing over', {
+							error: error.message,
+							transport: transport.label,
+							relay: transport.name,
+							next_transport: next_transport.label,
+							attempt
+						});
+						continue;
+					}
 
-					// Update metrics and log success
-					const duration = Date.now() - start_time;
-					this.#logger('info', 'Email sent successfully', {
-						to,
+					this.#logger('info', 'Sending email', {
+						recipients,
 						subject,
-						transport: transport_type,
-						duration_ms: duration,
-						attempts: attempt,
-						has_calendar: Boolean(icalEvent)
+						transport: transport.label,
+						relay: transport.name,
+						attempt,
+						has_calendar: Boolean(icalEvent),
+						attachments: attachment_info
 					});
 
-					this.#update_transporter_metrics(true);
-					return; // Success - exit the retry loop
-				} catch (error) {
-					// Update failure metrics
-					this.#update_transporter_metrics(false);
+					try {
+						await this.#throttle_adapter(transport);
+						const send_attachments =
+							transport.type === 'mailgun' && attachments?.length
+								? (mailgun_attachments ??= await this.#read_path_attachments(attachments))
+								: attachments;
+						const info = await transporter.send(
+							this.#adapt_message(transport, {
+								from: this.#normalize_addresses(from),
+								to: this.#normalize_addresses(to),
+								...(message_id && { messageId: message_id }),
+								...(cc && { cc: this.#normalize_addresses(cc) }),
+								...(bcc && { bcc: this.#normalize_addresses(bcc) }),
+								subject,
+								...(plain_text !== undefined && { text: plain_text }),
+								html,
+								replyTo: reply_to && this.#normalize_addresses(reply_to),
+								...(icalEvent && { icalEvent }),
+								...(send_attachments?.length && {
+									attachments: this.#create_attachments(send_attachments)
+								}),
+								...(headers && { headers }),
+								...(batch && {
+									'recipient-variables': JSON.stringify(batch.recipient_variables)
+								}),
+								...(deliver_at && { 'o:deliverytime': deliver_at.toUTCString() })
+							})
+						);
 
-					if (should_retry(error, attempt)) {
-						const delay = (this.#retry.retry_delay ?? 1000) * Math.pow(2, attempt - 1);
-						this.#logger('warn', 'Email send failed, retrying', {
-							error: error.message,
+						// Update metrics and log success
+						const result = this.#create_delivery_result(
+							info,
+							transport,
 							attempt,
-							next_attempt_in_ms: delay,
-							transport: transport_type
-						});
-
-						await sleep(delay);
-						attempt++;
-						continue;
-					}
-
-					if (this.#config.is_dev) {
-						this.#logger('error', 'Failed to send email in dev mode', {
-							error: error.message,
-							content: text ?? html,
-							transport: transport_type,
+							start_time,
+							message_id
+						);
+						if (deliver_at) {
+							result.send_at = deliver_at.toISOString();
+						}
+						this.#logger('info', 'Email sent successfully', {
+							recipients,
+							subject,
+							transport: transport.label,
+							relay: transport.name,
+							message_id: result.message_id,
+							duration_ms: result.duration_ms,
 							attempts: attempt,
-							has_calendar: Boolean(icalEvent)
+							has_calendar: Boolean(icalEvent),
+							failed_over: index > 0
 						});
+
+						this.#update_transporter_metrics(transport, true);
+						if (ical?.calendar) {
+							result.calendar = ical.calendar;
+							await this.#record_event_sequence(ical.calendar);
+						}
+						return result; // Success - exit the retry loop
+					} catch (error) {
+						// Update failure metrics
+						this.#update_transporter_metrics(transport, false, error);
+						record_failure(transport, error);
+						send_error = error;
+
+						if (next_transport && this.#is_transient_error(error)) {
+							this.#logger('warn', 'Email send failed, failing over', {
+								error: error.message,
+								transport: transport.label,
+								relay: transport.name,
+								next_transport: next_transport.label,
+								attempt
+							});
+							continue;
+						}
+						break;
 					}
+				}
 
-					throw new EmailError(
-						`Failed to send email after ${attempt} attempt(s): ${error.message}`,
-						EMAIL_ERROR_CODES.SEND,
-						error
+				if (!send_error) {
+					throw (
+						unavailable_error ??
+						new EmailError(
+							'All transports are unavailable (circuit open)',
+							EMAIL_ERROR_CODES.CIRCUIT_OPEN
+						)
 					);
 				}
+
+				if (should_retry(send_error, attempt)) {
+					const delay = (this.#retry.retry_delay ?? 1000) * Math.pow(2, attempt - 1);
+					this.#logger('warn', 'Email send failed, retrying', {
+						error: send_error.message,
+						attempt,
+						next_attempt_in_ms: delay,
+						transport: transport_type
+					});
+
+					await sleep(delay);
+					attempt++;
+					continue;
+				}
+
+				if (this.#config.is_dev) {
+					this.#logger('error', 'Failed to send email in dev mode', {
+						error: send_error.message,
+						content: text ?? html,
+						transport: transport_type,
+						attempts: attempt,
+						has_calendar: Boolean(icalEvent)
+					});
+				}
+
+				throw new EmailError(
+					`Failed to send email after ${attempt} attempt(s): ${send_error.message}`,
+					EMAIL_ERROR_CODES.SEND,
+					send_error
+				);
 			} catch (error) {
 				const duration = Date.now() - start_time;
 				this.#logger('error', 'Email error occurred', {
@@ -626,21 +2680,660 @@ export class DualMailer {
 					stack: error.stack
 				});
 
-				throw error instanceof EmailError
-					? error
-					: new EmailError(
-							`Unexpected error sending email after ${attempt} attempt(s): ${error.message}`,
-							EMAIL_ERROR_CODES.SEND,
-							error
-						);
+				const email_error =
+					error instanceof EmailError
+						? error
+						: new EmailError(
+								`Unexpected error sending email after ${attempt} attempt(s): ${error.message}`,
+								EMAIL_ERROR_CODES.SEND,
+								error
+							);
+				if (dead_letter && !batch && DEAD_LETTER_ERROR_CODES.includes(email_error.code)) {
+					// Streams were read into buffers before the first attempt; the letter keeps their content
+					await this.#write_dead_letter(
+						message ? { ...payload, attachments: message.attachments } : payload,
+						message_id,
+						email_error,
+						failures,
+						start_time
+					);
+				}
+				throw email_error;
+			}
+		}
+	}
+
+	/**
+	 * Hands an email that failed for good to the dead letter sink. A sink failure is logged, not
+	 * thrown, so the caller still gets the send error. An email with a stream attachment that was
+	 * never read cannot be sent again, so it is logged instead of stored.
+	 * @param {EmailDataType} payload - Email with its stream attachments read into buffers
+	 * @param {string|null} message_id - Message-ID the email was sent with
+	 * @param {EmailError} error - Error send_mail throws
+	 * @param {import('./dead-letters.js').DeadLetterAttempt[]} attempts
+	 * @param {number} start_time
+	 * @returns {Promise<void>}
+	 */
+	async #write_dead_letter(payload, message_id, error, attempts, start_time) {
+		if (!this.#dead_letter_sink) return;
+
+		if (
+			payload?.attachments?.some?.((attachment) => typeof attachment?.content?.pipe === 'function')
+		) {
+			this.#logger('error', 'Email not dead-lettered', {
+				message_id,
+				reason: 'A stream attachment was not read, so the email cannot be sent again'
+			});
+			return;
+		}
+
+		try {
+			const stored = this.#to_stored_payload(payload);
+			/** @type {import('./dead-letters.js').DeadLetter} */
+			const letter = {
+				id: randomUUID(),
+				// The same Message-ID lets recipients' servers spot a copy that did arrive after all
+				payload: message_id ? { ...stored, message_id: stored.message_id ?? message_id } : stored,
+				error: { message: error.message, code: error.code },
+				attempts,
+				first_attempt_at: new Date(start_time).toISOString(),
+				failed_at: new Date().toISOString()
+			};
+			await this.#dead_letter_sink.write(letter);
+			this.#logger('warn', 'Email dead-lettered', { id: letter.id, message_id });
+		} catch (sink_error) {
+			this.#logger('error', 'Failed to write dead letter', {
+				message_id,
+				error: sink_error.message
+			});
+		}
+	}
+
+	/**
+	 * Builds one recipient's email for send_bulk. Templates are rendered by send_mail with the
+	 * merged data; otherwise the subject, text and html strings are rendered as templates here.
+	 * @param {Omit<EmailDataType, 'to'>} message
+	 * @param {BulkRecipient} recipient
+	 * @returns {EmailDataType}
+	 * @throws {EmailError} If variables are missing
+	 */
+	#personalize(message, recipient) {
+		const { idempotency_key } = message;
+		const address = typeof recipient.to === 'string' ? recipient.to : recipient.to?.address;
+		const payload = {
+			...message,
+			to: recipient.to,
+			data: { ...message.data, ...recipient.data },
+			locale: recipient.locale ?? message.locale,
+			// A shared key would make every recipient after the first a duplicate
+			idempotency_key:
+				recipient.idempotency_key ?? (idempotency_key && `${idempotency_key}:${address}`)
+		};
+		if (payload.template !== undefined) return payload;
+
+		const resolved = this.#resolve_content(payload);
+		const options = {
+			locale: resolved.html?.lang ?? resolved.locale,
+			default_locale: this.#default_locale,
+			time_zone: this.#time_zone
+		};
+		return this.#render_inline(resolved, (source, field) =>
+			// The title is escaped when the document is built
+			this.#templates.render_string(source, payload.data, { ...options, escape: field === 'body' })
+		);
+	}
+
+	/**
+	 * Renders the subject, text and html strings of a message that has no template
+	 * @param {EmailDataType} resolved - Message with its locale variants picked
+	 * @param {(source: string, field: 'subject'|'text'|'title'|'body') => string} render
+	 * @returns {EmailDataType}
+	 */
+	#render_inline(resolved, render) {
+		const field = (name, value) => (typeof value === 'string' ? render(value, name) : value);
+		const { html } = resolved;
+		return {
+			...resolved,
+			subject: field('subject', resolved.subject),
+			text: field('text', resolved.text),
+			html: html && {
+				...html,
+				title: field('title', html.title),
+				...(html.body !== undefined && { body: field('body', html.body) }),
+				...(html.markdown !== undefined && { markdown: field('body', html.markdown) })
+			}
+		};
+	}
+
+	/**
+	 * Describes why a bulk recipient or dead letter replay failed
+	 * @param {Error} error
+	 * @returns {BulkRecipientResult['error']}
+	 */
+	#describe_send_error(error) {
+		const code = error instanceof EmailError ? error.code : EMAIL_ERROR_CODES.SEND;
+		return { message: error.message, code, ...(error.details && { details: error.details }) };
+	}
+
+	/**
+	 * Sends an email, or holds it when Mailgun cannot schedule its send_at. send_bulk and
+	 * replay_dead_letters report held emails as scheduled; send_mail returns their handle.
+	 * @param {EmailDataType} payload
+	 * @param {boolean} dead_letter - Whether a failed send goes to the dead letter sink
+	 * @returns {Promise<DeliveryResult|import('./scheduler.js').ScheduledMessage>}
+	 */
+	async #send_or_schedule(payload, dead_letter) {
+		const hold_until = this.#get_hold_time(payload);
+		return hold_until
+			? this.#schedule(payload, hold_until, dead_letter)
+			: this.#send_mail(payload, dead_letter);
+	}
+
+	/**
+	 * Sends one recipient's email for send_bulk, reporting failures instead of throwing
+	 * @param {Omit<EmailDataType, 'to'>} message
+	 * @param {string|BulkRecipient} recipient
+	 * @param {number} index
+	 * @returns {Promise<BulkRecipientResult>}
+	 */
+	async #send_bulk_recipient(message, recipient, index) {
+		const entry = typeof recipient === 'string' ? { to: recipient } : recipient;
+		try {
+			if (!entry?.to) {
+				throw new EmailError(
+					'Bulk recipient requires a "to" address',
+					EMAIL_ERROR_CODES.VALIDATION
+				);
+			}
+			const result = await this.#send_or_schedule(this.#personalize(message, entry), true);
+			return { index, to: entry.to, status: 'delivery' in result ? 'scheduled' : 'sent', result };
+		} catch (error) {
+			return { index, to: entry?.to, status: 'failed', error: this.#describe_send_error(error) };
+		}
+	}
+
+	/**
+	 * Picks the Mailgun transport for batch sends. Mailgun must be the transport send_mail would
+	 * try first, and every recipient's copy must differ only in the variables Mailgun fills in.
+	 * @param {Omit<EmailDataType, 'to'>} message
+	 * @returns {Transport|null}
+	 */
+	#get_batch_transport(message) {
+		// Copies would share the Message-ID, idempotency key or invite, and cc/bcc would get a
+		// single copy. Sanitizing cannot see the values Mailgun fills in later.
+		const shared = ['message_id', 'idempotency_key', 'ical_event', 'cc', 'bcc'];
+		if (this.#sanitize || shared.some((field) => message[field] !== undefined)) return null;
+		// Emails the mailer holds go out one by one when due
+		if (this.#get_hold_time(message)) return null;
+
+		return this.#get_primary_mailgun();
+	}
+
+	/**
+	 * @returns {Transport|null} The Mailgun transport, when it is the one send_mail would try first
+	 */
+	#get_primary_mailgun() {
+		const available = this.#transports.filter((transport) => this.#is_circuit_available(transport));
+		const mailgun = available.find((transport) => transport.type === 'mailgun');
+		const primary = this.#config.primary_transport ?? 'smtp';
+		return mailgun && (primary === 'mailgun' || available.length === 1) ? mailgun : null;
+	}
+
+	/**
+	 * Splits recipients into Mailgun batches of the same locale. Recipients with their own
+	 * idempotency key, an address Mailgun cannot take or no address are sent one by one.
+	 * @param {(string|BulkRecipient)[]} recipients
+	 * @param {Omit<EmailDataType, 'to'>} message
+	 * @returns {{ batches: BulkBatch[], individual: number[] }} Batches, and the positions of the recipients sent one by one
+	 */
+	#plan_batches(recipients, message) {
+		const batches = [];
+		const individual = [];
+		/** @type {Map<string|undefined, BulkBatch & { addresses: Set<string> }>} */
+		const open = new Map();
+
+		recipients.forEach((recipient, index) => {
+			const entry = typeof recipient === 'string' ? { to: recipient } : recipient;
+			let mailbox = null;
+			try {
+				mailbox = entry?.to && !entry.idempotency_key ? parse_address(entry.to) : null;
+			} catch {
+				// send_mail reports the invalid address
+			}
+			if (!mailbox || mailbox.smtputf8) {
+				individual.push(index);
+				return;
+			}
+
+			const locale = entry.locale ?? message.locale;
+			let batch = open.get(locale);
+			// Mailgun keys recipient-variables by address, so a repeated address starts a new batch
+			if (
+				!batch ||
+				batch.entries.length === MAILGUN_BATCH_SIZE ||
+				batch.addresses.has(mailbox.address)
+			) {
+				batch = { locale, entries: [], addresses: new Set() };
+				open.set(locale, batch);
+				batches.push(batch);
+			}
+			batch.entries.push({ index, recipient: entry, mailbox });
+			batch.addresses.add(mailbox.address);
+		});
+
+		return {
+			batches: batches.map(({ locale, entries }) => ({ locale, entries })),
+			individual
+		};
+	}
+
+	/**
+	 * Renders a bulk message once, with a %recipient.vN% placeholder for each variable
+	 * @param {Omit<EmailDataType, 'to'>} message
+	 * @param {string|undefined} locale
+	 * @returns {{ payload: Omit<EmailDataType, 'to'>, variables: import('./templates.js').TemplateVariable[], locale: string|undefined }}
+	 * @throws {EmailError} If the template or a partial is unknown
+	 */
+	#compile_bulk_message(message, locale) {
+		/** @type {import('./templates.js').TemplateVariable[]} */
+		const variables = [];
+		const placeholder = (index) => `%recipient.v${index}%`;
+
+		const localized = { ...message, locale };
+		const compiled =
+			message.template !== undefined
+				? this.#resolve_content(localized, (name, data, options) =>
+						this.#templates.compile(name, variables, placeholder, options)
+					)
+				: this.#render_inline(this.#resolve_content(localized), (source, field) =>
+						// Mailgun fills in the title after the document escaped it, so escape its values now
+						this.#templates.compile_string(source, variables, placeholder, {
+							escape: field === 'body' || field === 'title'
+						})
+					);
+		// The message is rendered; a template left in it would be rendered again per copy
+		const payload = this.#omit(compiled, ['template', 'data']);
+
+		// The text part derived from the HTML needs the unescaped values
+		if (payload.text === undefined && payload.html) {
+			const html_data = this.#sanitize_body(this.#render_markdown(payload.html));
+			payload.text = this.#create_text(html_data, payload.html.markdown !== undefined)?.replace(
+				/%recipient\.v(\d+)%/g,
+				(match, index) =>
+					variables[index].escape
+						? placeholder(index_variable(variables, { ...variables[index], escape: false }))
+						: match
+			);
+		}
+		return { payload, variables, locale: payload.html?.lang ?? locale };
+	}
+
+	/**
+	 * Copies an object without the given keys
+	 * @template {Object} T
+	 * @param {T} object
+	 * @param {string[]} keys
+	 * @returns {T}
+	 */
+	#omit(object, keys) {
+		const copy = { ...object };
+		for (const key of keys) delete copy[key];
+		return copy;
+	}
+
+	/**
+	 * Sends a batch of bulk recipients in one Mailgun call, filling in each recipient's values
+	 * through recipient-variables
+	 * @param {Transport} transport
+	 * @param {Omit<EmailDataType, 'to'>} message
+	 * @param {BulkBatch} batch
+	 * @returns {Promise<BulkRecipientResult[]>}
+	 */
+	async #send_mailgun_batch(transport, message, { locale, entries }) {
+		const failed = ({ index, recipient }, error) => ({
+			index,
+			to: recipient.to,
+			status: 'failed',
+			error: this.#describe_send_error(error)
+		});
+
+		let compiled;
+		try {
+			compiled = this.#compile_bulk_message(message, locale);
+		} catch (error) {
+			return entries.map((entry) => failed(entry, error));
+		}
+
+		const results = [];
+		const ready = [];
+		const recipient_variables = {};
+		for (const entry of entries) {
+			try {
+				const values = this.#templates.render_variables(
+					compiled.variables,
+					{ ...message.data, ...entry.recipient.data },
+					{
+						locale: compiled.locale,
+						default_locale: this.#default_locale,
+						time_zone: this.#time_zone
+					}
+				);
+				recipient_variables[entry.mailbox.address] = Object.fromEntries(
+					values.map((value, index) => [`v${index}`, value])
+				);
+				ready.push(entry);
+			} catch (error) {
+				results.push(failed(entry, error));
+			}
+		}
+		if (ready.length === 0) return results;
+
+		try {
+			const result = await this.#send(
+				{ ...compiled.payload, to: ready.map((entry) => entry.recipient.to) },
+				{ batch: { transport, recipient_variables } }
+			);
+			for (const { index, recipient, mailbox } of ready) {
+				results.push({
+					index,
+					to: recipient.to,
+					status: 'sent',
+					result: { ...result, accepted: [mailbox.address] }
+				});
+			}
+		} catch (error) {
+			results.push(...ready.map((entry) => failed(entry, error)));
+		}
+		return results;
+	}
+
+	/**
+	 * Sends the same message to many recipients, each getting their own email. Variables from the
+	 * recipient's data are merged over the message data and rendered into the subject, text and
+	 * html (or the template). Emails go out a few at a time through the pooled transports and rate
+	 * limits; a failed recipient is reported and the batch carries on.
+	 * @param {(string|BulkRecipient)[]} recipients
+	 * @param {Omit<EmailDataType, 'to'>} message
+	 * @param {BulkOptions} [options]
+	 * @returns {Promise<BulkReport>}
+	 * @throws {EmailError} If the recipients, message or options are invalid
+	 */
+	async send_bulk(recipients, message, options = {}) {
+		const start_time = Date.now();
+		const concurrency = options.concurrency ?? 5;
+		if (!Array.isArray(recipients)) {
+			throw new EmailError('recipients must be an array', EMAIL_ERROR_CODES.VALIDATION);
+		}
+		if (!message || typeof message !== 'object' || message.to !== undefined) {
+			throw new EmailError(
+				'message must be an object without "to"; recipients are given separately',
+				EMAIL_ERROR_CODES.VALIDATION
+			);
+		}
+		if (!Number.isInteger(concurrency) || concurrency < 1) {
+			throw new EmailError('concurrency must be a positive integer', EMAIL_ERROR_CODES.VALIDATION);
+		}
+
+		/** @type {BulkRecipientResult[]} */
+		const results = new Array(recipients.length);
+		const transport = options.batch === false ? null : this.#get_batch_transport(message);
+		const { batches, individual } = transport
+			? this.#plan_batches(recipients, message)
+			: { batches: [], individual: recipients.map((recipient, index) => index) };
+		const tasks = [
+			...batches.map((batch) => async () => {
+				for (const result of await this.#send_mailgun_batch(transport, message, batch)) {
+					results[result.index] = result;
+				}
+			}),
+			...individual.map((index) => async () => {
+				results[index] = await this.#send_bulk_recipient(message, recipients[index], index);
+			})
+		];
+
+		let next = 0;
+		const worker = async () => {
+			while (next < tasks.length) await tasks[next++]();
+		};
+		await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, () => worker()));
+
+		const count = (status) => results.filter((result) => result.status === status).length;
+		const report = {
+			total: recipients.length,
+			sent: count('sent'),
+			scheduled: count('scheduled'),
+			failed: count('failed'),
+			duration_ms: Date.now() - start_time,
+			results
+		};
+		this.#logger(report.failed > 0 ? 'warn' : 'info', 'Bulk send finished', {
+			total: report.total,
+			batches: batches.length,
+			sent: report.sent,
+			scheduled: report.scheduled,
+			failed: report.failed,
+			duration_ms: report.duration_ms
+		});
+		return report;
+	}
+
+	/**
+	 * Creates a Message-ID on the mailer's domain. The same key always gives the same ID, so
+	 * follow-ups can reply to a message (say a support ticket) without storing its ID.
+	 * @param {string} [key] - Derive the ID from this key instead of generating a random one
+	 * @returns {string} Message-ID in angle brackets
+	 */
+	create_message_id(key) {
+		return this.#create_message_id(key);
+	}
+
+	/**
+	 * Registers a named template for use with send_mail({ template, data })
+	 * @param {string} name
+	 * @param {import('./templates.js').TemplateDefinition} template
+	 * @throws {EmailError} If the template has no body
+	 */
+	register_template(name, template) {
+		this.#templates.register(name, template);
+	}
+
+	/**
+	 * Registers a partial that templates can include with {{> name}}
+	 * @param {string} name
+	 * @param {string} source
+	 * @throws {EmailError} If the source is not a string
+	 */
+	register_partial(name, source) {
+		this.#templates.register_partial(name, source);
+	}
+
+	/**
+	 * Sends an update for a previously sent event, reusing its UID with the next SEQUENCE
+	 * @param {EmailDataType} payload - Email whose ical_event.event has the original uid
+	 * @returns {Promise<DeliveryResult>}
+	 */
+	async send_event_update(payload) {
+		return this.#send_event_revision(payload, 'REQUEST');
+	}
+
+	/**
+	 * Cancels a previously sent event, reusing its UID with the next SEQUENCE
+	 * @param {EmailDataType} payload - Email whose ical_event.event has the original uid
+	 * @returns {Promise<DeliveryResult>}
+	 */
+	async send_event_cancellation(payload) {
+		return this.#send_event_revision(payload, 'CANCEL');
+	}
+
+	/**
+	 * Persists an email in the queue store and sends it in the background with the usual retry
+	 * and failover. Entries are marked sent or failed once done; entries still pending when the
+	 * process stops are sent when a mailer is next created with the same store. Delivery is
+	 * at-least-once: a crash between sending and recording it sends the message again, with the
+	 * same Message-ID.
+	 * @param {EmailDataType} payload
+	 * @returns {Promise<import('./queue.js').QueueEntry>} The pending entry
+	 * @throws {EmailError} If the email is invalid, has stream attachments or has send_at
+	 */
+	async enqueue(payload) {
+		// The queue sends entries in order, so one waiting for its send_at would hold up the rest
+		if (payload?.send_at !== undefined) {
+			throw new EmailError(
+				'send_at is not supported for queued emails; use send_mail or schedule_mail instead',
+				EMAIL_ERROR_CODES.VALIDATION
+			);
+		}
+		const id = randomUUID();
+		const queued = this.#to_stored_payload(payload);
+		this.#validate_payload(
+			this.#resolve_content(queued),
+			await this.#measure_attachments(queued.attachments)
+		);
+		// Fixed now so a message sent again after a restart keeps its Message-ID
+		queued.message_id ??= this.#create_message_id(id, queued.from);
+
+		const now = new Date().toISOString();
+		const entry = {
+			id,
+			payload: queued,
+			status: 'pending',
+			attempts: 0,
+			created_at: now,
+			updated_at: now
+		};
+		await this.#queue_store.add(entry);
+		this.#logger('info', 'Email queued', { id, message_id: queued.message_id });
+
+		this.process_queue();
+		return { ...entry };
+	}
+
+	/**
+	 * Sends the pending entries in the queue store. enqueue and the constructor start this
+	 * already; await it to wait until the queue is empty.
+	 * @returns {Promise<void>}
+	 */
+	process_queue() {
+		this.#queue_rescan = true;
+		this.#queue_worker ??= this.#run_queue()
+			.catch((error) => {
+				this.#logger('error', 'Queue processing stopped', { error: error.message });
+			})
+			.finally(() => {
+				this.#queue_worker = null;
+			});
+		return this.#queue_worker;
+	}
+
+	/**
+	 * Looks up a queue entry, e.g. to check whether it was sent
+	 * @param {string} id
+	 * @returns {Promise<import('./queue.js').QueueEntry|undefined>}
+	 */
+	async get_queue_entry(id) {
+		return this.#queue_store.get(id);
+	}
+
+	/**
+	 * Sends dead letters again, one at a time, once the reason they failed is fixed. Letters that
+	 * are sent are removed from the sink, held ones once they are sent; letters that fail again are
+	 * kept as they were, and no new letter is written for them.
+	 * @param {import('./dead-letters.js').DeadLetter[]} [letters] - Letters to replay, read from the dead_letter sink if omitted
+	 * @returns {Promise<ReplayReport>}
+	 * @throws {EmailError} If no letters are given and the sink cannot read them
+	 */
+	async replay_dead_letters(letters) {
+		const start_time = Date.now();
+		const sink = this.#dead_letter_sink;
+		if (letters === undefined) {
+			if (typeof sink?.read !== 'function') {
+				throw new EmailError(
+					'replay_dead_letters needs letters, or a dead_letter sink that implements read',
+					EMAIL_ERROR_CODES.CONFIGURATION
+				);
+			}
+			letters = await sink.read();
+		}
+		if (!Array.isArray(letters)) {
+			throw new EmailError('letters must be an array', EMAIL_ERROR_CODES.VALIDATION);
+		}
+
+		// Removed one by one, so letters sent before a crash are not sent again
+		const remove = async (id) => {
+			try {
+				await sink?.remove?.([id]);
+				return null;
+			} catch (error) {
+				// The email went out; the letter stays in the sink and a later replay sends it again
+				this.#logger('error', 'Failed to remove dead letter', { id, error: error.message });
+				return error.message;
+			}
+		};
+
+		/** @type {ReplayResult[]} */
+		const results = [];
+		for (const letter of letters) {
+			/** @type {ReplayResult} */
+			let replayed;
+			try {
+				const result = await this.#send_or_schedule(letter.payload, false);
+				replayed = { id: letter.id, status: 'delivery' in result ? 'scheduled' : 'sent', result };
+			} catch (error) {
+				results.push({ id: letter.id, status: 'failed', error: this.#describe_send_error(error) });
+				continue;
 			}
+			results.push(replayed);
+
+			if (replayed.status === 'scheduled') {
+				// A held email only lives in memory, so its letter stays until the email is sent
+				replayed.result.delivery.then(
+					(delivered) => delivered && remove(letter.id),
+					() => {}
+				);
+				continue;
+			}
+			const remove_error = await remove(letter.id);
+			if (remove_error) replayed.remove_error = remove_error;
 		}
+
+		const count = (status) => results.filter((result) => result.status === status).length;
+		const report = {
+			total: letters.length,
+			sent: count('sent'),
+			scheduled: count('scheduled'),
+			failed: count('failed'),
+			duration_ms: Date.now() - start_time,
+			results
+		};
+		this.#logger(report.failed > 0 ? 'warn' : 'info', 'Dead letters replayed', {
+			total: report.total,
+			sent: report.sent,
+			scheduled: report.scheduled,
+			failed: report.failed,
+			duration_ms: report.duration_ms
+		});
+		return report;
 	}
 
 	/**
-	 * Cleanly destroys the mailer instance with error handling
+	 * Cleanly destroys the mailer instance with error handling. A queued email being sent is
+	 * finished first; other pending entries stay in the store. Scheduled emails that are not due
+	 * yet are cancelled and returned, so they can be stored and sent again later.
+	 * @returns {Promise<import('./scheduler.js').UnsentMessage[]>} Scheduled emails that were not sent
 	 */
 	async destroy() {
+		this.#destroyed = true;
+		await this.#queue_worker;
+
+		const unsent = this.#scheduler.cancel_all();
+		if (unsent.length > 0) {
+			this.#logger('warn', 'Scheduled emails were not sent', {
+				count: unsent.length,
+				schedule_ids: unsent.map((message) => message.id)
+			});
+		}
+		await this.#scheduler.settle();
+
 		if (this.#cleanup_interval) {
 			clearInterval(this.#cleanup_interval);
 		}
@@ -662,5 +3355,6 @@ export class DualMailer {
 		if (promises.length > 0) {
 			await Promise.allSettled(promises);
 		}
+		return unsent;
 	}
 }
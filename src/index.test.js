@@ -202,6 +202,70 @@ describe('DualMailer', () => {
 		});
 	});
 
+	describe('Delivery Result', () => {
+		it('should resolve with the delivery details', async () => {
+			mailer = new DualMailer(basic_smtp_config);
+			nodemailer.createTransport.mockImplementationOnce(() => ({
+				verify: vi.fn().mockResolvedValue(true),
+				sendMail: vi.fn().mockResolvedValue({
+					messageId: '<abc@example.com>',
+					accepted: ['test@example.com'],
+					rejected: ['bounce@example.com'],
+					response: '250 2.0.0 OK queued'
+				}),
+				isIdle: vi.fn().mockReturnValue(true),
+				close: vi.fn().mockResolvedValue(true)
+			}));
+
+			const result = await mailer.send_mail({
+				to: 'test@example.com',
+				subject: 'Test',
+				html: { title: 'Test', body: '<p>Test</p>' }
+			});
+
+			expect(result).toEqual({
+				message_id: '<abc@example.com>',
+				accepted: ['test@example.com'],
+				rejected: ['bounce@example.com'],
+				response: '250 2.0.0 OK queued',
+				transport: 'SMTP',
+				transport_name: 'smtp',
+				attempts: 1,
+				duration_ms: expect.any(Number)
+			});
+		});
+
+		it('should use the Mailgun API reply as the response', async () => {
+			mailer = new DualMailer(mailgun_config);
+			nodemailer.createTransport.mockImplementationOnce(() => ({
+				verify: vi.fn().mockResolvedValue(true),
+				sendMail: vi.fn().mockResolvedValue({
+					id: '<20240101.1@test.com>',
+					messageId: '<20240101.1@test.com>',
+					message: 'Queued. Thank you.'
+				}),
+				isIdle: vi.fn().mockReturnValue(true),
+				close: vi.fn().mockResolvedValue(true)
+			}));
+
+			const result = await mailer.send_mail({
+				to: 'test@example.com',
+				subject: 'Test',
+				html: { title: 'Test', body: '<p>Test</p>' }
+			});
+
+			expect(result).toEqual(
+				expect.objectContaining({
+					message_id: '<20240101.1@test.com>',
+					accepted: [],
+					rejected: [],
+					response: 'Queued. Thank you.',
+					transport: 'Mailgun'
+				})
+			);
+		});
+	});
+
 	describe('Transport Management', () => {
 		beforeEach(() => {
 			mailer = new DualMailer(basic_smtp_config);
@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+describe('DualMailer - CSS inlining', () => {
+	let mailer;
+	let mock_send_mail;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const html = {
+		title: 'Styled Email',
+		style: `
+			.header { color: blue; }
+			#main p { color: red; }
+			p { color: green; margin: 0; }
+			@media (max-width: 600px) { .header { color: black; } }
+		`,
+		body: '<div class="header" style="padding: 4px"><h1>Welcome!</h1></div><div id="main"><p>Inside</p></div><p>Outside</p>'
+	};
+
+	const sent_html = () => mock_send_mail.mock.calls[0][0].html;
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should keep the style block in the head by default', async () => {
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+		await mailer.send_mail({ to: 'test@example.com', subject: 'Test', html });
+
+		expect(sent_html()).toContain('.header { color: blue; }');
+		expect(sent_html()).toContain('<div class="header" style="padding: 4px">');
+	});
+
+	it('should inline the rules into the body elements, respecting specificity', async () => {
+		mailer = new DualMailer(basic_smtp_config, { silent: true, inline_css: true });
+		await mailer.send_mail({ to: 'test@example.com', subject: 'Test', html });
+
+		const result = sent_html();
+		expect(result).toContain('<div class="header" style="color: blue; padding: 4px;">');
+		expect(result).toContain('<div id="main"><p style="margin: 0; color: red;">Inside</p></div>');
+		expect(result).toContain('<p style="color: green; margin: 0;">Outside</p>');
+		expect(result).toMatch(/<body style="font-family: sans-serif;">/);
+	});
+
+	it('should keep media queries in the head', async () => {
+		mailer = new DualMailer(basic_smtp_config, { silent: true, inline_css: true });
+		await mailer.send_mail({ to: 'test@example.com', subject: 'Test', html });
+
+		const head = sent_html().split('</head>')[0];
+		expect(head).toMatch(/<style>\s*@media \(max-width: 600px\) \{\s*\.header \{\s*color: black;/);
+		expect(head).not.toContain('color: blue');
+	});
+
+	it('should let a message opt in or out of the mailer setting', async () => {
+		mailer = new DualMailer(basic_smtp_config, { silent: true, inline_css: true });
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Test',
+			html: { ...html, inline_css: false }
+		});
+		await mailer.destroy();
+
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Test',
+			html: { ...html, inline_css: true }
+		});
+
+		expect(mock_send_mail.mock.calls[0][0].html).toContain('.header { color: blue; }');
+		expect(mock_send_mail.mock.calls[1][0].html).toContain(
+			'<div class="header" style="color: blue; padding: 4px;">'
+		);
+	});
+});
@@ -0,0 +1,122 @@
+import { EmailError, EMAIL_ERROR_CODES } from './errors.js';
+
+/**
+ * @typedef {Object} Formatters
+ * @property {(value: Date|string|number, options?: Intl.DateTimeFormatOptions) => string} date - Formats a date (medium date style by default)
+ * @property {(value: Date|string|number, options?: Intl.DateTimeFormatOptions) => string} datetime - Formats a date and time (medium date, short time by default)
+ * @property {(value: number, options?: Intl.NumberFormatOptions) => string} number - Formats a number
+ * @property {(value: number, currency: string, options?: Intl.NumberFormatOptions) => string} currency - Formats an amount of money
+ */
+
+// Scripts written right to left
+const RTL_SCRIPTS = ['Arab', 'Hebr', 'Thaa', 'Syrc', 'Nkoo', 'Adlm', 'Rohg'];
+// Used when the locale cannot be parsed
+const RTL_LANGUAGES = ['ar', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+/**
+ * @param {string} locale
+ * @returns {string}
+ */
+function get_language(locale) {
+	return locale.split(/[-_]/)[0].toLowerCase();
+}
+
+/**
+ * Lists the locales to try in order, e.g. pt-BR → pt → en
+ * @param {string} [locale] - Requested locale
+ * @param {string} default_locale - Last resort
+ * @returns {string[]}
+ */
+export function get_locale_chain(locale, default_locale) {
+	const chain = [];
+	if (locale) {
+		const parts = locale.replace(/_/g, '-').split('-');
+		for (let length = parts.length; length > 0; length--) {
+			chain.push(parts.slice(0, length).join('-'));
+		}
+	}
+	chain.push(default_locale, get_language(default_locale));
+	return [...new Set(chain.map((entry) => entry.toLowerCase()))];
+}
+
+/**
+ * Picks the first variant matching the locale chain (case insensitive)
+ * @template T
+ * @param {Record<string, T>} variants - Variants by locale
+ * @param {string[]} chain - Locales to try, from get_locale_chain
+ * @returns {{ locale: string, value: T }|null}
+ */
+export function pick_locale_variant(variants, chain) {
+	const keys = Object.keys(variants);
+	for (const candidate of chain) {
+		const key = keys.find((entry) => entry.replace(/_/g, '-').toLowerCase() === candidate);
+		if (key !== undefined) return { locale: key, value: variants[key] };
+	}
+	return null;
+}
+
+/**
+ * Picks a variant for the locale chain, or throws a validation error naming the field
+ * @template T
+ * @param {Record<string, T>} variants
+ * @param {string[]} chain
+ * @param {string} field - Field name for error messages
+ * @returns {{ locale: string, value: T }}
+ * @throws {EmailError} If no variant matches
+ */
+export function require_locale_variant(variants, chain, field) {
+	const match = pick_locale_variant(variants, chain);
+	if (!match) {
+		throw new EmailError(
+			`No ${field} variant for locale (tried ${chain.join(', ')})`,
+			EMAIL_ERROR_CODES.VALIDATION
+		);
+	}
+	return match;
+}
+
+/**
+ * The locale content should be presented in: the requested locale when the matched variant is
+ * in the same language (pt-BR for a pt variant), otherwise the matched variant's locale
+ * @param {string|undefined} requested
+ * @param {string} matched
+ * @returns {string}
+ */
+export function get_effective_locale(requested, matched) {
+	if (requested && get_language(requested) === get_language(matched)) return requested;
+	return matched;
+}
+
+/**
+ * @param {string} locale
+ * @returns {'ltr'|'rtl'}
+ */
+export function get_text_direction(locale) {
+	try {
+		return RTL_SCRIPTS.includes(new Intl.Locale(locale).maximize().script) ? 'rtl' : 'ltr';
+	} catch {
+		return RTL_LANGUAGES.includes(get_language(locale)) ? 'rtl' : 'ltr';
+	}
+}
+
+/**
+ * Creates locale-aware formatters for dates, numbers and currencies
+ * @param {string} locale
+ * @param {Object} [options]
+ * @param {string} [options.time_zone] - IANA time zone for dates (process time zone if omitted)
+ * @returns {Formatters}
+ */
+export function create_formatters(locale, { time_zone } = {}) {
+	const to_date = (value) => (value instanceof Date ? value : new Date(value));
+	const zone = time_zone ? { timeZone: time_zone } : {};
+
+	return {
+		date: (value, options = { dateStyle: 'medium' }) =>
+			new Intl.DateTimeFormat(locale, { ...zone, ...options }).format(to_date(value)),
+		datetime: (value, options = { dateStyle: 'medium', timeStyle: 'short' }) =>
+			new Intl.DateTimeFormat(locale, { ...zone, ...options }).format(to_date(value)),
+		number: (value, options = {}) => new Intl.NumberFormat(locale, options).format(value),
+		currency: (value, currency, options = {}) =>
+			new Intl.NumberFormat(locale, { ...options, style: 'currency', currency }).format(value)
+	};
+}
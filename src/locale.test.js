@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, create_formatters, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+describe('DualMailer - Locales', () => {
+	let mailer;
+	let mock_send_mail;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const localized = {
+		to: 'test@example.com',
+		subject: { en: 'Welcome', pt: 'Bem-vindo', ar: 'مرحبا' },
+		html: {
+			en: { title: 'Welcome', body: '<p>Welcome!</p>' },
+			pt: { title: 'Bem-vindo', body: '<p>Bem-vindo!</p>' },
+			ar: { title: 'مرحبا', body: '<p>مرحبا!</p>' }
+		}
+	};
+
+	const templates = {
+		receipt: {
+			en: {
+				subject: 'Your receipt',
+				body: '<p>Paid {{currency order.total EUR}} on {{date order.paid_at}} for {{number order.items}} items</p>'
+			},
+			'pt-BR': {
+				subject: 'Seu recibo',
+				body: '<p>Pago {{currency order.total BRL}} em {{date order.paid_at}}</p>'
+			}
+		}
+	};
+
+	const order = { total: 1234.5, paid_at: '2026-06-01T12:00:00Z', items: 1500 };
+
+	const sent_message = (call = 0) => mock_send_mail.mock.calls[call][0];
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+		mailer = new DualMailer(basic_smtp_config, { silent: true, templates, time_zone: 'UTC' });
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should pick the variants for the locale, falling back along the chain', async () => {
+		await mailer.send_mail({ ...localized, locale: 'pt-BR' });
+		await mailer.send_mail({ ...localized, locale: 'de-AT' });
+
+		expect(sent_message(0).subject).toBe('Bem-vindo');
+		expect(sent_message(0).html).toContain('<p>Bem-vindo!</p>');
+		expect(sent_message(0).html).toContain('<html lang="pt-BR" dir="ltr">');
+		expect(sent_message(1).subject).toBe('Welcome');
+		expect(sent_message(1).html).toContain('<html lang="en" dir="ltr">');
+	});
+
+	it('should use the default locale when the message has none', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, { silent: true, default_locale: 'pt' });
+		await mailer.send_mail(localized);
+
+		expect(sent_message().subject).toBe('Bem-vindo');
+		expect(sent_message().html).toContain('<html lang="pt" dir="ltr">');
+	});
+
+	it('should set dir="rtl" for right-to-left languages', async () => {
+		await mailer.send_mail({ ...localized, locale: 'ar-EG' });
+
+		expect(sent_message().subject).toBe('مرحبا');
+		expect(sent_message().html).toContain('<html lang="ar-EG" dir="rtl">');
+	});
+
+	it('should set lang from the locale for plain content', async () => {
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'שלום',
+			html: { title: 'שלום', body: '<p>שלום</p>' },
+			locale: 'he'
+		});
+
+		expect(sent_message().html).toContain('<html lang="he" dir="rtl">');
+	});
+
+	it('should keep the lang="en" default for messages without a locale', async () => {
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Test',
+			html: { title: 'Test', body: '<p>Test</p>' }
+		});
+
+		expect(sent_message().html).toContain('<html lang="en" dir="ltr">');
+	});
+
+	it('should reject localized content without a matching variant', async () => {
+		await expect(
+			mailer.send_mail({
+				...localized,
+				subject: { fr: 'Bienvenue' },
+				locale: 'pt-BR'
+			})
+		).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'No subject variant for locale (tried pt-br, pt, en)'
+			})
+		);
+	});
+
+	it('should render localized templates with locale-aware formatting', async () => {
+		await mailer.send_mail({
+			to: 'test@example.com',
+			template: 'receipt',
+			data: { order },
+			locale: 'pt-BR'
+		});
+		await mailer.send_mail({
+			to: 'test@example.com',
+			template: 'receipt',
+			data: { order },
+			locale: 'en-GB'
+		});
+
+		expect(sent_message(0).subject).toBe('Seu recibo');
+		expect(sent_message(0).html).toContain('<html lang="pt-BR" dir="ltr">');
+		expect(sent_message(0).html).toContain('<p>Pago R$ 1.234,50 em 1 de jun. de 2026</p>');
+		expect(sent_message(1).subject).toBe('Your receipt');
+		expect(sent_message(1).html).toContain('<html lang="en-GB" dir="ltr">');
+		expect(sent_message(1).html).toContain('<p>Paid €1,234.50 on 1 Jun 2026 for 1,500 items</p>');
+	});
+
+	it('should reject unknown template helpers and unformattable values', async () => {
+		mailer.register_template('bad-helper', { subject: 'Bad', body: '{{upper name}}' });
+		mailer.register_template('bad-date', { subject: 'Bad', body: '{{date when}}' });
+
+		await expect(
+			mailer.send_mail({ to: 'test@example.com', template: 'bad-helper', data: { name: 'x' } })
+		).rejects.toThrow('Unknown template helper "upper"');
+		await expect(
+			mailer.send_mail({ to: 'test@example.com', template: 'bad-date', data: { when: 'soon' } })
+		).rejects.toThrow('Cannot format "when" with date: Invalid time value');
+	});
+
+	it('should export the formatters for hand-written bodies', () => {
+		const format = create_formatters('de-DE', { time_zone: 'UTC' });
+
+		expect(format.number(1234.5)).toBe('1.234,5');
+		expect(format.currency(9.99, 'EUR')).toBe('9,99 €');
+		expect(format.date('2026-06-01T12:00:00Z')).toBe('01.06.2026');
+		expect(format.datetime('2026-06-01T12:00:00Z')).toBe('01.06.2026, 12:00');
+	});
+});
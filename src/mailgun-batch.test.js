@@ -0,0 +1,287 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DualMailer, EMAIL_ERROR_CODES } from './index.js';
+
+// Talks to a local stand-in for the Mailgun API through the real nodemailer and Mailgun transport
+describe('DualMailer - Mailgun Batch Sending', () => {
+	let mailer;
+	let server;
+	let requests;
+	let respond;
+	let mailgun_url;
+
+	const message = {
+		subject: 'Hi {{first_name}}',
+		html: { title: 'Renewal for {{first_name}}', body: '<p>Hello {{first_name}}, {{plan}}</p>' },
+		data: { plan: 'Basic' }
+	};
+
+	const create_mailer = (config = {}, options = {}) =>
+		new DualMailer(
+			{
+				mailgun_api_key: 'key-test',
+				mailgun_domain: 'mg.example.com',
+				noreply_email: 'noreply@example.com',
+				mailgun_url,
+				...config
+			},
+			{ silent: true, ...options }
+		);
+
+	const recipient_variables = (request) => JSON.parse(request.form.get('recipient-variables'));
+
+	beforeEach(async () => {
+		requests = [];
+		respond = () => [
+			200,
+			{ id: `<batch-${requests.length}@mg.example.com>`, message: 'Queued. Thank you.' }
+		];
+		server = createServer(async (req, res) => {
+			const chunks = [];
+			for await (const chunk of req) chunks.push(chunk);
+			const form = await new Response(Buffer.concat(chunks), {
+				headers: { 'content-type': req.headers['content-type'] }
+			}).formData();
+			requests.push({ method: req.method, url: req.url, form });
+
+			const [status, body] = respond(form);
+			res.writeHead(status, { 'content-type': 'application/json' });
+			res.end(JSON.stringify(body));
+		});
+		await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+		mailgun_url = `http://127.0.0.1:${server.address().port}`;
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+		server.closeAllConnections();
+		await new Promise((resolve) => server.close(resolve));
+	});
+
+	it('should send all recipients in one call with recipient-variables', async () => {
+		mailer = create_mailer();
+
+		const report = await mailer.send_bulk(
+			[
+				{ to: 'ann@example.com', data: { first_name: 'Ann' } },
+				{
+					to: { name: 'Bob', address: 'bob@Example.com' },
+					data: { first_name: '<Bob>', plan: 'Pro' }
+				}
+			],
+			message
+		);
+
+		expect(requests).toHaveLength(1);
+		const [request] = requests;
+		expect(request.method).toBe('POST');
+		expect(request.url).toBe('/v3/mg.example.com/messages');
+		expect(request.form.get('to')).toBe('ann@example.com,Bob <bob@example.com>');
+		expect(request.form.get('subject')).toBe('Hi %recipient.v0%');
+		expect(request.form.get('html')).toContain('<title>Renewal for %recipient.v1%</title>');
+		expect(request.form.get('html')).toContain('<p>Hello %recipient.v1%, %recipient.v2%</p>');
+		expect(request.form.get('text')).toBe('Hello %recipient.v0%, %recipient.v3%');
+		expect(request.form.get('h:Message-Id')).toBeNull();
+		expect(recipient_variables(request)).toEqual({
+			'ann@example.com': { v0: 'Ann', v1: 'Ann', v2: 'Basic', v3: 'Basic' },
+			'bob@example.com': { v0: '<Bob>', v1: '&lt;Bob&gt;', v2: 'Pro', v3: 'Pro' }
+		});
+
+		expect(report).toEqual(expect.objectContaining({ total: 2, sent: 2, failed: 0 }));
+		expect(report.results[1]).toEqual({
+			index: 1,
+			to: { name: 'Bob', address: 'bob@Example.com' },
+			status: 'sent',
+			result: expect.objectContaining({
+				message_id: '<batch-1@mg.example.com>',
+				accepted: ['bob@example.com'],
+				transport: 'Mailgun'
+			})
+		});
+	});
+
+	it('should split large lists into calls of at most 1,000 recipients', async () => {
+		mailer = create_mailer();
+		const recipients = Array.from({ length: 2500 }, (_, index) => ({
+			to: `user${index}@example.com`,
+			data: { first_name: `User ${index}` }
+		}));
+
+		const report = await mailer.send_bulk(recipients, message);
+
+		expect(requests.map((request) => Object.keys(recipient_variables(request)).length)).toEqual([
+			1000, 1000, 500
+		]);
+		expect(report.sent).toBe(2500);
+		expect(report.results[2499]).toEqual(
+			expect.objectContaining({ index: 2499, to: 'user2499@example.com', status: 'sent' })
+		);
+	});
+
+	it('should map failures back to the recipients', async () => {
+		respond = (form) =>
+			form.get('to').includes('reject@example.com')
+				? [400, { message: "'to' parameter is not a valid address" }]
+				: [200, { id: '<ok@mg.example.com>', message: 'Queued. Thank you.' }];
+		mailer = create_mailer();
+
+		const report = await mailer.send_bulk(
+			[
+				{ to: 'ann@example.com', data: { first_name: 'Ann' } },
+				{ to: 'nameless@example.com' },
+				{ to: 'reject@example.com', data: { first_name: 'R' }, locale: 'de' },
+				{ to: '用户@example.com', data: { first_name: 'U' } },
+				{ to: 'key@example.com', data: { first_name: 'K' }, idempotency_key: 'k-1' }
+			],
+			message
+		);
+
+		expect(report.results.map(({ status, error }) => [status, error?.code])).toEqual([
+			['sent', undefined],
+			['failed', EMAIL_ERROR_CODES.VALIDATION],
+			['failed', EMAIL_ERROR_CODES.SEND],
+			['failed', EMAIL_ERROR_CODES.VALIDATION],
+			['sent', undefined]
+		]);
+		expect(report.results[1].error.message).toBe('Missing template variables: first_name');
+		expect(report.results[2].error.message).toBe(
+			'Failed to send email after 1 attempt(s): Bad Request'
+		);
+		// One batch per locale, and the recipient with its own key on its own
+		expect(requests.map((request) => request.form.get('to'))).toEqual(
+			expect.arrayContaining(['ann@example.com', 'reject@example.com', 'key@example.com'])
+		);
+		expect(requests).toHaveLength(3);
+		expect(
+			requests.find((request) => request.form.get('to') === 'key@example.com').form.get('subject')
+		).toBe('Hi K');
+	});
+
+	it('should compile registered templates with their layout', async () => {
+		mailer = create_mailer(
+			{},
+			{
+				layout: '<main>{{{body}}}</main><footer>{{company}}</footer>',
+				templates: {
+					renewal: { subject: 'Renewal for {{first_name}}', body: '<p>{{currency price EUR}}</p>' }
+				}
+			}
+		);
+
+		await mailer.send_bulk([{ to: 'ann@example.com', data: { first_name: 'Ann', price: 9.5 } }], {
+			template: 'renewal',
+			data: { company: 'ACME' }
+		});
+
+		const [request] = requests;
+		expect(request.form.get('subject')).toBe('Renewal for %recipient.v2%');
+		expect(request.form.get('html')).toContain(
+			'<main><p>%recipient.v0%</p></main><footer>%recipient.v1%</footer>'
+		);
+		expect(recipient_variables(request)['ann@example.com']).toEqual(
+			expect.objectContaining({ v0: '€9.50', v1: 'ACME', v2: 'Ann' })
+		);
+	});
+
+	it('should send one call per recipient when batching is off or not possible', async () => {
+		mailer = create_mailer();
+		const recipients = [
+			{ to: 'ann@example.com', data: { first_name: 'Ann' } },
+			{ to: 'bob@example.com', data: { first_name: 'Bob' } }
+		];
+
+		await mailer.send_bulk(recipients, message, { batch: false });
+		await mailer.send_bulk(recipients, { ...message, cc: 'audit@example.com' });
+
+		expect(requests).toHaveLength(4);
+		expect(requests.map((request) => request.form.get('subject')).sort()).toEqual([
+			'Hi Ann',
+			'Hi Ann',
+			'Hi Bob',
+			'Hi Bob'
+		]);
+		expect(requests.every((request) => !request.form.has('recipient-variables'))).toBe(true);
+	});
+
+	it('should schedule batches with o:deliverytime', async () => {
+		mailer = create_mailer();
+		const send_at = new Date(Date.now() + 1000 * 60 * 60);
+
+		const report = await mailer.send_bulk(
+			[{ to: 'ann@example.com', data: { first_name: 'Ann' } }],
+			{ ...message, send_at }
+		);
+
+		expect(requests[0].form.get('o:deliverytime')).toBe(send_at.toUTCString());
+		expect(report.results[0].result.send_at).toBe(send_at.toISOString());
+	});
+
+	it('should upload the contents of path attachments', async () => {
+		mailer = create_mailer();
+		const dir = await mkdtemp(join(tmpdir(), 'dual-mailer-mailgun-'));
+		const path = join(dir, 'invoice.txt');
+		await writeFile(path, 'Invoice 42');
+
+		try {
+			await mailer.send_mail({
+				to: 'ann@example.com',
+				subject: 'Your invoice',
+				html: { title: 'Invoice', body: '<p>Attached</p>' },
+				attachments: [
+					{ path },
+					{ filename: 'terms.txt', path: `data:text/plain;base64,${btoa('Pay in 30 days')}` }
+				]
+			});
+		} finally {
+			await rm(dir, { recursive: true, force: true });
+		}
+
+		const files = requests[0].form.getAll('attachment');
+		expect(files.map((file) => file.name)).toEqual(['invoice.txt', 'terms.txt']);
+		expect(await Promise.all(files.map((file) => file.text()))).toEqual([
+			'Invoice 42',
+			'Pay in 30 days'
+		]);
+		expect(files[1].type).toBe('text/plain');
+	});
+
+	it('should send calendar invites as a text/calendar attachment', async () => {
+		mailer = create_mailer();
+
+		const result = await mailer.send_mail({
+			to: 'ann@example.com',
+			subject: 'Standup',
+			html: { title: 'Standup', body: '<p>Standup</p>' },
+			ical_event: {
+				event: {
+					uid: 'standup@example.com',
+					summary: 'Standup',
+					start: '2026-06-01T09:00:00Z',
+					end: '2026-06-01T09:15:00Z',
+					organizer: { email: 'lead@example.com' },
+					attendees: [{ email: 'ann@example.com' }]
+				}
+			}
+		});
+
+		const [file] = requests[0].form.getAll('attachment');
+		expect(file.name).toBe('invite.ics');
+		// The form parser lowercases the content type
+		expect(file.type).toBe('text/calendar; charset=utf-8; method=request');
+		expect(await file.text()).toContain('UID:standup@example.com');
+		expect(await file.text()).toContain('METHOD:REQUEST');
+		expect(requests[0].form.has('icalEvent')).toBe(false);
+		expect(result.calendar).toEqual({ uid: 'standup@example.com', sequence: 0, method: 'REQUEST' });
+	});
+
+	it('should validate mailgun_url', () => {
+		expect(() => create_mailer({ mailgun_url: 'api.mailgun.net' })).toThrow(
+			'Configuration error: mailgun_url must be an http or https URL'
+		);
+	});
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+describe('DualMailer - Markdown', () => {
+	let mailer;
+	let mock_send_mail;
+	let mock_logger;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const markdown = [
+		'# Release notes',
+		'',
+		'Hello **team**, the [changelog](https://example.com/changelog) is live.',
+		'',
+		'- Faster sends',
+		'- Fewer bugs',
+		'',
+		'| Item | Qty |',
+		'| ---- | --- |',
+		'| Apple | 2 |'
+	].join('\n');
+
+	const sent_message = () => mock_send_mail.mock.calls[0][0];
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		mock_logger = vi.fn();
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+		mailer = new DualMailer(basic_smtp_config, { logger: mock_logger });
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should render Markdown into the HTML shell', async () => {
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Release notes',
+			html: { title: 'Release notes', markdown }
+		});
+
+		const { html } = sent_message();
+		expect(html).toContain('<!doctype html');
+		expect(html).toContain('<title>Release notes</title>');
+		expect(html).toContain('<h1>Release notes</h1>');
+		expect(html).toContain(
+			'<p>Hello <strong>team</strong>, the <a href="https://example.com/changelog">changelog</a> is live.</p>'
+		);
+		expect(html).toContain('<li>Faster sends</li>');
+		expect(html).toContain('<td>Apple</td>');
+	});
+
+	it('should derive a clean plain-text part', async () => {
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Release notes',
+			html: { title: 'Release notes', markdown }
+		});
+
+		expect(sent_message().text).toBe(
+			[
+				'Release notes',
+				'',
+				'Hello team, the changelog (https://example.com/changelog) is live.',
+				'',
+				' * Faster sends',
+				' * Fewer bugs',
+				'',
+				'ITEM    QTY',
+				'Apple   2'
+			].join('\n')
+		);
+	});
+
+	it('should derive the text part even when auto_text is disabled', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, { silent: true, auto_text: false });
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Notes',
+			html: { title: 'Notes', markdown: 'Just **this**' }
+		});
+
+		expect(sent_message().text).toBe('Just this');
+	});
+
+	it('should sanitize raw HTML inside the Markdown', async () => {
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Notes',
+			html: {
+				title: 'Notes',
+				markdown:
+					'Hi<br>there <span onmouseover="x()">you</span>\n\n<script>alert(1)</script>\n\n[Click](javascript:alert(2))',
+				sanitize: false
+			}
+		});
+
+		const { html } = sent_message();
+		expect(html).toContain('Hi<br>there <span>you</span>');
+		expect(html).toContain('<a>Click</a>');
+		expect(html).not.toMatch(/script|onmouseover/);
+		expect(mock_logger).toHaveBeenCalledWith('warn', 'Unsafe HTML removed from email body', {
+			removed: [
+				{ reason: 'event_handler', element: 'span', attribute: 'onmouseover' },
+				{ reason: 'script', element: 'script' },
+				{ reason: 'javascript_url', element: 'a', attribute: 'href' }
+			]
+		});
+	});
+
+	it('should check cid references in the Markdown', async () => {
+		await expect(
+			mailer.send_mail({
+				to: 'test@example.com',
+				subject: 'Notes',
+				html: { title: 'Notes', markdown: '![Logo](cid:logo) ![Banner](cid:banner)' },
+				attachments: [{ filename: 'logo.png', content: 'x', cid: 'logo' }]
+			})
+		).rejects.toThrow('Missing inline attachments for: cid:banner');
+	});
+
+	it('should reject a body and markdown together', async () => {
+		await expect(
+			mailer.send_mail({
+				to: 'test@example.com',
+				subject: 'Notes',
+				html: { title: 'Notes', body: '<p>Hi</p>', markdown: 'Hi' }
+			})
+		).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'HTML email accepts either a body or markdown, not both'
+			})
+		);
+	});
+});
@@ -0,0 +1,174 @@
+import { appendFile, readFile, rename, truncate, writeFile } from 'fs/promises';
+import { EmailError, EMAIL_ERROR_CODES } from './errors.js';
+
+/**
+ * @typedef {'pending'|'sent'|'failed'} QueueStatus
+ */
+
+/**
+ * @typedef {Object} QueueEntry
+ * @property {string} id - Entry ID
+ * @property {Object} payload - Email to send, as JSON (Buffer attachments are stored as base64)
+ * @property {QueueStatus} status - pending until the mailer has sent it or given up on it
+ * @property {number} attempts - Times the mailer started sending the entry, including interrupted runs
+ * @property {string} created_at - ISO timestamp the entry was queued at
+ * @property {string} updated_at - ISO timestamp of the last change
+ * @property {Object} [result] - Delivery result, once sent
+ * @property {{ message: string, code: string }} [error] - Last error, once failed
+ */
+
+/**
+ * @typedef {Object} QueueStore
+ * @property {(entry: QueueEntry) => void|Promise<void>} add - Persists a new entry
+ * @property {(id: string, changes: Partial<QueueEntry>) => void|Promise<void>} update - Persists changes to an entry
+ * @property {(id: string) => QueueEntry|undefined|Promise<QueueEntry|undefined>} get - Looks up an entry
+ * @property {() => QueueEntry[]|Promise<QueueEntry[]>} pending - Pending entries, oldest first
+ */
+
+/**
+ * Creates a queue store that keeps entries in memory for the lifetime of the process
+ * @returns {QueueStore}
+ */
+export function create_memory_queue_store() {
+	/** @type {Map<string, QueueEntry>} */
+	const entries = new Map();
+	return {
+		add: (entry) => {
+			entries.set(entry.id, { ...entry });
+		},
+		update: (id, changes) => {
+			if (entries.has(id)) entries.set(id, { ...entries.get(id), ...changes });
+		},
+		get: (id) => (entries.has(id) ? { ...entries.get(id) } : undefined),
+		pending: () =>
+			[...entries.values()]
+				.filter((entry) => entry.status === 'pending')
+				.map((entry) => ({ ...entry }))
+	};
+}
+
+/**
+ * Replays journal lines into entries. A partial last line, left by a crash mid-write, is ignored.
+ * @param {string} content - Journal content
+ * @param {string} path - Journal path for error messages
+ * @returns {Map<string, QueueEntry>}
+ */
+function replay_journal(content, path) {
+	/** @type {Map<string, QueueEntry>} */
+	const entries = new Map();
+	const lines = content.split('\n');
+	lines.forEach((line, index) => {
+		if (line.trim() === '') return;
+
+		let record;
+		try {
+			record = JSON.parse(line);
+		} catch (error) {
+			if (index === lines.length - 1) return;
+			throw new EmailError(
+				`Queue journal ${path} is corrupt at line ${index + 1}`,
+				EMAIL_ERROR_CODES.CONFIGURATION,
+				error
+			);
+		}
+
+		if (record.type === 'add') {
+			entries.set(record.entry.id, record.entry);
+		} else if (record.type === 'update' && entries.has(record.id)) {
+			entries.set(record.id, { ...entries.get(record.id), ...record.changes });
+		}
+	});
+	return entries;
+}
+
+/**
+ * Leaves the journal ending in a complete line after a crash mid-write, so the next append starts
+ * a line of its own. A partial last line is cut off; a last line missing only its newline gets one.
+ * @param {string} path - Journal path
+ * @param {string} content - Journal content
+ * @returns {Promise<void>}
+ */
+async function repair_journal_end(path, content) {
+	if (content === '' || content.endsWith('\n')) return;
+
+	const start = content.lastIndexOf('\n') + 1;
+	try {
+		JSON.parse(content.slice(start));
+	} catch {
+		await truncate(path, Buffer.byteLength(content.slice(0, start)));
+		return;
+	}
+	await appendFile(path, '\n');
+}
+
+/**
+ * Creates a queue store backed by an append-only journal file (JSON lines). Every change is
+ * appended before it is acknowledged, so pending entries survive a restart of the process.
+ * The journal is read on first use; call compact() now and then to drop sent entries from it.
+ * @param {string} path - Journal file, created if missing
+ * @returns {QueueStore & { compact: () => Promise<void> }}
+ */
+export function create_file_queue_store(path) {
+	/** @type {Promise<Map<string, QueueEntry>>|null} */
+	let loading = null;
+	/** @type {Promise<unknown>} */
+	let writing = Promise.resolve();
+
+	const load = () =>
+		(loading ??= readFile(path, 'utf8').then(
+			async (content) => {
+				const entries = replay_journal(content, path);
+				await repair_journal_end(path, content);
+				return entries;
+			},
+			(error) => {
+				if (error.code === 'ENOENT') return new Map();
+				throw error;
+			}
+		));
+
+	// Writes run one at a time, in order, so the journal replays to the same state
+	const write = (operation) => {
+		const result = writing.then(operation);
+		writing = result.catch(() => {});
+		return result;
+	};
+
+	const append = (record) => write(() => appendFile(path, `${JSON.stringify(record)}\n`));
+
+	return {
+		add: async (entry) => {
+			const entries = await load();
+			await append({ type: 'add', entry });
+			entries.set(entry.id, { ...entry });
+		},
+		update: async (id, changes) => {
+			const entries = await load();
+			if (!entries.has(id)) return;
+			await append({ type: 'update', id, changes });
+			entries.set(id, { ...entries.get(id), ...changes });
+		},
+		get: async (id) => {
+			const entry = (await load()).get(id);
+			return entry && { ...entry };
+		},
+		pending: async () =>
+			[...(await load()).values()]
+				.filter((entry) => entry.status === 'pending')
+				.map((entry) => ({ ...entry })),
+		compact: async () => {
+			const entries = await load();
+			await write(async () => {
+				const lines = [...entries.values()]
+					.filter((entry) => entry.status !== 'sent')
+					.map((entry) => `${JSON.stringify({ type: 'add', entry })}\n`);
+				// Write a new journal and swap it in, so a crash leaves either the old or the new one
+				await writeFile(`${path}.tmp`, lines.join(''));
+				await rename(`${path}.tmp`, path);
+				for (const [id, entry] of entries) {
+					if (entry.status === 'sent') entries.delete(id);
+				}
+			});
+		}
+	};
+}
@@ -0,0 +1,262 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm, appendFile, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import nodemailer from 'nodemailer';
+import {
+	DualMailer,
+	create_file_queue_store,
+	create_memory_queue_store,
+	EMAIL_ERROR_CODES
+} from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+const create_mock_transporter = (send_mail = vi.fn().mockResolvedValue({ response: 'OK' })) => ({
+	verify: vi.fn().mockResolvedValue(true),
+	sendMail: send_mail,
+	isIdle: vi.fn().mockReturnValue(true),
+	close: vi.fn().mockResolvedValue(true)
+});
+
+describe('DualMailer - Queue', () => {
+	let mailer;
+	let transporter;
+	let dir;
+
+	const smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply@example.com',
+		is_dev: true
+	};
+
+	const email_data = {
+		to: 'test@example.com',
+		subject: 'Receipt',
+		html: { title: 'Receipt', body: '<p>Thanks</p>' }
+	};
+
+	beforeEach(async () => {
+		vi.clearAllMocks();
+		transporter = create_mock_transporter();
+		nodemailer.createTransport.mockReturnValue(transporter);
+		dir = await mkdtemp(join(tmpdir(), 'dual-mailer-queue-'));
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+		await rm(dir, { recursive: true, force: true });
+	});
+
+	it('should send enqueued emails in the background and mark them sent', async () => {
+		mailer = new DualMailer(smtp_config, { silent: true });
+
+		const entry = await mailer.enqueue(email_data);
+		expect(entry).toEqual(
+			expect.objectContaining({ status: 'pending', attempts: 0, id: expect.any(String) })
+		);
+		await mailer.process_queue();
+
+		const sent = await mailer.get_queue_entry(entry.id);
+		expect(sent).toEqual(
+			expect.objectContaining({
+				status: 'sent',
+				attempts: 1,
+				result: expect.objectContaining({ message_id: entry.payload.message_id })
+			})
+		);
+		expect(transporter.sendMail).toHaveBeenCalledTimes(1);
+		expect(transporter.sendMail.mock.calls[0][0].messageId).toBe(entry.payload.message_id);
+	});
+
+	it('should retry with backoff and mark entries failed once retries run out', async () => {
+		transporter.sendMail.mockRejectedValue(new Error('Temporary failure'));
+		mailer = new DualMailer(smtp_config, {
+			silent: true,
+			retry: { max_retries: 1, retry_delay: 10 }
+		});
+
+		const entry = await mailer.enqueue(email_data);
+		await mailer.process_queue();
+
+		expect(transporter.sendMail).toHaveBeenCalledTimes(2);
+		expect(await mailer.get_queue_entry(entry.id)).toEqual(
+			expect.objectContaining({
+				status: 'failed',
+				attempts: 1,
+				error: {
+					message: expect.stringContaining('Temporary failure'),
+					code: EMAIL_ERROR_CODES.SEND
+				}
+			})
+		);
+	});
+
+	it('should reject invalid emails before queueing them', async () => {
+		const store = create_memory_queue_store();
+		const add = vi.spyOn(store, 'add');
+		mailer = new DualMailer(smtp_config, { silent: true, queue_store: store });
+
+		await expect(mailer.enqueue({ ...email_data, to: 'nobody' })).rejects.toEqual(
+			expect.objectContaining({ code: EMAIL_ERROR_CODES.VALIDATION })
+		);
+		await expect(
+			mailer.enqueue({
+				...email_data,
+				attachments: [{ filename: 'live.csv', content: Readable.from(['a,b']) }]
+			})
+		).rejects.toThrow(
+			'Attachment live.csv is a stream, which cannot be queued; use content or path instead'
+		);
+		expect(add).not.toHaveBeenCalled();
+	});
+
+	it('should store Buffer attachments as base64', async () => {
+		mailer = new DualMailer(smtp_config, { silent: true });
+
+		const entry = await mailer.enqueue({
+			...email_data,
+			attachments: [{ filename: 'a.txt', content: Buffer.from('hello') }]
+		});
+		await mailer.process_queue();
+
+		expect(entry.payload.attachments).toEqual([
+			{ filename: 'a.txt', content: 'aGVsbG8=', encoding: 'base64' }
+		]);
+		expect(transporter.sendMail.mock.calls[0][0].attachments).toEqual([
+			expect.objectContaining({ content: 'aGVsbG8=', encoding: 'base64' })
+		]);
+	});
+
+	it('should resume pending entries after a restart', async () => {
+		const path = join(dir, 'queue.jsonl');
+		// The first process never finishes sending, as if it died mid-send
+		nodemailer.createTransport.mockReturnValueOnce(
+			create_mock_transporter(vi.fn(() => new Promise(() => {})))
+		);
+		const crashed = new DualMailer(smtp_config, {
+			silent: true,
+			queue_store: create_file_queue_store(path)
+		});
+		const entry = await crashed.enqueue(email_data);
+		await vi.waitFor(() => expect(nodemailer.createTransport).toHaveBeenCalledTimes(1));
+
+		mailer = new DualMailer(smtp_config, {
+			silent: true,
+			queue_store: create_file_queue_store(path)
+		});
+		await mailer.process_queue();
+
+		expect(transporter.sendMail).toHaveBeenCalledTimes(1);
+		expect(transporter.sendMail.mock.calls[0][0].messageId).toBe(entry.payload.message_id);
+		expect(await mailer.get_queue_entry(entry.id)).toEqual(
+			expect.objectContaining({ status: 'sent', attempts: 2 })
+		);
+	});
+
+	it('should leave pending entries in the store when destroyed', async () => {
+		const store = create_memory_queue_store();
+		await store.add({
+			id: 'waiting',
+			payload: email_data,
+			status: 'pending',
+			attempts: 0,
+			created_at: '2026-01-01T00:00:00.000Z',
+			updated_at: '2026-01-01T00:00:00.000Z'
+		});
+		const destroyed = new DualMailer(smtp_config, { silent: true, queue_store: store });
+		await destroyed.destroy();
+		await destroyed.process_queue();
+
+		expect(transporter.sendMail).not.toHaveBeenCalled();
+		expect(await store.pending()).toEqual([expect.objectContaining({ id: 'waiting' })]);
+	});
+
+	it('should validate the queue store', () => {
+		expect(() => new DualMailer(smtp_config, { queue_store: { add: () => {} } })).toThrow(
+			'Configuration error: queue_store must implement add, update, get and pending'
+		);
+	});
+
+	describe('create_file_queue_store', () => {
+		const entry = {
+			id: 'one',
+			payload: email_data,
+			status: 'pending',
+			attempts: 0,
+			created_at: '2026-01-01T00:00:00.000Z',
+			updated_at: '2026-01-01T00:00:00.000Z'
+		};
+
+		it('should append changes to the journal and replay them', async () => {
+			const path = join(dir, 'queue.jsonl');
+			const store = create_file_queue_store(path);
+			await store.add(entry);
+			await store.add({ ...entry, id: 'two' });
+			await store.update('one', { status: 'sent' });
+
+			const journal = (await readFile(path, 'utf8')).trim().split('\n').map(JSON.parse);
+			expect(journal.map((record) => record.type)).toEqual(['add', 'add', 'update']);
+
+			const reopened = create_file_queue_store(path);
+			expect((await reopened.get('one')).status).toBe('sent');
+			expect((await reopened.pending()).map((pending) => pending.id)).toEqual(['two']);
+		});
+
+		it('should ignore a partial last line and reject corruption elsewhere', async () => {
+			const path = join(dir, 'queue.jsonl');
+			await create_file_queue_store(path).add(entry);
+			await appendFile(path, '{"type":"update","id":"one","chan');
+			expect(await create_file_queue_store(path).pending()).toHaveLength(1);
+
+			await appendFile(
+				path,
+				'{"type":"update","id":"one","chan\n{"type":"add","entry":{"id":"two"}}\n'
+			);
+			await expect(create_file_queue_store(path).pending()).rejects.toThrow(
+				`Queue journal ${path} is corrupt at line 2`
+			);
+		});
+
+		it('should write after a crash mid-write and replay the journal on the next restart', async () => {
+			const path = join(dir, 'queue.jsonl');
+			await create_file_queue_store(path).add(entry);
+			await appendFile(path, '{"type":"update","id":"one","chan');
+
+			await create_file_queue_store(path).add({ ...entry, id: 'two' });
+			const reopened = create_file_queue_store(path);
+			expect((await reopened.pending()).map((pending) => pending.id)).toEqual(['one', 'two']);
+
+			// A last line missing only its newline is kept
+			await writeFile(path, (await readFile(path, 'utf8')).trimEnd());
+			await create_file_queue_store(path).add({ ...entry, id: 'three' });
+			expect((await create_file_queue_store(path).pending()).map((pending) => pending.id)).toEqual([
+				'one',
+				'two',
+				'three'
+			]);
+		});
+
+		it('should drop sent entries when compacting', async () => {
+			const path = join(dir, 'queue.jsonl');
+			const store = create_file_queue_store(path);
+			await store.add(entry);
+			await store.add({ ...entry, id: 'two' });
+			await store.update('one', { status: 'sent' });
+			await store.update('two', { attempts: 1 });
+			await store.compact();
+
+			const journal = (await readFile(path, 'utf8')).trim().split('\n').map(JSON.parse);
+			expect(journal).toEqual([{ type: 'add', entry: { ...entry, id: 'two', attempts: 1 } }]);
+			expect(await store.get('one')).toBeUndefined();
+		});
+	});
+});
@@ -105,7 +105,7 @@ describe('DualMailer Rate Limiting', () => {
 					body: 'This is test email 5.'
 				}
 			})
-		).resolves.toBeUndefined();
+		).resolves.toEqual(expect.objectContaining({ transport: 'SMTP' }));
 	});
 
 	it('should not throttle email sends when using Mailgun transport', async () => {
@@ -0,0 +1,126 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+describe('DualMailer - Recipients', () => {
+	let mailer;
+	let mock_send_mail;
+	let mock_logger;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const html = { title: 'Test', body: '<p>Test</p>' };
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		mock_logger = vi.fn();
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+		mailer = new DualMailer(basic_smtp_config, { logger: mock_logger });
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should pass multiple recipients with cc and bcc to the transport', async () => {
+		await mailer.send_mail({
+			to: ['one@example.com', { name: 'Two', address: 'two@example.com' }],
+			cc: 'Three <three@example.com>',
+			bcc: [{ address: 'four@example.com' }],
+			subject: 'Test',
+			html
+		});
+
+		expect(mock_send_mail).toHaveBeenCalledWith(
+			expect.objectContaining({
+				to: ['one@example.com', { name: 'Two', address: 'two@example.com' }],
+				cc: 'Three <three@example.com>',
+				bcc: [{ address: 'four@example.com' }]
+			})
+		);
+	});
+
+	it('should not send cc or bcc when they are not provided', async () => {
+		await mailer.send_mail({ to: 'one@example.com', subject: 'Test', html });
+
+		const message = mock_send_mail.mock.calls[0][0];
+		expect(message).not.toHaveProperty('cc');
+		expect(message).not.toHaveProperty('bcc');
+	});
+
+	it('should accept comma-separated address lists', async () => {
+		await expect(
+			mailer.send_mail({
+				to: '"Doe, Jane" <jane@example.com>, john@example.com',
+				subject: 'Test',
+				html
+			})
+		).resolves.toBeDefined();
+	});
+
+	it('should log recipient counts instead of addresses', async () => {
+		await mailer.send_mail({
+			to: ['one@example.com', 'two@example.com'],
+			bcc: 'three@example.com',
+			subject: 'Test',
+			html
+		});
+
+		expect(mock_logger).toHaveBeenCalledWith(
+			'info',
+			'Email sent successfully',
+			expect.objectContaining({ recipients: { to: 2, cc: 0, bcc: 1 } })
+		);
+		for (const [, , meta] of mock_logger.mock.calls) {
+			expect(JSON.stringify(meta)).not.toContain('one@example.com');
+		}
+	});
+
+	it('should reject malformed addresses and list every bad entry', async () => {
+		await expect(
+			mailer.send_mail({
+				to: ['valid@example.com', 'not-an-address'],
+				cc: [{ name: 'Broken', address: 'broken@' }],
+				bcc: 'also valid <ok@example.com>',
+				subject: 'Test',
+				html
+			})
+		).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message:
+					'Invalid email addresses: to: "not-an-address"; cc: {"name":"Broken","address":"broken@"}'
+			})
+		);
+		expect(mock_send_mail).not.toHaveBeenCalled();
+	});
+
+	it('should require at least one to recipient', async () => {
+		await expect(
+			mailer.send_mail({ to: [], cc: 'cc@example.com', subject: 'Test', html })
+		).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'At least one "to" recipient is required'
+			})
+		);
+	});
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+const create_mock_transporter = () => ({
+	verify: vi.fn().mockResolvedValue(true),
+	sendMail: vi.fn().mockResolvedValue({ response: 'OK' }),
+	isIdle: vi.fn().mockReturnValue(true),
+	close: vi.fn().mockResolvedValue(true)
+});
+
+describe('DualMailer - SMTP Relay Pool', () => {
+	let mailer;
+	let transporters;
+
+	const relay_config = {
+		smtp_relays: [
+			{ host: 'relay-a.test.com', port: 587, user: 'a', password: 'pass-a', weight: 2 },
+			{ host: 'relay-b.test.com', port: 587, weight: 1 }
+		],
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const email_data = {
+		to: 'test@example.com',
+		subject: 'Test',
+		html: { title: 'Test', body: '<p>Test</p>' }
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		transporters = {
+			'relay-a.test.com': create_mock_transporter(),
+			'relay-b.test.com': create_mock_transporter()
+		};
+		nodemailer.createTransport.mockImplementation((config) => transporters[config.host]);
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+		vi.useRealTimers();
+	});
+
+	it('should spread sends across relays according to their weights', async () => {
+		mailer = new DualMailer(relay_config);
+
+		for (let i = 0; i < 6; i++) {
+			await mailer.send_mail(email_data);
+		}
+
+		expect(transporters['relay-a.test.com'].sendMail).toHaveBeenCalledTimes(4);
+		expect(transporters['relay-b.test.com'].sendMail).toHaveBeenCalledTimes(2);
+	});
+
+	it('should use each relay credentials', async () => {
+		mailer = new DualMailer(relay_config);
+
+		await mailer.send_mail(email_data);
+		await mailer.send_mail(email_data);
+
+		expect(nodemailer.createTransport).toHaveBeenCalledWith(
+			expect.objectContaining({
+				host: 'relay-a.test.com',
+				auth: { user: 'a', pass: 'pass-a' },
+				pool: true
+			})
+		);
+		expect(nodemailer.createTransport).toHaveBeenCalledWith(
+			expect.not.objectContaining({ host: 'relay-b.test.com', auth: expect.anything() })
+		);
+	});
+
+	it('should fail over to another relay and drop an unhealthy relay out of rotation', async () => {
+		vi.useFakeTimers();
+		const mock_logger = vi.fn();
+		transporters['relay-a.test.com'].verify.mockRejectedValue(new Error('Connection refused'));
+		mailer = new DualMailer(relay_config, { logger: mock_logger });
+
+		for (let i = 0; i < 3; i++) {
+			await expect(mailer.send_mail(email_data)).resolves.toEqual(
+				expect.objectContaining({ transport: 'SMTP' })
+			);
+		}
+
+		expect(transporters['relay-a.test.com'].verify).toHaveBeenCalledTimes(1);
+		expect(transporters['relay-b.test.com'].sendMail).toHaveBeenCalledTimes(3);
+		expect(mock_logger).toHaveBeenCalledWith(
+			'warn',
+			'Circuit open',
+			expect.objectContaining({ relay: 'relay-a.test.com:587' })
+		);
+
+		// Relay is given another chance once the cooldown has passed
+		transporters['relay-a.test.com'].verify.mockResolvedValue(true);
+		vi.advanceTimersByTime(1000 * 61);
+		await mailer.send_mail(email_data);
+		await mailer.send_mail(email_data);
+
+		expect(transporters['relay-a.test.com'].sendMail).toHaveBeenCalledTimes(1);
+	});
+
+	it('should drop a relay out of rotation after consecutive send failures', async () => {
+		transporters['relay-b.test.com'].sendMail.mockRejectedValue(
+			Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' })
+		);
+		mailer = new DualMailer({
+			...relay_config,
+			smtp_relays: relay_config.smtp_relays.map((relay) => ({ ...relay, weight: 1 }))
+		});
+
+		// Alternate between relays until relay b has failed three times, failing over to relay a
+		for (let i = 0; i < 6; i++) {
+			await mailer.send_mail(email_data);
+		}
+		expect(transporters['relay-b.test.com'].sendMail).toHaveBeenCalledTimes(3);
+		expect(transporters['relay-a.test.com'].sendMail).toHaveBeenCalledTimes(6);
+
+		for (let i = 0; i < 4; i++) {
+			await mailer.send_mail(email_data);
+		}
+		expect(transporters['relay-b.test.com'].sendMail).toHaveBeenCalledTimes(3);
+		expect(transporters['relay-a.test.com'].sendMail).toHaveBeenCalledTimes(10);
+	});
+
+	it('should validate relay configuration', () => {
+		expect(() => new DualMailer({ smtp_relays: [{ host: 'relay.test.com' }] })).toThrow(
+			'SMTP relay 0 requires both host and port'
+		);
+		expect(() => new DualMailer({ ...relay_config, host: 'smtp.test.com', port: 587 })).toThrow(
+			'Provide either SMTP host/port or smtp_relays, not both'
+		);
+		expect(
+			() =>
+				new DualMailer({
+					smtp_relays: [
+						{ host: 'relay.test.com', port: 587 },
+						{ host: 'relay.test.com', port: 587 }
+					]
+				})
+		).toThrow('Duplicate SMTP relay "relay.test.com:587"');
+		expect(
+			() =>
+				new DualMailer({
+					smtp_relays: [
+						{ name: 'primary', host: 'a.test.com', port: 587 },
+						{ name: 'primary', host: 'b.test.com', port: 587 }
+					]
+				})
+		).toThrow('Duplicate SMTP relay "primary"');
+		expect(
+			() =>
+				new DualMailer({ smtp_relays: [{ name: 'mailgun', host: 'relay.test.com', port: 587 }] })
+		).toThrow('SMTP relay name "mailgun" is reserved');
+		expect(
+			() => new DualMailer({ smtp_relays: [{ host: 'relay.test.com', port: 587, weight: 0 }] })
+		).toThrow('SMTP relay 0 weight must be a positive number');
+	});
+});
@@ -72,10 +72,11 @@ describe('DualMailer - Retry', function () {
 			}
 		};
 
-		await mailer.send_mail(email_data);
+		const result = await mailer.send_mail(email_data);
 
 		// Verify the sendMail function was called 3 times (2 retries + 1 success)
 		expect(mock_send_mail).toHaveBeenCalledTimes(3);
+		expect(result.attempts).toBe(3);
 	});
 
 	it('should not retry on failure when retries are disabled', async function () {
@@ -0,0 +1,150 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+describe('DualMailer - Safe HTML', () => {
+	let mailer;
+	let mock_send_mail;
+	let mock_logger;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const unsafe_body = [
+		'<p onclick="steal()">Hello &amp; welcome</p>',
+		'<script>alert(1)</script>',
+		'<img src="cid:logo" alt="Logo" onerror="alert(2)">',
+		'<a href=" java&#x09;script:alert(3)">Click</a>',
+		'<a href="https://example.com/?a=1&amp;b=2">Safe link</a>'
+	].join('');
+
+	const sent_html = () => mock_send_mail.mock.calls[0][0].html;
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		mock_logger = vi.fn();
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should always escape the title', async () => {
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Test',
+			html: { title: '</title><script>alert(1)</script>', body: '<p>Test</p>' }
+		});
+
+		expect(sent_html()).toContain(
+			'<title>&lt;/title&gt;&lt;script&gt;alert(1)&lt;/script&gt;</title>'
+		);
+	});
+
+	it('should not let the style block close its tag', async () => {
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Test',
+			html: {
+				title: 'Test',
+				style: 'p { color: red; }</style><script>x()</script>',
+				body: '<p>Test</p>'
+			}
+		});
+
+		expect(sent_html().match(/<\/style>/g)).toHaveLength(1);
+		expect(sent_html()).toContain('p { color: red; }<\\/style><script>x()</script>');
+	});
+
+	it('should leave the body untouched by default', async () => {
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Test',
+			html: { title: 'Test', body: unsafe_body }
+		});
+
+		expect(sent_html()).toContain(unsafe_body);
+	});
+
+	it('should strip scripts, event handlers and javascript: URLs when sanitizing', async () => {
+		mailer = new DualMailer(basic_smtp_config, { logger: mock_logger, sanitize_html: true });
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Test',
+			html: { title: 'Test', body: unsafe_body }
+		});
+
+		expect(sent_html()).toContain(
+			'<p>Hello &amp; welcome</p><img src="cid:logo" alt="Logo"><a>Click</a><a href="https://example.com/?a=1&amp;b=2">Safe link</a>'
+		);
+		expect(sent_html()).not.toMatch(/script|onerror|onclick/i);
+	});
+
+	it('should report what was stripped to the logger', async () => {
+		mailer = new DualMailer(basic_smtp_config, { logger: mock_logger, sanitize_html: true });
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Test',
+			html: { title: 'Test', body: unsafe_body }
+		});
+
+		expect(mock_logger).toHaveBeenCalledWith('warn', 'Unsafe HTML removed from email body', {
+			removed: [
+				{ reason: 'event_handler', element: 'p', attribute: 'onclick' },
+				{ reason: 'script', element: 'script' },
+				{ reason: 'event_handler', element: 'img', attribute: 'onerror' },
+				{ reason: 'javascript_url', element: 'a', attribute: 'href' }
+			]
+		});
+	});
+
+	it('should not log or rewrite a body that is already safe', async () => {
+		const body = '<p>Plain <b>content</b> &copy; 2024</p>';
+		mailer = new DualMailer(basic_smtp_config, { logger: mock_logger, sanitize_html: true });
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Test',
+			html: { title: 'Test', body }
+		});
+
+		expect(sent_html()).toContain(body);
+		expect(mock_logger).not.toHaveBeenCalledWith(
+			'warn',
+			'Unsafe HTML removed from email body',
+			expect.anything()
+		);
+	});
+
+	it('should let a message opt in to sanitizing', async () => {
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+		await mailer.send_mail({
+			to: 'test@example.com',
+			subject: 'Test',
+			html: { title: 'Test', body: unsafe_body, sanitize: true }
+		});
+
+		expect(sent_html()).not.toContain('<script>');
+		expect(mock_send_mail.mock.calls[0][0].text).not.toContain('alert');
+	});
+});
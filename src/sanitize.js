@@ -0,0 +1,59 @@
+import { parseDocument, DomUtils } from 'htmlparser2';
+
+/**
+ * @typedef {Object} RemovedContent
+ * @property {'script'|'event_handler'|'javascript_url'} reason - Why the content was removed
+ * @property {string} element - Tag name of the element
+ * @property {string} [attribute] - Attribute that was removed
+ */
+
+/**
+ * @typedef {Object} SanitizeResult
+ * @property {string} html - The sanitized HTML
+ * @property {RemovedContent[]} removed - Everything that was stripped, in document order
+ */
+
+const SCRIPT_URL_PATTERN = /^(?:javascript|vbscript):/i;
+// Browsers ignore whitespace and control characters inside the scheme
+const IGNORED_URL_CHARACTERS = /[\p{Cc} ]/gu;
+
+/**
+ * Removes script elements, event-handler attributes and javascript: URLs from an HTML fragment
+ * @param {string} html
+ * @returns {SanitizeResult}
+ */
+export function sanitize_html(html) {
+	const document = parseDocument(html);
+	/** @type {RemovedContent[]} */
+	const removed = [];
+
+	const visit = (nodes) => {
+		for (const node of [...nodes]) {
+			if (!DomUtils.isTag(node)) continue;
+
+			if (node.name === 'script') {
+				removed.push({ reason: 'script', element: node.name });
+				DomUtils.removeElement(node);
+				continue;
+			}
+
+			for (const [attribute, value] of Object.entries(node.attribs)) {
+				if (attribute.startsWith('on')) {
+					removed.push({ reason: 'event_handler', element: node.name, attribute });
+					delete node.attribs[attribute];
+				} else if (SCRIPT_URL_PATTERN.test(value.replace(IGNORED_URL_CHARACTERS, ''))) {
+					removed.push({ reason: 'javascript_url', element: node.name, attribute });
+					delete node.attribs[attribute];
+				}
+			}
+
+			visit(node.children);
+		}
+	};
+	visit(document.children);
+
+	return {
+		html: removed.length > 0 ? DomUtils.getOuterHTML(document, { encodeEntities: 'utf8' }) : html,
+		removed
+	};
+}
@@ -0,0 +1,213 @@
+import { randomUUID } from 'crypto';
+import { EmailError, EMAIL_ERROR_CODES } from './errors.js';
+
+/**
+ * @typedef {'scheduled'|'sending'|'sent'|'failed'|'cancelled'} ScheduledStatus
+ */
+
+/**
+ * @typedef {Object} ScheduledMessage
+ * @property {string} id - Schedule ID
+ * @property {Date} send_at - When the message is sent
+ * @property {ScheduledStatus} status - Current status
+ * @property {Promise<Object|null>} delivery - Delivery result once sent, null if cancelled; rejects if the send fails
+ * @property {() => boolean} cancel - Cancels the message; false once it is being sent
+ * @property {(send_at: Date|string|number) => boolean} reschedule - Moves the message; false once it is being sent
+ */
+
+/**
+ * @typedef {Object} UnsentMessage
+ * @property {string} id - Schedule ID
+ * @property {Date} send_at - When the message was due
+ * @property {Object} payload - Email with its current send_at, to pass to schedule_mail again later
+ */
+
+/**
+ * @typedef {Object} ScheduledEntry
+ * @property {string} id
+ * @property {Object} payload
+ * @property {Object} options
+ * @property {Date} send_at
+ * @property {ScheduledStatus} status
+ * @property {ReturnType<typeof setTimeout>|null} timer
+ * @property {Promise<Object|null>} delivery
+ * @property {(result: Object|null) => void} resolve
+ * @property {(error: Error) => void} reject
+ */
+
+// setTimeout fires at once for delays over 2^31 - 1 ms (about 24.8 days), so longer waits are chained
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+/**
+ * Parses a send_at value
+ * @param {Date|string|number} value - Date, ISO string or milliseconds since the epoch
+ * @returns {Date}
+ * @throws {EmailError} If the value is not a valid date
+ */
+export function parse_send_at(value) {
+	const date =
+		value instanceof Date || typeof value === 'string' || typeof value === 'number'
+			? new Date(value)
+			: new Date(NaN);
+	if (Number.isNaN(date.getTime())) {
+		throw new EmailError('send_at must be a valid date', EMAIL_ERROR_CODES.VALIDATION);
+	}
+	return date;
+}
+
+/**
+ * Holds messages in the process until they are due
+ */
+export class Scheduler {
+	/** @type {Map<string, ScheduledEntry>} */
+	#entries = new Map();
+	#deliver;
+
+	/**
+	 * @param {(payload: Object, options: Object) => Promise<Object>} deliver - Sends a message once it is due
+	 */
+	constructor(deliver) {
+		this.#deliver = deliver;
+	}
+
+	/**
+	 * @param {Object} payload
+	 * @param {Date} send_at
+	 * @param {Object} [options] - Passed to deliver along with the payload
+	 * @returns {ScheduledMessage}
+	 */
+	schedule(payload, send_at, options = {}) {
+		let resolve;
+		let reject;
+		const delivery = new Promise((on_resolve, on_reject) => {
+			resolve = on_resolve;
+			reject = on_reject;
+		});
+		// Failures are reported through the handle; nobody has to await it
+		delivery.catch(() => {});
+
+		/** @type {ScheduledEntry} */
+		const entry = {
+			id: randomUUID(),
+			payload,
+			options,
+			send_at,
+			status: 'scheduled',
+			timer: null,
+			delivery,
+			resolve,
+			reject
+		};
+		this.#entries.set(entry.id, entry);
+		this.#arm(entry);
+		return this.#create_handle(entry);
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {boolean} Whether the message was cancelled
+	 */
+	cancel(id) {
+		const entry = this.#entries.get(id);
+		if (entry?.status !== 'scheduled') return false;
+
+		clearTimeout(entry.timer);
+		entry.status = 'cancelled';
+		this.#entries.delete(id);
+		entry.resolve(null);
+		return true;
+	}
+
+	/**
+	 * @param {string} id
+	 * @param {Date|string|number} send_at
+	 * @returns {boolean} Whether the message was moved
+	 * @throws {EmailError} If send_at is not a valid date
+	 */
+	reschedule(id, send_at) {
+		const date = parse_send_at(send_at);
+		const entry = this.#entries.get(id);
+		if (entry?.status !== 'scheduled') return false;
+
+		clearTimeout(entry.timer);
+		entry.send_at = date;
+		this.#arm(entry);
+		return true;
+	}
+
+	/**
+	 * Cancels every message that is not being sent yet
+	 * @returns {UnsentMessage[]} The cancelled messages, soonest first
+	 */
+	cancel_all() {
+		const unsent = [...this.#entries.values()]
+			.filter((entry) => entry.status === 'scheduled')
+			.sort((a, b) => a.send_at.getTime() - b.send_at.getTime())
+			.map(({ id, send_at, payload }) => ({
+				id,
+				send_at: new Date(send_at),
+				payload: { ...payload, send_at: new Date(send_at) }
+			}));
+		for (const { id } of unsent) this.cancel(id);
+		return unsent;
+	}
+
+	/**
+	 * Waits for the messages being sent
+	 * @returns {Promise<void>}
+	 */
+	async settle() {
+		await Promise.allSettled(
+			[...this.#entries.values()]
+				.filter((entry) => entry.status === 'sending')
+				.map((entry) => entry.delivery)
+		);
+	}
+
+	/**
+	 * @param {ScheduledEntry} entry
+	 */
+	#arm(entry) {
+		const delay = entry.send_at.getTime() - Date.now();
+		entry.timer = setTimeout(
+			() => (delay > MAX_TIMEOUT ? this.#arm(entry) : this.#fire(entry)),
+			Math.min(Math.max(delay, 0), MAX_TIMEOUT)
+		);
+	}
+
+	/**
+	 * @param {ScheduledEntry} entry
+	 */
+	async #fire(entry) {
+		entry.status = 'sending';
+		try {
+			const result = await this.#deliver(entry.payload, entry.options);
+			entry.status = 'sent';
+			entry.resolve(result);
+		} catch (error) {
+			entry.status = 'failed';
+			entry.reject(error);
+		} finally {
+			this.#entries.delete(entry.id);
+		}
+	}
+
+	/**
+	 * @param {ScheduledEntry} entry
+	 * @returns {ScheduledMessage}
+	 */
+	#create_handle(entry) {
+		return {
+			id: entry.id,
+			get send_at() {
+				return new Date(entry.send_at);
+			},
+			get status() {
+				return entry.status;
+			},
+			delivery: entry.delivery,
+			cancel: () => this.cancel(entry.id),
+			reschedule: (send_at) => this.reschedule(entry.id, send_at)
+		};
+	}
+}
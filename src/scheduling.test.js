@@ -0,0 +1,312 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+vi.mock('nodemailer-mailgun-transport', () => ({
+	default: vi.fn((config) => ({ name: 'mailgun', ...config }))
+}));
+
+const create_mock_transporter = () => ({
+	verify: vi.fn().mockResolvedValue(true),
+	sendMail: vi.fn().mockResolvedValue({ response: 'OK' }),
+	isIdle: vi.fn().mockReturnValue(true),
+	close: vi.fn().mockResolvedValue(true)
+});
+
+const HOUR = 1000 * 60 * 60;
+const DAY = HOUR * 24;
+
+describe('DualMailer - Scheduled Delivery', () => {
+	let mailer;
+	let smtp_transporter;
+	let mailgun_transporter;
+
+	const smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const dual_config = {
+		...smtp_config,
+		mailgun_api_key: 'test-key',
+		mailgun_domain: 'test.com',
+		primary_transport: 'mailgun'
+	};
+
+	const email_data = {
+		to: 'test@example.com',
+		subject: 'Your trial ends tomorrow',
+		html: { title: 'Trial', body: '<p>Upgrade to keep your projects</p>' }
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		// Only timeouts and the clock; the cleanup interval keeps running on real time
+		vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout', 'Date'] });
+		smtp_transporter = create_mock_transporter();
+		mailgun_transporter = create_mock_transporter();
+		nodemailer.createTransport.mockImplementation((config) =>
+			config.name === 'mailgun' ? mailgun_transporter : smtp_transporter
+		);
+		mailer = new DualMailer(smtp_config, { silent: true });
+	});
+
+	afterEach(async () => {
+		vi.useRealTimers();
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should hold SMTP emails until send_at', async () => {
+		const send_at = new Date(Date.now() + HOUR);
+
+		const scheduled = await mailer.schedule_mail({ ...email_data, send_at });
+
+		expect(scheduled).toEqual(
+			expect.objectContaining({ id: expect.any(String), send_at, status: 'scheduled' })
+		);
+		await vi.advanceTimersByTimeAsync(HOUR - 1);
+		expect(smtp_transporter.sendMail).not.toHaveBeenCalled();
+
+		await vi.advanceTimersByTimeAsync(1);
+		const result = await scheduled.delivery;
+
+		expect(result).toEqual(expect.objectContaining({ transport: 'SMTP', attempts: 1 }));
+		expect(result.send_at).toBeUndefined();
+		expect(scheduled.status).toBe('sent');
+		expect(smtp_transporter.sendMail).toHaveBeenCalledTimes(1);
+		expect(smtp_transporter.sendMail.mock.calls[0][0]).not.toHaveProperty('o:deliverytime');
+	});
+
+	it('should wait longer than a single timeout allows', async () => {
+		const scheduled = await mailer.schedule_mail({ ...email_data, send_at: Date.now() + 30 * DAY });
+
+		await vi.advanceTimersByTimeAsync(2 ** 31);
+		expect(scheduled.status).toBe('scheduled');
+
+		await vi.advanceTimersByTimeAsync(30 * DAY - 2 ** 31);
+		await scheduled.delivery;
+		expect(smtp_transporter.sendMail).toHaveBeenCalledTimes(1);
+	});
+
+	it('should cancel and reschedule held emails', async () => {
+		const cancelled = await mailer.schedule_mail({ ...email_data, send_at: Date.now() + HOUR });
+		const moved = await mailer.schedule_mail({
+			...email_data,
+			send_at: new Date(Date.now() + HOUR).toISOString()
+		});
+
+		expect(cancelled.cancel()).toBe(true);
+		expect(cancelled.cancel()).toBe(false);
+		expect(cancelled.status).toBe('cancelled');
+		await expect(cancelled.delivery).resolves.toBeNull();
+		expect(cancelled.reschedule(Date.now())).toBe(false);
+
+		expect(moved.reschedule(Date.now() + 2 * HOUR)).toBe(true);
+		await vi.advanceTimersByTimeAsync(HOUR);
+		expect(smtp_transporter.sendMail).not.toHaveBeenCalled();
+
+		await vi.advanceTimersByTimeAsync(HOUR);
+		await moved.delivery;
+		expect(smtp_transporter.sendMail).toHaveBeenCalledTimes(1);
+		expect(moved.cancel()).toBe(false);
+		expect(() => moved.reschedule('tomorrow')).toThrow('send_at must be a valid date');
+	});
+
+	it('should validate held emails when they are scheduled', async () => {
+		await expect(
+			mailer.schedule_mail({ ...email_data, to: 'nobody', send_at: Date.now() + HOUR })
+		).rejects.toEqual(expect.objectContaining({ code: EMAIL_ERROR_CODES.VALIDATION }));
+		await expect(mailer.schedule_mail({ ...email_data, send_at: 'soon' })).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'send_at must be a valid date'
+			})
+		);
+		await expect(mailer.schedule_mail({ ...email_data, send_at: null })).rejects.toThrow(
+			'send_at must be a valid date'
+		);
+		await expect(mailer.schedule_mail(email_data)).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'schedule_mail requires send_at'
+			})
+		);
+	});
+
+	it('should hold SMTP emails passed to send_mail until send_at', async () => {
+		const send_at = new Date(Date.now() + HOUR);
+
+		const scheduled = await mailer.send_mail({ ...email_data, send_at });
+
+		expect(scheduled).toEqual(
+			expect.objectContaining({ id: expect.any(String), send_at, status: 'scheduled' })
+		);
+		await vi.advanceTimersByTimeAsync(HOUR - 1);
+		expect(smtp_transporter.sendMail).not.toHaveBeenCalled();
+
+		await vi.advanceTimersByTimeAsync(1);
+		await expect(scheduled.delivery).resolves.toEqual(
+			expect.objectContaining({ transport: 'SMTP', attempts: 1 })
+		);
+		expect(smtp_transporter.sendMail).toHaveBeenCalledTimes(1);
+		expect(smtp_transporter.sendMail.mock.calls[0][0]).not.toHaveProperty('o:deliverytime');
+	});
+
+	it('should send now when send_at has passed', async () => {
+		const result = await mailer.send_mail({ ...email_data, send_at: Date.now() - 1000 });
+
+		expect(result.message_id).toEqual(expect.any(String));
+		expect(smtp_transporter.sendMail).toHaveBeenCalledTimes(1);
+
+		const scheduled = await mailer.schedule_mail({ ...email_data, send_at: Date.now() - 1000 });
+		await vi.advanceTimersByTimeAsync(0);
+		await expect(scheduled.delivery).resolves.toEqual(
+			expect.objectContaining({ transport: 'SMTP' })
+		);
+		expect(smtp_transporter.sendMail).toHaveBeenCalledTimes(2);
+	});
+
+	it('should reject the delivery when a held email fails', async () => {
+		smtp_transporter.sendMail.mockRejectedValue(new Error('Mailbox unavailable'));
+		const scheduled = await mailer.schedule_mail({ ...email_data, send_at: Date.now() + HOUR });
+
+		await vi.advanceTimersByTimeAsync(HOUR);
+
+		await expect(scheduled.delivery).rejects.toEqual(
+			expect.objectContaining({ code: EMAIL_ERROR_CODES.SEND })
+		);
+		expect(scheduled.status).toBe('failed');
+	});
+
+	it('should return and log the emails still held on destroy', async () => {
+		const logger = vi.fn();
+		await mailer.destroy();
+		mailer = new DualMailer(smtp_config, { logger });
+		const later = await mailer.schedule_mail({ ...email_data, send_at: Date.now() + 2 * HOUR });
+		const sooner = await mailer.schedule_mail({ ...email_data, send_at: Date.now() + HOUR });
+		later.reschedule(Date.now() + 3 * HOUR);
+
+		const unsent = await mailer.destroy();
+		mailer = null;
+
+		expect(unsent).toEqual([
+			{
+				id: sooner.id,
+				send_at: sooner.send_at,
+				payload: { ...email_data, send_at: sooner.send_at }
+			},
+			{
+				id: later.id,
+				send_at: new Date(Date.now() + 3 * HOUR),
+				payload: { ...email_data, send_at: new Date(Date.now() + 3 * HOUR) }
+			}
+		]);
+		expect(later.status).toBe('cancelled');
+		expect(logger).toHaveBeenCalledWith('warn', 'Scheduled emails were not sent', {
+			count: 2,
+			schedule_ids: [sooner.id, later.id]
+		});
+		await vi.advanceTimersByTimeAsync(3 * HOUR);
+		expect(smtp_transporter.sendMail).not.toHaveBeenCalled();
+	});
+
+	it('should report held bulk emails as scheduled', async () => {
+		const { subject, html } = email_data;
+		const report = await mailer.send_bulk(['ann@example.com', 'nobody'], {
+			subject,
+			html,
+			send_at: Date.now() + HOUR
+		});
+
+		expect(report).toEqual(expect.objectContaining({ total: 2, sent: 0, scheduled: 1, failed: 1 }));
+		expect(report.results[0].status).toBe('scheduled');
+
+		await vi.advanceTimersByTimeAsync(HOUR);
+		await report.results[0].result.delivery;
+		expect(smtp_transporter.sendMail).toHaveBeenCalledWith(
+			expect.objectContaining({ to: 'ann@example.com' })
+		);
+	});
+
+	it('should reject send_at on queued emails', async () => {
+		await expect(mailer.enqueue({ ...email_data, send_at: Date.now() + HOUR })).rejects.toThrow(
+			'send_at is not supported for queued emails; use send_mail or schedule_mail instead'
+		);
+	});
+
+	it('should schedule through Mailgun with o:deliverytime', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(dual_config, { silent: true });
+		const send_at = new Date(Date.now() + 2 * DAY);
+
+		const result = await mailer.send_mail({ ...email_data, send_at });
+
+		expect(result).toEqual(
+			expect.objectContaining({ transport: 'Mailgun', send_at: send_at.toISOString() })
+		);
+		expect(mailgun_transporter.sendMail).toHaveBeenCalledWith(
+			expect.objectContaining({ 'o:deliverytime': send_at.toUTCString() })
+		);
+		expect(smtp_transporter.sendMail).not.toHaveBeenCalled();
+	});
+
+	it('should not fail over to SMTP, which would send at once', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(dual_config, { silent: true });
+		mailgun_transporter.sendMail.mockRejectedValue(
+			Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' })
+		);
+
+		await expect(mailer.send_mail({ ...email_data, send_at: Date.now() + HOUR })).rejects.toEqual(
+			expect.objectContaining({ code: EMAIL_ERROR_CODES.SEND })
+		);
+		expect(smtp_transporter.sendMail).not.toHaveBeenCalled();
+	});
+
+	it('should hold emails Mailgun cannot schedule', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(dual_config, { silent: true });
+
+		const far = await mailer.send_mail({ ...email_data, send_at: Date.now() + 4 * DAY });
+		expect(far.status).toBe('scheduled');
+		expect(mailgun_transporter.sendMail).not.toHaveBeenCalled();
+
+		await vi.advanceTimersByTimeAsync(4 * DAY);
+		await expect(far.delivery).resolves.toEqual(expect.objectContaining({ transport: 'Mailgun' }));
+		expect(mailgun_transporter.sendMail.mock.calls[0][0]).not.toHaveProperty('o:deliverytime');
+
+		// SMTP is tried first, so only the mailer can hold the email
+		await mailer.destroy();
+		mailer = new DualMailer({ ...dual_config, primary_transport: 'smtp' }, { silent: true });
+		const held = await mailer.send_mail({ ...email_data, send_at: Date.now() + HOUR });
+		expect(held.status).toBe('scheduled');
+		expect(mailgun_transporter.sendMail).toHaveBeenCalledTimes(1);
+	});
+
+	it('should hold emails while the Mailgun circuit is open', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(dual_config, { silent: true });
+		mailgun_transporter.sendMail.mockRejectedValue(
+			Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' })
+		);
+		// Three failures open the Mailgun circuit; each send fails over to SMTP
+		for (let i = 0; i < 3; i++) {
+			await mailer.send_mail(email_data);
+		}
+
+		const held = await mailer.send_mail({ ...email_data, send_at: Date.now() + HOUR });
+
+		expect(held.status).toBe('scheduled');
+		expect(mailgun_transporter.sendMail).toHaveBeenCalledTimes(3);
+		expect(smtp_transporter.sendMail).toHaveBeenCalledTimes(3);
+	});
+});
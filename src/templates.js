@@ -0,0 +1,420 @@
+import { EmailError, EMAIL_ERROR_CODES } from './errors.js';
+import {
+	create_formatters,
+	get_effective_locale,
+	get_locale_chain,
+	require_locale_variant
+} from './locale.js';
+
+/**
+ * @typedef {Object} TemplateDefinition
+ * @property {string} [subject] - Subject line, may contain variables
+ * @property {string} [title] - HTML document title, may contain variables
+ * @property {string} [style] - CSS styles
+ * @property {string} body - HTML body, may contain variables and partials
+ * @property {string} [text] - Plain text version, may contain variables and partials
+ * @property {boolean} [layout=true] - Whether to wrap the body in the shared layout
+ */
+
+/**
+ * @typedef {Object} RenderOptions
+ * @property {string} [locale] - Requested locale
+ * @property {string} [default_locale='en'] - Locale to fall back to
+ * @property {string} [time_zone] - Time zone for the date helpers
+ */
+
+/**
+ * @typedef {Object} RenderedTemplate
+ * @property {string} [subject]
+ * @property {string} [text]
+ * @property {{ title: string, style?: string, body: string, lang: string }} html
+ */
+
+/**
+ * @typedef {Object} TemplateVariable
+ * @property {string} path - Dot separated path, e.g. user.name
+ * @property {string|null} helper - Formatting helper, e.g. date
+ * @property {string[]} args - Helper arguments
+ * @property {boolean} escape - Whether the value is HTML escaped
+ */
+
+/**
+ * @typedef {Object} RenderContext
+ * @property {Object} data - Variables
+ * @property {import('./locale.js').Formatters} [formatters] - Helpers
+ * @property {Set<string>} missing - Variables found missing so far
+ * @property {(variable: TemplateVariable) => string|undefined} [placeholder] - Replaces variables instead of rendering them, unless it returns undefined
+ */
+
+const MAX_PARTIAL_DEPTH = 10;
+
+// {{{raw}}}, {{> partial}}, {{escaped}} and {{helper variable args}}
+const TOKEN_PATTERN = /\{\{\{\s*([\w.-]+)\s*\}\}\}|\{\{\s*([^{}]+?)\s*\}\}/g;
+// Locale-aware formatting helpers; currency takes an ISO code, e.g. {{currency total EUR}}
+const HELPERS = ['date', 'datetime', 'number', 'currency'];
+
+/**
+ * Escapes a value for use in HTML text and attribute values
+ * @param {unknown} value
+ * @returns {string}
+ */
+export function escape_html(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+/**
+ * @param {Object} data
+ * @param {string} path - Dot separated path, e.g. user.name
+ * @returns {unknown}
+ */
+function lookup(data, path) {
+	return path
+		.split('.')
+		.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), data);
+}
+
+/**
+ * Finds a variable in the list, adding it when it is not there yet
+ * @param {TemplateVariable[]} variables
+ * @param {TemplateVariable} variable
+ * @returns {number} Index of the variable
+ */
+export function index_variable(variables, variable) {
+	const key = JSON.stringify(variable);
+	const index = variables.findIndex((existing) => JSON.stringify(existing) === key);
+	return index === -1 ? variables.push(variable) - 1 : index;
+}
+
+/**
+ * Named templates sharing a layout and partials
+ */
+export class TemplateRegistry {
+	/** @type {Map<string, TemplateDefinition>} */
+	#templates = new Map();
+	/** @type {Map<string, string>} */
+	#partials = new Map();
+	/** @type {string|null} */
+	#layout = null;
+
+	/**
+	 * @param {Object} [options]
+	 * @param {Record<string, TemplateDefinition>} [options.templates] - Templates by name
+	 * @param {Record<string, string>} [options.partials] - Partials by name
+	 * @param {string} [options.layout] - Shared layout, with {{{body}}} where the template body goes
+	 */
+	constructor({ templates = {}, partials = {}, layout } = {}) {
+		for (const [name, source] of Object.entries(partials)) this.register_partial(name, source);
+		for (const [name, template] of Object.entries(templates)) this.register(name, template);
+		if (layout !== undefined) this.set_layout(layout);
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {TemplateDefinition|Record<string, TemplateDefinition>} template - Definition, or definitions by locale
+	 * @throws {EmailError} If the template is invalid
+	 */
+	register(name, template) {
+		const definitions =
+			typeof template?.body === 'string' ? [template] : Object.values(template ?? {});
+		if (
+			!name ||
+			definitions.length === 0 ||
+			definitions.some((definition) => typeof definition?.body !== 'string')
+		) {
+			throw new EmailError(
+				`Template "${name}" requires a name and a body`,
+				EMAIL_ERROR_CODES.CONFIGURATION
+			);
+		}
+		this.#templates.set(name, template);
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {string} source
+	 * @throws {EmailError} If the partial is invalid
+	 */
+	register_partial(name, source) {
+		if (!name || typeof source !== 'string') {
+			throw new EmailError(
+				`Partial "${name}" requires a name and a source string`,
+				EMAIL_ERROR_CODES.CONFIGURATION
+			);
+		}
+		this.#partials.set(name, source);
+	}
+
+	/**
+	 * @param {string|null} layout - Layout with a {{{body}}} placeholder, or null to remove it
+	 * @throws {EmailError} If the layout has no body placeholder
+	 */
+	set_layout(layout) {
+		if (layout !== null && !/\{\{\{\s*body\s*\}\}\}/.test(layout ?? '')) {
+			throw new EmailError(
+				'Template layout must contain a {{{body}}} placeholder',
+				EMAIL_ERROR_CODES.CONFIGURATION
+			);
+		}
+		this.#layout = layout;
+	}
+
+	/**
+	 * @param {string} name
+	 * @returns {boolean}
+	 */
+	has(name) {
+		return this.#templates.has(name);
+	}
+
+	/**
+	 * Renders a template, escaping variables in HTML unless they use triple braces. Localized
+	 * templates use the variant for the locale, falling back from pt-BR to pt to the default.
+	 * @param {string} name
+	 * @param {Object} [data]
+	 * @param {RenderOptions} [options]
+	 * @returns {RenderedTemplate}
+	 * @throws {EmailError} If the template, a variant or a partial is unknown, or variables are missing
+	 */
+	render(name, data = {}, options = {}) {
+		const context = { data, missing: new Set() };
+		const rendered = this.#render_template(name, context, options);
+
+		if (context.missing.size > 0) {
+			throw new EmailError(
+				`Missing template variables for "${name}": ${[...context.missing].join(', ')}`,
+				EMAIL_ERROR_CODES.VALIDATION
+			);
+		}
+		return rendered;
+	}
+
+	/**
+	 * Renders a template once for many recipients, e.g. for a provider that fills in each
+	 * recipient's values itself. Every variable becomes `placeholder(index)`, where index points
+	 * into `variables`; render_variables gives a recipient's values in the same order. Variables
+	 * in the title are escaped here, since the title is escaped before the values are filled in.
+	 * @param {string} name
+	 * @param {TemplateVariable[]} variables - Variables found so far, added to
+	 * @param {(index: number) => string} placeholder
+	 * @param {RenderOptions} [options]
+	 * @returns {RenderedTemplate}
+	 * @throws {EmailError} If the template, a variant or a partial is unknown
+	 */
+	compile(name, variables, placeholder, options = {}) {
+		const context = {
+			data: {},
+			missing: new Set(),
+			placeholder: (variable) => placeholder(index_variable(variables, variable))
+		};
+		return this.#render_template(name, context, options);
+	}
+
+	/**
+	 * Like compile, for a string that is not a registered template
+	 * @param {string} source
+	 * @param {TemplateVariable[]} variables - Variables found so far, added to
+	 * @param {(index: number) => string} placeholder
+	 * @param {{ escape?: boolean }} [options] - escape HTML escapes {{variables}}
+	 * @returns {string}
+	 * @throws {EmailError} If a partial is unknown
+	 */
+	compile_string(source, variables, placeholder, { escape = false } = {}) {
+		const context = {
+			data: {},
+			missing: new Set(),
+			placeholder: (variable) => placeholder(index_variable(variables, variable))
+		};
+		return this.#interpolate(source, context, escape, 0);
+	}
+
+	/**
+	 * Renders one recipient's values for compiled variables
+	 * @param {TemplateVariable[]} variables
+	 * @param {Object} data
+	 * @param {RenderOptions} [options]
+	 * @returns {string[]} Values, in the order of the variables
+	 * @throws {EmailError} If variables are missing or cannot be formatted
+	 */
+	render_variables(variables, data, { locale, default_locale = 'en', time_zone } = {}) {
+		const context = {
+			data,
+			formatters: create_formatters(locale ?? default_locale, { time_zone }),
+			missing: new Set()
+		};
+		const values = variables.map((variable) => this.#render_variable(variable, context));
+
+		if (context.missing.size > 0) {
+			throw new EmailError(
+				`Missing template variables: ${[...context.missing].join(', ')}`,
+				EMAIL_ERROR_CODES.VALIDATION
+			);
+		}
+		return values;
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {RenderContext} context
+	 * @param {RenderOptions} options
+	 * @returns {RenderedTemplate}
+	 */
+	#render_template(name, context, { locale, default_locale = 'en', time_zone }) {
+		let template = this.#templates.get(name);
+		if (!template) {
+			throw new EmailError(`Unknown template "${name}"`, EMAIL_ERROR_CODES.VALIDATION);
+		}
+
+		let lang = locale ?? default_locale;
+		if (typeof template.body !== 'string') {
+			const chain = get_locale_chain(locale, default_locale);
+			const variant = require_locale_variant(template, chain, `template "${name}"`);
+			template = variant.value;
+			lang = get_effective_locale(locale, variant.locale);
+		}
+
+		context = { ...context, formatters: create_formatters(lang, { time_zone }) };
+		const render = (source, escape) => this.#interpolate(source, context, escape, 0);
+
+		let body = render(template.body, true);
+		if (this.#layout && template.layout !== false) {
+			const { placeholder } = context;
+			body = this.#interpolate(
+				this.#layout,
+				{
+					...context,
+					data: { ...context.data, body },
+					// The body is filled in already, placeholders and all
+					placeholder:
+						placeholder &&
+						((variable) => (variable.path === 'body' ? undefined : placeholder(variable)))
+				},
+				true,
+				0
+			);
+		}
+		return {
+			...(template.subject !== undefined && { subject: render(template.subject, false) }),
+			...(template.text !== undefined && { text: render(template.text, false) }),
+			html: {
+				// The title is escaped when the document is built
+				title: render(template.title ?? template.subject ?? name, Boolean(context.placeholder)),
+				...(template.style !== undefined && { style: template.style }),
+				body,
+				lang
+			}
+		};
+	}
+
+	/**
+	 * Renders a string that is not a registered template, e.g. a personalized subject. Variables,
+	 * helpers and partials work as in templates.
+	 * @param {string} source
+	 * @param {Object} [data]
+	 * @param {RenderOptions & { escape?: boolean }} [options] - escape HTML escapes {{variables}}
+	 * @returns {string}
+	 * @throws {EmailError} If a partial is unknown or variables are missing
+	 */
+	render_string(
+		source,
+		data = {},
+		{ escape = false, locale, default_locale = 'en', time_zone } = {}
+	) {
+		const context = {
+			data,
+			formatters: create_formatters(locale ?? default_locale, { time_zone }),
+			missing: new Set()
+		};
+		const rendered = this.#interpolate(source, context, escape, 0);
+
+		if (context.missing.size > 0) {
+			throw new EmailError(
+				`Missing template variables: ${[...context.missing].join(', ')}`,
+				EMAIL_ERROR_CODES.VALIDATION
+			);
+		}
+		return rendered;
+	}
+
+	/**
+	 * @param {string} source
+	 * @param {RenderContext} context
+	 * @param {boolean} escape - Whether {{variables}} are HTML escaped
+	 * @param {number} depth - Partial nesting depth
+	 * @returns {string}
+	 */
+	#interpolate(source, context, escape, depth) {
+		if (depth > MAX_PARTIAL_DEPTH) {
+			throw new EmailError(
+				`Template partials are nested more than ${MAX_PARTIAL_DEPTH} levels deep`,
+				EMAIL_ERROR_CODES.VALIDATION
+			);
+		}
+
+		return source.replace(TOKEN_PATTERN, (match, raw_path, expression) => {
+			if (expression?.startsWith('>')) {
+				const partial = expression.slice(1).trim();
+				if (!this.#partials.has(partial)) {
+					throw new EmailError(`Unknown partial "${partial}"`, EMAIL_ERROR_CODES.VALIDATION);
+				}
+				return this.#interpolate(this.#partials.get(partial), context, escape, depth + 1);
+			}
+
+			/** @type {TemplateVariable} */
+			let variable;
+			if (raw_path) {
+				variable = { path: raw_path, helper: null, args: [], escape: false };
+			} else {
+				const [first, path, ...args] = expression.split(/\s+/);
+				const helper = path === undefined ? null : first;
+				if (helper && !HELPERS.includes(helper)) {
+					throw new EmailError(`Unknown template helper "${helper}"`, EMAIL_ERROR_CODES.VALIDATION);
+				}
+				variable = helper
+					? { path, helper, args: helper === 'currency' ? args : [], escape }
+					: { path: first, helper: null, args: [], escape };
+			}
+			return context.placeholder?.(variable) ?? this.#render_variable(variable, context);
+		});
+	}
+
+	/**
+	 * @param {TemplateVariable} variable
+	 * @param {RenderContext} context
+	 * @returns {string} Rendered value, '' when missing
+	 */
+	#render_variable({ path, helper, args, escape }, context) {
+		let value = this.#resolve(path, context);
+		if (value === undefined) return '';
+		if (helper) {
+			try {
+				value = context.formatters[helper](value, ...args);
+			} catch (error) {
+				throw new EmailError(
+					`Cannot format "${path}" with ${helper}: ${error.message}`,
+					EMAIL_ERROR_CODES.VALIDATION
+				);
+			}
+		}
+		return escape ? escape_html(value) : String(value);
+	}
+
+	/**
+	 * Looks up a variable, recording it as missing when it has no value
+	 * @param {string} path
+	 * @param {{ data: Object, missing: Set<string> }} context
+	 * @returns {unknown}
+	 */
+	#resolve(path, context) {
+		const value = lookup(context.data, path);
+		if (value === undefined || value === null) {
+			context.missing.add(path);
+			return undefined;
+		}
+		return value;
+	}
+}
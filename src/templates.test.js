@@ -0,0 +1,167 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+describe('DualMailer - Templates', () => {
+	let mailer;
+	let mock_send_mail;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const templates = {
+		'password-reset': {
+			subject: 'Reset your password, {{user.name}}',
+			body: '{{> greeting}}<p><a href="{{reset_url}}">Reset password</a></p>',
+			text: 'Hi {{user.name}}, reset your password at {{reset_url}}'
+		},
+		notice: {
+			subject: 'Notice',
+			title: 'Notice for {{user.name}}',
+			style: '.notice { color: red; }',
+			body: '<div class="notice">{{{notice_html}}}</div>',
+			layout: false
+		}
+	};
+
+	const sent_message = () => mock_send_mail.mock.calls[0][0];
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+		mailer = new DualMailer(basic_smtp_config, {
+			silent: true,
+			templates,
+			partials: { greeting: '<p>Hi {{user.name}},</p>' },
+			layout: '<div class="layout">{{{body}}}<footer>{{> footer}}</footer></div>'
+		});
+		mailer.register_partial('footer', 'Sent to {{user.email}}');
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should render the subject, html and text from a named template', async () => {
+		await mailer.send_mail({
+			to: 'jane@example.com',
+			template: 'password-reset',
+			data: {
+				user: { name: 'Jane', email: 'jane@example.com' },
+				reset_url: 'https://example.com/reset?token=abc&id=1'
+			}
+		});
+
+		const message = sent_message();
+		expect(message.subject).toBe('Reset your password, Jane');
+		expect(message.text).toBe(
+			'Hi Jane, reset your password at https://example.com/reset?token=abc&id=1'
+		);
+		expect(message.html).toContain('<title>Reset your password, Jane</title>');
+		expect(message.html).toContain(
+			'<div class="layout"><p>Hi Jane,</p><p><a href="https://example.com/reset?token=abc&amp;id=1">Reset password</a></p><footer>Sent to jane@example.com</footer></div>'
+		);
+	});
+
+	it('should escape variables in html unless they use triple braces', async () => {
+		await mailer.send_mail({
+			to: 'jane@example.com',
+			template: 'notice',
+			data: { user: { name: '<b>Jane</b>' }, notice_html: '<em>Important</em>' }
+		});
+
+		const { html } = sent_message();
+		expect(html).toContain('<title>Notice for &lt;b&gt;Jane&lt;/b&gt;</title>');
+		expect(html).toContain('<div class="notice"><em>Important</em></div>');
+		expect(html).toContain('.notice { color: red; }');
+		expect(html).not.toContain('class="layout"');
+	});
+
+	it('should let payload values override the rendered ones', async () => {
+		await mailer.send_mail({
+			to: 'jane@example.com',
+			subject: 'Custom subject',
+			template: 'password-reset',
+			data: { user: { name: 'Jane', email: 'jane@example.com' }, reset_url: 'https://x.test' }
+		});
+
+		expect(sent_message().subject).toBe('Custom subject');
+	});
+
+	it('should list every missing variable before sending', async () => {
+		await expect(
+			mailer.send_mail({
+				to: 'jane@example.com',
+				template: 'password-reset',
+				data: { user: { name: 'Jane' } }
+			})
+		).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'Missing template variables for "password-reset": reset_url, user.email'
+			})
+		);
+		expect(mock_send_mail).not.toHaveBeenCalled();
+	});
+
+	it('should treat falsy values other than null and undefined as present', async () => {
+		mailer.register_template('count', { subject: 'Count', body: '<p>{{count}} {{flag}}</p>' });
+
+		await mailer.send_mail({
+			to: 'jane@example.com',
+			template: 'count',
+			data: { count: 0, flag: false, user: { email: 'jane@example.com' } }
+		});
+
+		expect(sent_message().html).toContain('<p>0 false</p>');
+	});
+
+	it('should reject unknown templates and partials', async () => {
+		await expect(mailer.send_mail({ to: 'jane@example.com', template: 'missing' })).rejects.toThrow(
+			'Unknown template "missing"'
+		);
+
+		mailer.register_template('broken', { subject: 'Broken', body: '{{> nope}}' });
+		await expect(mailer.send_mail({ to: 'jane@example.com', template: 'broken' })).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'Unknown partial "nope"'
+			})
+		);
+	});
+
+	it('should stop recursive partials', async () => {
+		mailer.register_partial('loop', '{{> loop}}');
+		mailer.register_template('loop', { subject: 'Loop', body: '{{> loop}}' });
+
+		await expect(mailer.send_mail({ to: 'jane@example.com', template: 'loop' })).rejects.toThrow(
+			'Template partials are nested more than 10 levels deep'
+		);
+	});
+
+	it('should reject invalid registrations', () => {
+		expect(() => mailer.register_template('empty', { subject: 'No body' })).toThrow(
+			'Template "empty" requires a name and a body'
+		);
+		expect(
+			() => new DualMailer(basic_smtp_config, { silent: true, layout: '<div>No placeholder</div>' })
+		).toThrow('Template layout must contain a {{{body}}} placeholder');
+	});
+});
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+describe('DualMailer - Plain-text alternative', () => {
+	let mailer;
+	let mock_send_mail;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const email_data = {
+		to: 'test@example.com',
+		subject: 'Test',
+		html: {
+			title: 'Test',
+			style: '.header { color: blue; }',
+			body: `
+				<h1>Welcome!</h1>
+				<p>Hello <b>Jane</b>, visit <a href="https://example.com/account">your account</a>.</p>
+				<ul><li>One</li><li>Two</li></ul>
+				<table>
+					<tr><th>Item</th><th>Qty</th></tr>
+					<tr><td>Apple</td><td>2</td></tr>
+				</table>
+				<p><img src="cid:logo" alt="Company logo"> <img src="cid:spacer"></p>
+				<p><a href="https://example.com/help">https://example.com/help</a></p>
+			`
+		}
+	};
+
+	const sent_message = () => mock_send_mail.mock.calls[0][0];
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should derive a readable text part from html.body', async () => {
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+		await mailer.send_mail(email_data);
+
+		expect(sent_message().text).toBe(
+			[
+				'Welcome!',
+				'',
+				'Hello Jane, visit your account (https://example.com/account).',
+				'',
+				' * One',
+				' * Two',
+				'',
+				'ITEM    QTY',
+				'Apple   2',
+				'',
+				'Company logo',
+				'',
+				'https://example.com/help'
+			].join('\n')
+		);
+	});
+
+	it('should not include the style block or document title', async () => {
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+		await mailer.send_mail(email_data);
+
+		expect(sent_message().text).not.toContain('color: blue');
+		expect(sent_message().text).not.toMatch(/^Test/);
+	});
+
+	it('should keep a text part supplied by the caller', async () => {
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+		await mailer.send_mail({ ...email_data, text: 'Hand written' });
+
+		expect(sent_message().text).toBe('Hand written');
+	});
+
+	it('should send html only when disabled', async () => {
+		mailer = new DualMailer(basic_smtp_config, { silent: true, auto_text: false });
+		await mailer.send_mail(email_data);
+
+		expect(sent_message()).not.toHaveProperty('text');
+	});
+
+	it('should use a custom converter', async () => {
+		const converter = vi.fn().mockReturnValue('Converted');
+		mailer = new DualMailer(basic_smtp_config, { silent: true, auto_text: converter });
+		await mailer.send_mail(email_data);
+
+		expect(converter).toHaveBeenCalledWith(email_data.html.body, email_data.html);
+		expect(sent_message().text).toBe('Converted');
+	});
+});
@@ -0,0 +1,180 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+vi.mock('nodemailer-mailgun-transport', () => ({
+	default: vi.fn((config) => ({ name: 'mailgun', ...config }))
+}));
+
+describe('DualMailer - Threading', () => {
+	let mailer;
+	let mock_send_mail;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply@tickets.example.com'
+	};
+
+	const email_data = {
+		to: 'customer@example.com',
+		subject: 'Ticket #42',
+		html: { title: 'Ticket #42', body: '<p>We are on it</p>' }
+	};
+
+	const sent_message = (call = 0) => mock_send_mail.mock.calls[call][0];
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should generate a Message-ID on the noreply_email domain and return it', async () => {
+		const result = await mailer.send_mail(email_data);
+
+		expect(sent_message().messageId).toMatch(/^<[0-9a-f-]{36}@tickets\.example\.com>$/);
+		expect(result.message_id).toBe(sent_message().messageId);
+	});
+
+	it('should prefer the configured domain, then the sender domain', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(
+			{ ...basic_smtp_config, message_id_domain: 'mail.example.org' },
+			{ silent: true }
+		);
+		await mailer.send_mail(email_data);
+		expect(sent_message(0).messageId).toMatch(/@mail\.example\.org>$/);
+
+		await mailer.destroy();
+		mailer = new DualMailer({ host: 'smtp.test.com', port: 587 }, { silent: true });
+		await mailer.send_mail({ ...email_data, from: 'Support <help@support.example.net>' });
+		expect(sent_message(1).messageId).toMatch(/@support\.example\.net>$/);
+	});
+
+	it('should keep the Message-ID the same across retries', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, {
+			silent: true,
+			retry: { max_retries: 1, retry_delay: 10 }
+		});
+		mock_send_mail.mockRejectedValueOnce(new Error('Temporary failure'));
+
+		const result = await mailer.send_mail(email_data);
+
+		expect(mock_send_mail).toHaveBeenCalledTimes(2);
+		expect(sent_message(1).messageId).toBe(sent_message(0).messageId);
+		expect(result.message_id).toBe(sent_message(0).messageId);
+	});
+
+	it('should derive the Message-ID from the idempotency_key', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, {
+			silent: true,
+			idempotency_ttl: 1
+		});
+
+		const first = await mailer.send_mail({ ...email_data, idempotency_key: 'ticket-42-opened' });
+		await new Promise((resolve) => setTimeout(resolve, 5));
+		const second = await mailer.send_mail({ ...email_data, idempotency_key: 'ticket-42-opened' });
+		await mailer.send_mail({ ...email_data, idempotency_key: 'ticket-43-opened' });
+
+		expect(first.message_id).toMatch(/^<[0-9a-f]{32}@tickets\.example\.com>$/);
+		expect(mock_send_mail).toHaveBeenCalledTimes(3);
+		expect(sent_message(1).messageId).toBe(first.message_id);
+		expect(second.message_id).toBe(first.message_id);
+		expect(sent_message(2).messageId).not.toBe(first.message_id);
+	});
+
+	it('should derive the same Message-ID from the same key', () => {
+		const id = mailer.create_message_id('ticket-42');
+
+		expect(id).toMatch(/^<[0-9a-f]{32}@tickets\.example\.com>$/);
+		expect(mailer.create_message_id('ticket-42')).toBe(id);
+		expect(mailer.create_message_id('ticket-43')).not.toBe(id);
+		expect(mailer.create_message_id()).not.toBe(mailer.create_message_id());
+	});
+
+	it('should thread follow-ups under the original', async () => {
+		const original = mailer.create_message_id('ticket-42');
+		const first_reply = mailer.create_message_id('ticket-42-reply-1');
+
+		await mailer.send_mail({ ...email_data, message_id: original });
+		await mailer.send_mail({ ...email_data, message_id: first_reply, in_reply_to: original });
+		await mailer.send_mail({
+			...email_data,
+			in_reply_to: first_reply.slice(1, -1),
+			references: [original]
+		});
+
+		expect(sent_message(0).messageId).toBe(original);
+		expect(sent_message(0)).not.toHaveProperty('headers');
+		expect(sent_message(1).headers).toEqual({ 'In-Reply-To': original, References: original });
+		expect(sent_message(2).headers).toEqual({
+			'In-Reply-To': first_reply,
+			References: `${original} ${first_reply}`
+		});
+	});
+
+	it('should send the threading headers as h: fields through Mailgun', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(
+			{
+				mailgun_api_key: 'test-key',
+				mailgun_domain: 'test.com',
+				noreply_email: 'noreply@test.com'
+			},
+			{ silent: true }
+		);
+		await mailer.send_mail({ ...email_data, in_reply_to: '<original@test.com>' });
+
+		expect(sent_message()).toEqual(
+			expect.objectContaining({
+				messageId: expect.stringMatching(/@test\.com>$/),
+				'h:In-Reply-To': '<original@test.com>',
+				'h:References': '<original@test.com>'
+			})
+		);
+	});
+
+	it('should reject malformed message IDs', async () => {
+		await expect(
+			mailer.send_mail({ ...email_data, in_reply_to: '<a@b>\r\nBcc: victim@example.com' })
+		).rejects.toEqual(
+			expect.objectContaining({
+				code: EMAIL_ERROR_CODES.VALIDATION,
+				message: 'Invalid message ID in in_reply_to: "<a@b>\\r\\nBcc: victim@example.com"'
+			})
+		);
+		await expect(
+			mailer.send_mail({ ...email_data, references: ['<ok@example.com>', 'not-an-id'] })
+		).rejects.toThrow('Invalid message ID in references: "not-an-id"');
+		await expect(
+			mailer.send_mail({ ...email_data, headers: { 'In-Reply-To': '<a@b>' } })
+		).rejects.toThrow('Header "In-Reply-To" is set by send_mail and cannot be given in headers');
+	});
+
+	it('should reject an invalid message_id_domain', () => {
+		expect(() => new DualMailer({ ...basic_smtp_config, message_id_domain: 'bad domain' })).toThrow(
+			'Configuration error: message_id_domain must be a domain name'
+		);
+	});
+});
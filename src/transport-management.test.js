@@ -136,7 +136,10 @@ describe('Transport Management', () => {
 	describe('Error Handling', () => {
 		it('should track consecutive failures', async () => {
 			mailer = new DualMailer(basic_config);
-			mock_send_mail.mockRejectedValue(new Error('Send failed'));
+			// Only connection-level failures count toward the circuit breaker
+			mock_send_mail.mockRejectedValue(
+				Object.assign(new Error('Send failed'), { code: 'ECONNRESET' })
+			);
 
 			const email_data = {
 				to: 'test@example.com',
@@ -149,7 +152,14 @@ describe('Transport Management', () => {
 				await expect(mailer.send_mail(email_data)).rejects.toThrow(EmailError);
 			}
 
-			// The next attempt should create a new transporter
+			// The circuit is now open, so the next attempt fails fast
+			await expect(mailer.send_mail(email_data)).rejects.toEqual(
+				expect.objectContaining({ code: EMAIL_ERROR_CODES.CIRCUIT_OPEN })
+			);
+			expect(mock_send_mail).toHaveBeenCalledTimes(3);
+
+			// Once the circuit allows a probe, a new transporter should be created
+			vi.advanceTimersByTime(1000 * 61);
 			await expect(mailer.send_mail(email_data)).rejects.toThrow();
 			expect(nodemailer.createTransport).toHaveBeenCalledTimes(2);
 		});
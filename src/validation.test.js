@@ -0,0 +1,173 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nodemailer from 'nodemailer';
+import { DualMailer, EmailError, EMAIL_ERROR_CODES } from './index.js';
+
+vi.mock('nodemailer', () => ({
+	default: {
+		createTransport: vi.fn()
+	}
+}));
+
+describe('DualMailer - Payload Validation', () => {
+	let mailer;
+	let mock_send_mail;
+
+	const basic_smtp_config = {
+		host: 'smtp.test.com',
+		port: 587,
+		noreply_email: 'noreply_test@example.com'
+	};
+
+	const email_data = {
+		to: 'test@example.com',
+		subject: 'Test',
+		html: { title: 'Test', body: '<p>Test</p>' }
+	};
+
+	const rejection = async (payload) => {
+		const error = await mailer.send_mail(payload).catch((error) => error);
+		expect(error).toBeInstanceOf(EmailError);
+		expect(error.code).toBe(EMAIL_ERROR_CODES.VALIDATION);
+		return error;
+	};
+
+	beforeEach(() => {
+		vi.clearAllMocks();
+		mock_send_mail = vi.fn().mockResolvedValue({ response: 'OK' });
+		nodemailer.createTransport.mockReturnValue({
+			verify: vi.fn().mockResolvedValue(true),
+			sendMail: mock_send_mail,
+			isIdle: vi.fn().mockReturnValue(true),
+			close: vi.fn().mockResolvedValue(true)
+		});
+		mailer = new DualMailer(basic_smtp_config, { silent: true });
+	});
+
+	afterEach(async () => {
+		if (mailer) {
+			await mailer.destroy();
+		}
+	});
+
+	it('should reject line breaks in header fields', async () => {
+		const error = await rejection({
+			...email_data,
+			subject: 'Hello\r\nBcc: victim@example.com',
+			from: 'Sender <sender@example.com>\nBcc: victim@example.com',
+			reply_to: 'reply@example.com\r\n',
+			to: 'Victim\r\nBcc: other@example.com <test@example.com>',
+			cc: [{ name: 'Name\nX-Injected: 1', address: 'cc@example.com' }]
+		});
+
+		expect(error.details).toEqual([
+			{ field: 'subject', message: 'subject must not contain line breaks' },
+			{ field: 'from', message: 'from must not contain line breaks' },
+			{ field: 'reply_to', message: 'reply_to must not contain line breaks' },
+			{ field: 'to', message: 'to must not contain line breaks' },
+			{ field: 'cc', message: 'cc must not contain line breaks' }
+		]);
+		expect(mock_send_mail).not.toHaveBeenCalled();
+	});
+
+	it('should report every problem in one error', async () => {
+		const error = await rejection({
+			to: 'not-an-address',
+			html: { title: 'Test' },
+			reply_to: 'nobody',
+			headers: { 'X-Tag': 'a\nb' }
+		});
+
+		expect(error.message).toBe(
+			'Invalid email (5 problems): Missing required field: subject; HTML email requires a title and either a body or markdown; Invalid email addresses: to: "not-an-address"; reply_to must be a single mailbox, e.g. "Name <user@example.com>"; Header "X-Tag" must not contain line breaks'
+		);
+		expect(error.details).toEqual([
+			{ field: 'subject', message: 'Missing required field: subject' },
+			{ field: 'html', message: 'HTML email requires a title and either a body or markdown' },
+			{ field: 'to', message: 'Invalid email addresses: to: "not-an-address"' },
+			{
+				field: 'reply_to',
+				message: 'reply_to must be a single mailbox, e.g. "Name <user@example.com>"'
+			},
+			{ field: 'headers.X-Tag', message: 'Header "X-Tag" must not contain line breaks' }
+		]);
+	});
+
+	it('should keep the message of a single problem', async () => {
+		const error = await rejection({ ...email_data, to: [] });
+
+		expect(error.message).toBe('At least one "to" recipient is required');
+		expect(error.details).toEqual([
+			{ field: 'to', message: 'At least one "to" recipient is required' }
+		]);
+	});
+
+	it('should validate from and reply_to as single mailboxes', async () => {
+		await mailer.send_mail({
+			...email_data,
+			from: '"Support, Example" <support@example.com>',
+			reply_to: 'help@example.com'
+		});
+		expect(mock_send_mail).toHaveBeenCalledTimes(1);
+
+		const error = await rejection({
+			...email_data,
+			from: 'a@example.com, b@example.com',
+			reply_to: 'Help <help@>'
+		});
+		expect(error.details.map((issue) => issue.field)).toEqual(['from', 'reply_to']);
+	});
+
+	it('should limit the subject length', async () => {
+		await mailer.send_mail({ ...email_data, subject: 'x'.repeat(998) });
+
+		const error = await rejection({ ...email_data, subject: 'x'.repeat(999) });
+		expect(error.message).toBe('subject is 999 characters, exceeding the 998 character limit');
+
+		const typed = await rejection({ ...email_data, subject: 42 });
+		expect(typed.message).toBe('subject must be a string');
+	});
+
+	it('should limit the total message size', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, {
+			silent: true,
+			message_limits: { max_subject_length: 10, max_message_size: 100 }
+		});
+
+		const error = await rejection({
+			...email_data,
+			text: 'x'.repeat(40),
+			attachments: [{ filename: 'a.txt', content: 'y'.repeat(50) }]
+		});
+		// 4 (subject) + 40 (text) + 11 (body) + 50 (attachment)
+		expect(error.message).toBe('Message is 105 bytes, exceeding the 100 byte limit');
+		expect(error.details).toEqual([
+			{ field: 'message', message: 'Message is 105 bytes, exceeding the 100 byte limit' }
+		]);
+
+		const subject = await rejection({ ...email_data, subject: 'Eleven char' });
+		expect(subject.message).toBe('subject is 11 characters, exceeding the 10 character limit');
+	});
+
+	it('should report every attachment problem', async () => {
+		await mailer.destroy();
+		mailer = new DualMailer(basic_smtp_config, {
+			silent: true,
+			attachment_limits: { max_attachment_size: 10 }
+		});
+
+		const error = await rejection({
+			...email_data,
+			html: { title: 'Test', body: '<img src="cid:logo">' },
+			attachments: [{ filename: 'empty.txt' }, { filename: 'big.txt', content: 'x'.repeat(11) }]
+		});
+		expect(error.details).toEqual([
+			{ field: 'attachments[0]', message: 'Attachment empty.txt requires either content or path' },
+			{
+				field: 'attachments[1]',
+				message: 'Attachment big.txt is 11 bytes, exceeding the 10 byte limit'
+			},
+			{ field: 'attachments', message: 'Missing inline attachments for: cid:logo' }
+		]);
+	});
+});